@@ -3,46 +3,71 @@
  * All bot commands are registered here
  */
 
+import { getAggregateVotesInPollMessage } from '@whiskeysockets/baileys';
 import config from '../config.js';
-import { formatUptime } from '../utils/helpers.js';
+import { formatUptime, formatBytes, chunkLines, splitMessage } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 import axios from 'axios';
 import sharp from 'sharp';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { quizSessions } from '../utils/quizSessions.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-// ── Load & flatten quiz questions once at startup ─────────────────────────────
-let QUIZ_POOL = [];
-try {
-    const raw = fs.readFileSync(path.join(__dirname, '..', 'data', 'quiz.json'), 'utf-8');
-    const db = JSON.parse(raw);
-
-    // Recurse through the nested structure and collect every question object
-    function extractQuestions(node) {
-        if (Array.isArray(node)) {
-            node.forEach(extractQuestions);
-        } else if (node && typeof node === 'object') {
-            // It's a question if it has 'q' and 'answers'
-            if (node.q && Array.isArray(node.answers)) {
-                QUIZ_POOL.push(node);
-            } else {
-                Object.values(node).forEach(extractQuestions);
-            }
-        }
-    }
-    extractQuestions(db);
-    logger.info(`Quiz pool loaded: ${QUIZ_POOL.length} questions`);
-} catch (e) {
-    logger.error(`Failed to load quiz.json: ${e.message}`);
-}
+import { recitationSessions } from '../utils/recitationSessions.js';
+import { fetchSurah, fetchAyahByNumber, fetchAyah, getAyah, getAyahByNumber, getSurahInfo, getAllSurahs, getAyahLocation, getPageRange, getPageContents, getJuzRange, getHizbRange, AYAH_COUNT, SURAH_COUNT } from '../utils/quranStore.js';
+import { findSurah, parseSurahArgs, parseAyahReference, extractAyahReference } from '../utils/quranReference.js';
+import { normalizeArabic, toWesternDigits } from '../utils/arabic.js';
+import { searchQuran } from '../utils/quranSearch.js';
+import { getTafsirSources, findTafsirSource, getTafsir } from '../utils/tafsir.js';
+import { getPref, setPref, clearPref } from '../utils/userPrefs.js';
+import { RECITERS, findReciter, getPreferredReciter, getSurahAudioUrl, getAyahAudioUrl } from '../utils/reciters.js';
+import { joinMp3 } from '../utils/mp3.js';
+import { cached, isCached, getCacheStats, clearCache } from '../utils/assetCache.js';
+import { getReading, setReading, clearReading } from '../utils/readingState.js';
+import { getKhatma, getActiveKhatmas, createKhatma, deleteKhatma, reservePart, releasePart, completePart, saveKhatmas } from '../utils/khatmaStore.js';
+import { registerTask } from '../utils/scheduler.js';
+import { getWird, getActiveWirds, setWird, deleteWird, saveWirds } from '../utils/wirdStore.js';
+import { getZonedParts, zonedTimeToDate, nextDailyOccurrence, parseTimeOfDay, toTimeOfDay, formatTimeOfDay } from '../utils/time.js';
+import { METHODS, ASR_SCHOOLS, PRAYERS, calculatePrayerTimes, findOption } from '../utils/prayerTimes.js';
+import { getCity, getAllCities, findCity } from '../utils/cities.js';
+import { getPrayerSettings, getReminderChats, updatePrayerSettings } from '../utils/prayerStore.js';
+import { gregorianToHijri, hijriToGregorian, findMonth, formatHijri, formatGregorian } from '../utils/hijri.js';
+import { OCCASIONS, findOccasion } from '../utils/occasions.js';
+import { getChatOccasions, getOccasionChats, setChatOccasions, markOccasionSent } from '../utils/occasionStore.js';
+import { getHadithBooks, findHadithBook, getHadith, getRandomHadith, getHadithRange } from '../utils/hadith.js';
+import { searchHadith } from '../utils/hadithSearch.js';
+import { getAdhkarCategories, getAdhkarCategory, findAdhkarCategory, formatDhikr } from '../utils/adhkar.js';
+import { getAdhkarSchedule, getAdhkarSchedules, setAdhkarSchedule, deleteAdhkarSchedule, markAdhkarSent } from '../utils/adhkarStore.js';
+import { TASBIH_DHIKR, getDhikr, findDhikr, parseCountToken } from '../utils/tasbih.js';
+import {
+    getTasbihUser, selectDhikr, resetSession, setDhikrGoal, addUserCount,
+    getGroupCounter, startGroupCounter, joinGroupCounter, addGroupCount, endGroupCounter
+} from '../utils/tasbihStore.js';
+import { QUIZ_DIFFICULTIES, findQuizDifficulty, getQuizSize, getQuizCategories, findQuizCategory, countQuizQuestions, pickQuizQuestion } from '../utils/quiz.js';
+import { compareRecitation } from '../utils/tasmee.js';
+import { findHifzRating, parseHifzAmount, coveredAyahs, nextUncoveredAyah, nextHifzPortion, splitHifzRange, scheduleHifzReview, addDaysToKey, daysBetweenKeys } from '../utils/hifz.js';
+import { getHifzUser, getHifzReminders, setHifzPlan, clearHifzPlan, setHifzReminder, startHifzDay, addHifzPortions, completeHifzDay, recordHifzReview, deleteHifzUser } from '../utils/hifzStore.js';
+import { recordQuizRound, getQuizBoard, resetQuizBoard } from '../utils/quizScoreStore.js';
 
 // Command collection
 const commands = new Map();
 
+// Open search result listings per chat, continued with /التالي (see setSearchPaging)
+// Map<chatJid, { query, exact, page, at }> Quran search, or { type: 'hadith', query, exact, bookId, page, at }
+const searchPaging = new Map();
+
+// Counter messages the bot sent, so reacting to one counts a tasbih
+// Map<messageId, { user } | { group }>
+const tasbihMessages = new Map();
+
+// Running quiz tournaments per chat (/مسابقة)
+// Map<chatJid, { rounds, round, filter, group, asked: Set<questionId>, scores: Map<userJid, { name, points, correct }>, paused, timer }>
+const quizTournaments = new Map();
+
+// Quiz polls the bot sent, so their votes can be decrypted and scored
+// Map<messageId, { chatJid, message }>
+const quizPolls = new Map();
+
+// Running cache prefetch started by the owner, if any: { label, done, total, stopped }
+let prefetchJob = null;
+
 /**
  * Register a command
  * @param {string} name - Command name
@@ -144,6 +169,519 @@ export function isValidSurahNumber(input) {
     return num >= 1 && num <= 114;
 }
 
+/**
+ * Tell the user a surah name wasn't recognized, offering close matches
+ * @param {object} sock - Socket
+ * @param {string} sender - Chat JID
+ * @param {number[]} suggestions - Candidate surah numbers from findSurah()
+ * @param {string} example - Example command, e.g. "/سورة الكهف"
+ */
+async function sendSurahNotFound(sock, sender, suggestions, example) {
+    let text;
+    if (suggestions.length > 0) {
+        const names = suggestions.map(n => `• ${getSurahInfo(n)?.name || n} (${n})`).join('\n');
+        text = `❓ لم يتم تحديد السورة، هل تقصد :\n\n${names}`;
+    } else {
+        text = `❌ لم يتم العثور على السورة.\n💡 أدخل رقم السورة (1 - 114) أو اسمها، مثال: ${example}`;
+    }
+    await sock.sendMessage(sender, { text: `${text}\n\nلعرض فهرس السور استخدم الأمر : /فهرس 📜` });
+}
+
+/**
+ * Get the JID of the person who sent a message (the participant in groups)
+ * @param {object} msg - Incoming message
+ * @returns {string}
+ */
+function getUserJid(msg) {
+    return msg.key.participant || msg.key.remoteJid;
+}
+
+/**
+ * Check whether a user is an admin of a group
+ * @param {object} sock - Socket
+ * @param {string} groupJid - Group JID
+ * @param {string} userJid - User JID
+ * @returns {Promise<boolean>}
+ */
+async function isGroupAdmin(sock, groupJid, userJid) {
+    try {
+        const metadata = await sock.groupMetadata(groupJid);
+        const participant = metadata.participants.find(p => p.id === userJid || p.lid === userJid);
+        return Boolean(participant?.admin);
+    } catch (error) {
+        logger.error(`Failed to fetch group metadata: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Get the text of the message a command was sent as a reply to
+ * @param {object} msg - Incoming message
+ * @returns {string} Empty string when the command isn't a reply
+ */
+function getQuotedText(msg) {
+    const quoted = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+    return quoted?.conversation ||
+        quoted?.extendedTextMessage?.text ||
+        quoted?.imageMessage?.caption || '';
+}
+
+/**
+ * Describe where a run of ayahs sits in the mushaf, e.g. "📄 الصفحة : 293 • 🔖 الجزء : 15"
+ * @param {number} firstNumber - Global number of the first ayah
+ * @param {number} [lastNumber] - Global number of the last ayah
+ * @returns {string} Empty string when the page index isn't loaded
+ */
+function formatAyahLocation(firstNumber, lastNumber = firstNumber) {
+    const first = getAyahLocation(firstNumber);
+    const last = getAyahLocation(lastNumber);
+    if (!first || !last) return '';
+
+    const span = (a, b) => a === b ? `${a}` : `${a} - ${b}`;
+    return `📄 الصفحة : ${span(first.page, last.page)} • 🔖 الجزء : ${span(first.juz, last.juz)}`;
+}
+
+/**
+ * Send one part of a surah, splitting it at ayah boundaries so long surahs
+ * stay under WhatsApp's practical message length.
+ * Remembers the chat's position so /التالي can send the following part.
+ * @param {object} sock - Socket
+ * @param {object} msg - Message to quote
+ * @param {string} sender - Chat JID
+ * @param {object} surahData - Result of fetchSurah()
+ * @param {number} part - 1-based part number
+ */
+async function sendSurahPart(sock, msg, sender, surahData, part) {
+    const lines = surahData.ayahs.map(aya => `(${aya.number}) ${aya.text}`);
+    const parts = chunkLines(lines, config.quran.partLength);
+    // A stored position can point past the end if quran.partLength changed since
+    part = Math.min(Math.max(part, 1), parts.length);
+    const isLast = part >= parts.length;
+
+    let surahText;
+    if (part === 1) {
+        const surahType = surahData.type === 'medinan' ? 'مـدنـيـة 🕌' : 'مـكـيـة 🕋';
+        surahText = `🕌 سـورة : ${surahData.name}\n💡نـوعـهـا : ${surahType}\n📜عـدد آيـاتـهـا : ${surahData.ayahCount}\n`;
+    } else {
+        surahText = `🕌 سـورة : ${surahData.name} (تـابـع)\n`;
+    }
+
+    if (parts.length > 1) {
+        surahText += `📄 الـقـسـم : ${part} مـن ${parts.length}\n`;
+    }
+
+    surahText += `\n${parts[part - 1]}\n`;
+
+    if (isLast) {
+        surahText += `\n\nتقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍`;
+        clearReading(sender);
+    } else {
+        surahText += `\n\n📌 للمتابعة أرسل : ${config.bot.prefix[0]}التالي`;
+        setReading(sender, { surah: surahData.number, part, totalParts: parts.length });
+    }
+
+    await sock.sendMessage(sender, { text: surahText }, { quoted: msg });
+}
+
+/**
+ * Get a mushaf page as a JPEG: the transparent png_big image flattened onto white.
+ * Converted images are kept in the asset cache.
+ * @param {number} page - Page number (1-604)
+ * @returns {Promise<Buffer>}
+ */
+async function fetchPageImage(page) {
+    return cached(`page:${page}`, async () => {
+        // Fetch the transparent PNG
+        const response = await axios.get(`https://quran.ksu.edu.sa/png_big/${page}.png`, { responseType: 'arraybuffer', timeout: 30000 });
+        const pngBuffer = Buffer.from(response.data);
+
+        // Flatten transparent background to white, output as JPEG
+        return sharp(pngBuffer)
+            .flatten({ background: { r: 255, g: 255, b: 255 } })
+            .jpeg({ quality: 90 })
+            .toBuffer();
+    });
+}
+
+/**
+ * Describe what a mushaf page holds, for image captions:
+ * page number, surahs with ayah ranges, juz and hizb
+ * @param {number} page - Page number (1-604)
+ * @returns {string}
+ */
+function formatPageCaption(page) {
+    let caption = `📖 رقـم الـصـفـحـة : ${page}`;
+
+    const contents = getPageContents(page);
+    const range = getPageRange(page);
+    if (!contents || !range) return caption;
+
+    for (const part of contents) {
+        caption += `\n🕌 سورة ${part.surahName} : ${part.from === part.to ? part.from : `${part.from} - ${part.to}`}`;
+    }
+
+    const location = getAyahLocation(range.first);
+    const quarter = location.quarter > 1 ? ` (الربع ${location.quarter})` : '';
+    caption += `\n🔖 الجزء : ${location.juz} • الحزب : ${location.hizb}${quarter}`;
+    return caption;
+}
+
+/**
+ * Get a full-surah recitation MP3, through the asset cache
+ * @param {object} reciter - Entry of RECITERS
+ * @param {number} surah - Surah number
+ * @returns {Promise<Buffer>}
+ */
+async function fetchSurahAudio(reciter, surah) {
+    return cached(`audio:${reciter.id}:${surah}`, async () => {
+        // Whole-surah files run to tens of megabytes, so they get longer than single pages and ayahs
+        const response = await axios.get(getSurahAudioUrl(reciter, surah), { responseType: 'arraybuffer', timeout: 120000 });
+        return Buffer.from(response.data);
+    });
+}
+
+/**
+ * Get a single-ayah recitation MP3, through the asset cache
+ * @param {object} reciter - Entry of RECITERS
+ * @param {number} number - Global ayah number
+ * @returns {Promise<Buffer>}
+ */
+async function fetchAyahAudio(reciter, number) {
+    return cached(`ayah-audio:${reciter.id}:${number}`, async () => {
+        const response = await axios.get(getAyahAudioUrl(reciter, number), { responseType: 'arraybuffer', timeout: 30000 });
+        return Buffer.from(response.data);
+    });
+}
+
+/**
+ * Describe a run of ayahs, e.g. "سورة البقرة : الآيات 1 - 20"
+ * or "من سورة الأنفال 75 إلى سورة التوبة 6" when it crosses surahs
+ * @param {object} first - First ayah (getAyah() shape)
+ * @param {object} last - Last ayah
+ * @returns {string}
+ */
+function describeAyahRange(first, last) {
+    if (first.surah !== last.surah) {
+        return `من سورة ${first.surahName} ${first.ayah} إلى سورة ${last.surahName} ${last.ayah}`;
+    }
+    if (first.ayah === last.ayah) {
+        return `سورة ${first.surahName} : الآية ${first.ayah}`;
+    }
+    return `سورة ${first.surahName} : الآيات ${first.ayah} - ${last.ayah}`;
+}
+
+/**
+ * Build one MP3 of a run of ayahs from the reciter's per-ayah recordings.
+ * A surah starting inside the run gets the basmala in front of its first ayah
+ * (except Al-Fatiha, where it is ayah 1, and At-Tawbah).
+ * @param {object} reciter - Entry of RECITERS
+ * @param {number} firstNumber - Global number of the first ayah
+ * @param {number} lastNumber - Global number of the last ayah
+ * @returns {Promise<Buffer>}
+ */
+async function buildAyahAudio(reciter, firstNumber, lastNumber) {
+    const recordings = [];
+    for (let number = firstNumber; number <= lastNumber; number++) {
+        const aya = getAyahByNumber(number);
+        if (aya && aya.ayah === 1 && aya.surah !== 1 && aya.surah !== 9) {
+            recordings.push(1);
+        }
+        recordings.push(number);
+    }
+
+    // Download one by one, in order
+    const buffers = [];
+    for (const number of recordings) {
+        buffers.push(await fetchAyahAudio(reciter, number));
+    }
+    return joinMp3(buffers);
+}
+
+/**
+ * Send a run of ayahs as one audio message
+ * @param {object} sock - Socket
+ * @param {object} msg - Message to quote
+ * @param {string} sender - Chat JID
+ * @param {object} reciter - Entry of RECITERS
+ * @param {number} firstNumber - Global number of the first ayah
+ * @param {number} lastNumber - Global number of the last ayah
+ * @param {string} [heading] - Shown above the range description, e.g. "📄 الصفحة : 50"
+ */
+async function sendAyahRecitation(sock, msg, sender, reciter, firstNumber, lastNumber, heading) {
+    const first = await fetchAyahByNumber(firstNumber);
+    const last = await fetchAyahByNumber(lastNumber);
+
+    let infoText = heading ? `${heading}\n` : '';
+    infoText += `📖 ${describeAyahRange(first, last)}\n🔸 ${lastNumber - firstNumber + 1} آية\n🎙️ القارئ : ${reciter.name}`;
+    await sock.sendMessage(sender, { text: infoText }, { quoted: msg });
+
+    await sock.sendMessage(sender, {
+        audio: await buildAyahAudio(reciter, firstNumber, lastNumber),
+        mimetype: 'audio/mpeg',
+        ptt: false
+    }, { quoted: msg });
+
+    await sock.sendMessage(sender, { text: `> تقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍` }, { quoted: msg });
+}
+
+/**
+ * Text lines of a run of ayahs, with a surah heading wherever a new surah begins
+ * @param {number} firstNumber - Global number of the first ayah
+ * @param {number} lastNumber - Global number of the last ayah
+ * @returns {Promise<string[]>}
+ */
+async function buildRangeLines(firstNumber, lastNumber) {
+    const lines = [];
+    let surah = null;
+    for (let number = firstNumber; number <= lastNumber; number++) {
+        const aya = await fetchAyahByNumber(number);
+        if (aya.surah !== surah) {
+            surah = aya.surah;
+            lines.push(`${lines.length ? '\n' : ''}🕌 سـورة ${aya.surahName}`);
+        }
+        lines.push(`(${aya.ayah}) ${aya.text}`);
+    }
+    return lines;
+}
+
+/**
+ * Send one part of a run of ayahs (a juz, hizb or quarter) as text, with a
+ * heading wherever a new surah begins. Like sendSurahPart, remembers the
+ * chat's position so /التالي continues.
+ * @param {object} sock - Socket
+ * @param {object} msg - Message to quote
+ * @param {string} sender - Chat JID
+ * @param {object} range - { first, last, title } (global ayah numbers)
+ * @param {number} part - 1-based part number
+ */
+async function sendRangePart(sock, msg, sender, range, part) {
+    const parts = chunkLines(await buildRangeLines(range.first, range.last), config.quran.partLength);
+    part = Math.min(Math.max(part, 1), parts.length);
+    const isLast = part >= parts.length;
+
+    let text = part === 1 ? `📖 ${range.title}\n` : `📖 ${range.title} (تـابـع)\n`;
+    if (parts.length > 1) {
+        text += `📄 الـقـسـم : ${part} مـن ${parts.length}\n`;
+    }
+    text += `\n${parts[part - 1]}\n`;
+
+    if (isLast) {
+        text += `\n\nتقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍`;
+        clearReading(sender);
+    } else {
+        text += `\n\n📌 للمتابعة أرسل : ${config.bot.prefix[0]}التالي`;
+        setReading(sender, { range, part, totalParts: parts.length });
+    }
+
+    await sock.sendMessage(sender, { text }, { quoted: msg });
+}
+
+/**
+ * Split a run of ayahs into recitation clips at page boundaries,
+ * each holding whole pages and at most config.recitation.maxAyahs ayahs
+ * (a page is never split, a longer page becomes a clip of its own)
+ * @param {number} firstNumber - Global number of the first ayah
+ * @param {number} lastNumber - Global number of the last ayah
+ * @returns {object[]} [{ first, last }]
+ */
+function splitRangeByPages(firstNumber, lastNumber) {
+    const clips = [];
+    let current = null;
+    let number = firstNumber;
+
+    while (number <= lastNumber) {
+        const page = getPageRange(getAyahLocation(number).page);
+        const pageLast = Math.min(page.last, lastNumber);
+
+        if (current && pageLast - current.first + 1 > config.recitation.maxAyahs) {
+            clips.push(current);
+            current = null;
+        }
+        current = current ? { first: current.first, last: pageLast } : { first: number, last: pageLast };
+        number = pageLast + 1;
+    }
+
+    if (current) clips.push(current);
+    return clips;
+}
+
+/**
+ * Handle /جزء, /حزب and /ربع once the unit is known: show where it starts and ends,
+ * or send it as text, page images or recitation
+ * @param {object} sock - Socket
+ * @param {object} msg - Incoming message
+ * @param {string} sender - Chat JID
+ * @param {object} unit - { first, last, title, command } (command = how to call it again, e.g. "/جزء 1")
+ * @param {string[]} modeArgs - Words after the unit number: [] | ["نص"] | ["صفحات"] | ["تلاوة", ...reciter]
+ */
+async function sendQuranUnit(sock, msg, sender, unit, modeArgs) {
+    const mode = modeArgs[0];
+    const start = getAyahLocation(unit.first);
+    const end = getAyahLocation(unit.last);
+
+    // Overview
+    if (!mode) {
+        const first = await fetchAyahByNumber(unit.first);
+        const last = await fetchAyahByNumber(unit.last);
+        const pages = end.page - start.page + 1;
+
+        let text = `📖 *${unit.title}*\n\n`;
+        text += `▶️ البداية : سورة ${first.surahName} ${first.ayah}\n`;
+        text += `⏹️ النهاية : سورة ${last.surahName} ${last.ayah}\n`;
+        text += `📄 الصفحات : ${start.page === end.page ? start.page : `${start.page} - ${end.page}`} (${pages} صفحة)\n`;
+        text += `🔸 عدد الآيات : ${unit.last - unit.first + 1}\n`;
+        text += `🔖 الجزء : ${start.juz === end.juz ? start.juz : `${start.juz} - ${end.juz}`}\n\n`;
+        text += `💡 للقراءة نصاً : ${unit.command} نص\n`;
+        text += `🖼️ صور الصفحات : ${unit.command} صفحات\n`;
+        text += `🎧 التلاوة : ${unit.command} تلاوة [+ القارئ]`;
+        await sock.sendMessage(sender, { text }, { quoted: msg });
+        return;
+    }
+
+    if (['نص', 'قراءة', 'قراءه'].includes(mode)) {
+        searchPaging.delete(sender);
+        await sendRangePart(sock, msg, sender, { first: unit.first, last: unit.last, title: unit.title }, 1);
+        return;
+    }
+
+    if (['صفحات', 'صور', 'صفحة', 'صفحه'].includes(mode)) {
+        const total = end.page - start.page + 1;
+        await sock.sendMessage(sender, { text: `🖼️ ${unit.title} : ${total} صفحة (${start.page} - ${end.page})` }, { quoted: msg });
+
+        for (let page = start.page; page <= end.page; page++) {
+            const image = await fetchPageImage(page);
+            await sock.sendMessage(sender, {
+                image,
+                caption: `📚 ${unit.title} (${page - start.page + 1}/${total})\n${formatPageCaption(page)}`
+            });
+            // Small delay to avoid rate limiting
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        await sock.sendMessage(sender, { text: `> تقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍` });
+        return;
+    }
+
+    if (['تلاوة', 'تلاوه', 'صوت'].includes(mode)) {
+        let reciter;
+        if (modeArgs.length > 1) {
+            reciter = findReciter(modeArgs.slice(1).join(' '));
+            if (!reciter) {
+                await sock.sendMessage(sender, { text: '❌ لم يتم العثور على هذا القارئ.\n\nلعرض القراء استخدم الأمر : /قارئ 🎙️' });
+                return;
+            }
+        } else {
+            reciter = getPreferredReciter(getUserJid(msg), sender);
+        }
+
+        const clips = splitRangeByPages(unit.first, unit.last);
+        await sock.sendMessage(sender, {
+            text: `🎧 ${unit.title}\n🎙️ القارئ : ${reciter.name}\n📼 يتم الإرسال في ${clips.length} مقطع`
+        }, { quoted: msg });
+
+        for (const clip of clips) {
+            await sock.sendMessage(sender, {
+                audio: await buildAyahAudio(reciter, clip.first, clip.last),
+                mimetype: 'audio/mpeg',
+                ptt: false
+            });
+        }
+
+        await sock.sendMessage(sender, { text: `> تقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍` });
+        return;
+    }
+
+    await sock.sendMessage(sender, {
+        text: `❌ خيار غير معروف.\n\n💡 ${unit.command} | ${unit.command} نص | ${unit.command} صفحات | ${unit.command} تلاوة`
+    });
+}
+
+/**
+ * Keep a chat's place in a search listing for /التالي, replacing its previous one;
+ * listings older than config.quran.searchPagingMinutes are dropped on the way
+ * @param {string} chatJid
+ * @param {object} search - { query, exact, page } or { type: 'hadith', query, exact, bookId, page }
+ */
+function setSearchPaging(chatJid, search) {
+    const now = Date.now();
+    for (const [jid, entry] of searchPaging) {
+        if (now - entry.at > config.quran.searchPagingMinutes * 60000) searchPaging.delete(jid);
+    }
+    searchPaging.set(chatJid, { ...search, at: now });
+}
+
+/**
+ * A chat's open search listing, unless it has expired
+ * @param {string} chatJid
+ * @returns {object|undefined}
+ */
+function getSearchPaging(chatJid) {
+    const search = searchPaging.get(chatJid);
+    if (search && Date.now() - search.at > config.quran.searchPagingMinutes * 60000) {
+        searchPaging.delete(chatJid);
+        return undefined;
+    }
+    return search;
+}
+
+/**
+ * Send one page of Quran search results.
+ * Keeps the chat's place in searchPaging while more pages remain.
+ * @param {object} sock - Socket
+ * @param {object} msg - Message to quote
+ * @param {string} sender - Chat JID
+ * @param {string} query - Search words
+ * @param {boolean} exact - Exact phrase mode
+ * @param {number} page - 1-based page number
+ */
+async function sendSearchPage(sock, msg, sender, query, exact, page) {
+    const result = searchQuran(query, { exact });
+
+    if (!result) {
+        searchPaging.delete(sender);
+        await sock.sendMessage(sender, { text: '❌ البحث غير متاح حالياً، لم يتم تحميل نص القرآن الكريم.' });
+        return;
+    }
+
+    if (result.hits.length === 0) {
+        searchPaging.delete(sender);
+        await sock.sendMessage(sender, {
+            text: `🔍 لا توجد نتائج للبحث عن : «${query}»${exact ? '\n\n💡 جرّب البحث بدون علامات التنصيص لنتائج أوسع' : ''}`
+        }, { quoted: msg });
+        return;
+    }
+
+    const pageSize = config.quran.searchPageSize;
+    const totalPages = Math.ceil(result.hits.length / pageSize);
+    const first = (page - 1) * pageSize;
+    const pageHits = result.hits.slice(first, first + pageSize);
+
+    let header = `🔍 نتائج البحث عن : «${query}»${exact ? ' (عبارة مطابقة)' : ''}\n`;
+    if (page === 1) {
+        header += `📊 ${result.occurrences} موضع في ${result.hits.length} آية من ${result.surahCount} سورة\n`;
+    }
+    header += `📑 النتائج ${first + 1} - ${first + pageHits.length} من ${result.hits.length}\n`;
+    header += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄`;
+
+    const lines = pageHits.map((hit, i) => {
+        const aya = getAyah(hit.surah, hit.ayah);
+        return `${first + i + 1}. ${aya.text}\n📖 ${aya.surahName} : ${aya.ayah}\n`;
+    });
+
+    let footer;
+    if (page < totalPages) {
+        footer = `📌 للمزيد من النتائج أرسل : ${config.bot.prefix[0]}التالي`;
+        setSearchPaging(sender, { query, exact, page });
+    } else {
+        footer = '✅ انتهت نتائج البحث';
+        searchPaging.delete(sender);
+    }
+
+    const parts = chunkLines([header, ...lines, footer], config.quran.partLength);
+    for (const part of parts) {
+        await sock.sendMessage(sender, { text: part }, { quoted: msg });
+    }
+}
 
 // ==================== REGISTER COMMANDS ====================
 
@@ -210,27 +748,112 @@ ${cmd.cooldown > 0 ? `⏱️ فترة الانتظار: ${cmd.cooldown} ثاني
 🔹 ${prefix}فهرس
      ↳ عرض قائمة أرقام جميع السور
 
-🔹 ${prefix}سورة + رقم
+🔹 ${prefix}سورة + رقم أو اسم
      ↳ إرسال سورة كاملة نصاً
-     ↳ مثال : ${prefix}سورة 18
+     ↳ مثال : ${prefix}سورة 18 أو ${prefix}سورة الكهف
 
-🔹 ${prefix}تلاوة + رقم
+🔹 ${prefix}التالي
+     ↳ إرسال القسم التالي من السورة الطويلة
+
+🔹 ${prefix}تلاوة + رقم أو اسم [+ القارئ]
      ↳ إرسال سورة بالصوت
      ↳ مثال : ${prefix}تلاوة 36
+     ↳ مثال : ${prefix}تلاوة يس الحصري
+     ↳ آيات : ${prefix}تلاوة 2:255 أو ${prefix}تلاوة الكهف 1-10
+     ↳ صفحة : ${prefix}تلاوة صفحة 50
+
+🔹 ${prefix}قارئ
+     ↳ عرض القراء واختيار قارئك المفضل
 
-🔹 ${prefix}صفحة + رقم
+🔹 ${prefix}صفحة + رقم أو آية أو اسم سورة
      ↳ إرسال صفحة من المصحف (1 - 604)
-     ↳ مثال : ${prefix}صفحة 1
+     ↳ مثال : ${prefix}صفحة 1 أو ${prefix}صفحة 18:10 أو ${prefix}صفحة الكهف
+
+🔹 ${prefix}جزء + رقم [نص | صفحات | تلاوة]
+     ↳ بداية الجزء ونهايته وصفحاته، أو إرساله كاملاً
+     ↳ مثال : ${prefix}جزء 30 صفحات
+
+🔹 ${prefix}حزب + رقم [ربع + رقم]
+     ↳ بداية الحزب أو ربعه ونهايته، بنفس الخيارات
+     ↳ مثال : ${prefix}حزب 5 ربع 2 نص
+
+🔹 ${prefix}ختمة (في المجموعات)
+     ↳ ختمة جماعية : ${prefix}ختمة جديدة ثم ${prefix}ختمة حجز 5
+     ↳ عند الانتهاء : ${prefix}ختمة تم 5 • اللوحة : ${prefix}ختمة
+
+🔹 ${prefix}ورد + صفحات | جزء | آية + الوقت
+     ↳ ورد يومي يصلك في موعده : ${prefix}ورد صفحات 2 6:00
+     ↳ ${prefix}ورد إيقاف • ${prefix}ورد استئناف • ${prefix}ورد إلغاء
 
 🔹 ${prefix}آية
      ↳ آيـة عشوائية من القرآن الكريم
+     ↳ أو آية محددة : ${prefix}آية 2:255
+     ↳ أو عدة آيات : ${prefix}آية 18:1-10
+
+🔹 ${prefix}بحث + كلمة
+     ↳ البحث في نص القرآن الكريم كاملاً
+     ↳ مثال : ${prefix}بحث الصبر
+     ↳ عبارة مطابقة : ${prefix}بحث "رب العالمين"
+
+🔹 ${prefix}تفسير + رقم السورة:رقم الآية
+     ↳ تفسير آية أو آيات قصيرة
+     ↳ مثال : ${prefix}تفسير 2:255
+     ↳ أو أرسله رداً على رسالة آية
+     ↳ ${prefix}تفسير مصادر : عرض كتب التفسير
 
 🔹 ${prefix}حديث
      ↳ حديث عشوائي من السنة النبوية
+     ↳ برقمه : ${prefix}حديث بخاري 1 • ${prefix}حديث نووي 12
+     ↳ الكتب المتاحة : ${prefix}حديث كتب
+
+🔹 ${prefix}بحث_حديث + كلمات
+     ↳ مثال : ${prefix}بحث_حديث إنما الأعمال
+     ↳ في كتاب : ${prefix}بحث_حديث مسلم: الدين النصيحة
+
+🔹 ${prefix}اذكار
+     ↳ أذكار حصن المسلم : ${prefix}اذكار الصباح
+     ↳ إرسال أذكار الصباح والمساء يومياً : ${prefix}اذكار تفعيل
+
+🔹 ${prefix}تسبيح + الذكر
+     ↳ مسبحة : ${prefix}تسبيح استغفار ثم أرسل +
+     ↳ هدف يومي : ${prefix}تسبيح هدف استغفار 100
+     ↳ عداد المجموعة : ${prefix}تسبيح جماعي سبحان الله 1000
+
+🔹 ${prefix}صلاة + اسم المدينة
+     ↳ مواقيت الصلاة اليوم : ${prefix}صلاة مكة
+     ↳ حفظ مدينتك : ${prefix}صلاة مدينة الرياض
+     ↳ تذكير قبل كل صلاة : ${prefix}صلاة تذكير 10
+
+🔹 ${prefix}هجري
+     ↳ التاريخ الهجري اليوم
+     ↳ تحويل : ${prefix}هجري 1 رمضان 1447 أو ${prefix}هجري 20 مارس 2026
+
+🔹 ${prefix}مناسبات
+     ↳ تذكير بالكهف يوم الجمعة وأيام الصيام وعرفة ورمضان
+     ↳ تفعيل الكل : ${prefix}مناسبات تفعيل
+
+🔹 ${prefix}تسميع + السورة
+     ↳ اختبار الحفظ : ${prefix}تسميع الملك
+     ↳ مقطع : ${prefix}تسميع الكهف 1-10
+
+🔹 ${prefix}حفظ
+     ↳ خطة حفظ : ${prefix}حفظ خطة نصف صفحة يومياً
+     ↳ تسجيل المحفوظ : ${prefix}حفظ سجل جزء 30
+     ↳ مراجعة : ${prefix}حفظ مراجعة 1 ممتاز • ${prefix}حفظ حالتي
 
 🔹 ${prefix}سؤال
      ↳ سؤال إسلامي عشوائي مع خيارات
-     ↳ أجب بـ 1 أو 2 أو 3
+     ↳ من تصنيف : ${prefix}سؤال فقه • ${prefix}سؤال تصنيفات
+     ↳ أجب برقم الإجابة
+     ↳ في المجموعات : نقاط لأسرع إجابة صحيحة
+
+🔹 ${prefix}مسابقة + عدد الأسئلة
+     ↳ أسئلة متتالية مع الترتيب : ${prefix}مسابقة 10
+     ↳ للمشرفين : ${prefix}مسابقة ايقاف • استئناف • تخطي • انهاء
+
+🔹 ${prefix}ترتيب
+     ↳ ترتيب المجموعة هذا الأسبوع
+     ↳ ${prefix}ترتيب شهر • ${prefix}ترتيب الكل
 
 ┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄
 ✨ *مميزات البوت*
@@ -274,72 +897,577 @@ registerCommand('info', {
 // Time Command - وقت
 registerCommand('time', {
     aliases: ['وقت', 'الوقت', 'ساعة'],
-    description: 'Show current time',
-    descriptionAr: 'عرض الوقت الحالي',
+    description: 'Show current time and Gregorian / Hijri date in the chat\'s city, with the next prayer',
+    descriptionAr: 'عرض الوقت الحالي والتاريخ الميلادي والهجري في مدينة المحادثة والصلاة القادمة',
     category: 'general',
     async execute(sock, msg, args, sender) {
         const now = new Date();
-        await sock.sendMessage(sender, {
-            text: `🕐 الوقت الحالي: ${now.toLocaleString('ar-SA')} `
-        });
-    }
-});
-
-// Echo Command - صدى
-registerCommand('echo', {
-    aliases: ['صدى', 'ردد', 'قل'],
-    description: 'Echo back the provided text',
-    descriptionAr: 'إعادة النص المرسل',
-    usage: '!echo <text> | !صدى <نص>',
-    category: 'fun',
-    async execute(sock, msg, args, sender) {
-        const text = args.join(' ');
-        if (text) {
-            await sock.sendMessage(sender, { text: `📢 ${text} ` });
+        const chat = getPrayerSettings(sender);
+        const city = chat && getCity(chat.city);
+        const timeZone = getChatTimeZone(sender);
+
+        let text = `🕐 الوقت الحالي: ${now.toLocaleTimeString('ar-SA', { timeZone })} (${city ? city.name : timeZone})`;
+        text += `\n${formatTodayDates(timeZone)}`;
+        if (city) {
+            const next = getNextPrayer(city, resolvePrayerOptions(city, chat), now);
+            text += `\n🕌 الصلاة القادمة : ${next.prayer.name} ${formatTimeOfDay(toTimeOfDay(next.time, city.timeZone))} (بعد ${formatRemaining(next.time - now)})`;
         } else {
-            await sock.sendMessage(sender, {
-                text: '❌ الرجاء إدخال نص!'
-            });
+            text += `\n\n💡 لمواقيت الصلاة : /صلاة + اسم المدينة`;
         }
+        await sock.sendMessage(sender, { text });
     }
 });
 
-// Sticker Command - ملصق
-registerCommand('sticker', {
-    aliases: ['ملصق', 'ستيكر', 's'],
-    description: 'Convert image to sticker',
-    descriptionAr: 'تحويل صورة إلى ملصق',
-    usage: '!sticker | !ملصق (رد على صورة أو أرسل مع صورة)',
-    category: 'media',
-    async execute(sock, msg, args, sender) {
-        const { downloadContentFromMessage } = await import('@whiskeysockets/baileys');
-        const { Sticker, StickerTypes } = await import('wa-sticker-formatter');
+// ── Prayer Times Command ──────────────────────────────────────────────────────
+/**
+ * Calculation method and asr school for a city: explicit choice, else the city's own, else config
+ * @param {object} city - Entry of the city table
+ * @param {object} [chosen] - { method, asr } picked by the chat or in the command
+ * @returns {object} { method, asr }
+ */
+function resolvePrayerOptions(city, chosen = {}) {
+    return {
+        method: chosen.method || city.method || config.prayer.defaultMethod,
+        asr: chosen.asr || city.asr || 'shafi'
+    };
+}
 
-        const quotedMessage = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
-        const imageMessage = msg.message?.imageMessage || quotedMessage?.imageMessage;
-        const videoMessage = msg.message?.videoMessage || quotedMessage?.videoMessage;
+/**
+ * Prayer times of a city on the local date of an instant
+ * @param {object} city
+ * @param {object} options - { method, asr }
+ * @param {Date} [date]
+ * @returns {object} { fajr, sunrise, dhuhr, asr, maghrib, isha } as Dates
+ */
+function getPrayerDay(city, options, date = new Date()) {
+    return calculatePrayerTimes(city, getZonedParts(date, city.timeZone), options);
+}
 
-        const mediaMessage = imageMessage || videoMessage;
-        const mediaType = imageMessage ? 'image' : 'video';
+/**
+ * The next prayer after an instant (sunrise isn't counted), tomorrow's fajr after isha
+ * @param {object} city
+ * @param {object} options - { method, asr }
+ * @param {Date} [now]
+ * @returns {object} { prayer, time } prayer = entry of PRAYERS
+ */
+function getNextPrayer(city, options, now = new Date()) {
+    const today = getPrayerDay(city, options, now);
+    const prayer = PRAYERS.find(p => p.id !== 'sunrise' && today[p.id] > now);
+    if (prayer) return { prayer, time: today[prayer.id] };
 
-        if (!mediaMessage) {
-            await sock.sendMessage(sender, {
-                text: '❌ الرجاء إرسال صورة/فيديو مع الأمر أو الرد على صورة/فيديو!'
-            });
-            return;
-        }
+    const tomorrow = getPrayerDay(city, options, new Date(now.getTime() + 86400000));
+    return { prayer: PRAYERS[0], time: tomorrow.fajr };
+}
 
-        await sock.sendMessage(sender, { text: '🔄 جاري إنشاء الملصق...' });
+/**
+ * Format a duration as hours and minutes, e.g. "2 ساعة و 5 دقيقة"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatRemaining(ms) {
+    const totalMinutes = Math.max(1, Math.ceil(ms / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours === 0) return `${minutes} دقيقة`;
+    return minutes === 0 ? `${hours} ساعة` : `${hours} ساعة و ${minutes} دقيقة`;
+}
 
-        try {
-            const stream = await downloadContentFromMessage(mediaMessage, mediaType);
-            const chunks = [];
+/**
+ * Build the prayer times message of a city for today
+ * @param {object} city
+ * @param {object} options - { method, asr }
+ * @returns {string}
+ */
+function formatPrayerTimes(city, options) {
+    const now = new Date();
+    const times = getPrayerDay(city, options, now);
+    const next = getNextPrayer(city, options, now);
+
+    let text = `🕌 *مواقيت الصلاة في ${city.name}* (${city.country})\n`;
+    text += `${formatTodayDates(city.timeZone)}\n`;
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    for (const prayer of PRAYERS) {
+        const marker = next.time.getTime() === times[prayer.id].getTime() ? ' ◀️' : '';
+        text += `${prayer.icon} ${prayer.name} : ${formatTimeOfDay(toTimeOfDay(times[prayer.id], city.timeZone))}${marker}\n`;
+    }
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    text += `⏳ المتبقي على ${next.prayer.name} : ${formatRemaining(next.time - now)}\n`;
+    text += `⚙️ ${METHODS[options.method].name} • العصر : ${ASR_SCHOOLS[options.asr].name}`;
+    return text;
+}
 
-            for await (const chunk of stream) {
-                chunks.push(chunk);
-            }
+/**
+ * Split /صلاة arguments into a city name and trailing method / asr school words
+ * ("مكة أم القرى حنفي" → { cityText: "مكة", method: "ummAlQura", asr: "hanafi" })
+ * @param {string[]} words
+ * @returns {object} { cityText, method, asr }
+ */
+function parsePrayerArgs(words) {
+    const rest = [...words];
+    const chosen = { method: null, asr: null };
+
+    while (rest.length > 0) {
+        // Method names can be two words ("أم القرى")
+        const pair = rest.length > 1 ? rest.slice(-2).join(' ') : null;
+        const last = rest[rest.length - 1];
+        const pairMethod = pair && findOption(METHODS, pair);
+        if (!chosen.method && pairMethod) {
+            chosen.method = pairMethod;
+            rest.splice(-2);
+        } else if (!chosen.method && findOption(METHODS, last)) {
+            chosen.method = findOption(METHODS, last);
+            rest.pop();
+        } else if (!chosen.asr && findOption(ASR_SCHOOLS, last)) {
+            chosen.asr = findOption(ASR_SCHOOLS, last);
+            rest.pop();
+        } else {
+            break;
+        }
+    }
 
-            const buffer = Buffer.concat(chunks);
+    return { cityText: rest.join(' '), ...chosen };
+}
+
+/**
+ * Reply that a city wasn't found, listing close matches
+ * @param {object} sock
+ * @param {string} sender
+ * @param {object[]} suggestions - City entries
+ */
+async function sendCityNotFound(sock, sender, suggestions) {
+    let text = '❌ لم يتم العثور على هذه المدينة.';
+    if (suggestions.length > 0) {
+        text += `\n\n🔎 هل تقصد : ${suggestions.map(city => city.name).join('، ')}`;
+    }
+    text += '\n\n💡 لعرض المدن المتاحة : /صلاة مدن';
+    await sock.sendMessage(sender, { text });
+}
+
+// Remind chats a few minutes before each prayer, once per prayer
+registerTask('prayer-reminders', config.prayer.checkIntervalMinutes * 60000, async (sock) => {
+    const now = new Date();
+    for (const [chatJid, chat] of getReminderChats()) {
+        const city = getCity(chat.city);
+        if (!city) continue;
+
+        const { prayer, time } = getNextPrayer(city, resolvePrayerOptions(city, chat), now);
+        const local = getZonedParts(time, city.timeZone);
+        const key = `${local.year}-${local.month}-${local.day}:${prayer.id}`;
+        const minutes = chat.reminderMinutes || config.prayer.reminderMinutes;
+        if (time - now > minutes * 60000 || chat.lastReminder === key) continue;
+
+        let text = `🕌 *اقترب موعد صلاة ${prayer.name}*\n\n`;
+        text += `⏰ بعد ${formatRemaining(time - now)} (${formatTimeOfDay(toTimeOfDay(time, city.timeZone))}) حسب توقيت ${city.name}\n\n`;
+        text += `> حيّ على الصلاة، حيّ على الفلاح 🤍`;
+        try {
+            await sock.sendMessage(chatJid, { text });
+            updatePrayerSettings(chatJid, { lastReminder: key });
+        } catch (error) {
+            logger.error(`Failed to send prayer reminder to ${chatJid}: ${error.message}`);
+        }
+    }
+});
+
+registerCommand('صلاة', {
+    aliases: ['صلاه', 'الصلاة', 'مواقيت', 'اذان', 'أذان', 'prayer'],
+    description: 'Prayer times of a city, calculated offline, with optional reminders',
+    descriptionAr: 'مواقيت الصلاة لمدينة (تحسب بدون إنترنت) مع تذكير اختياري قبل كل صلاة',
+    usage: '/صلاة مكة | /صلاة القاهرة مصري | /صلاة مدينة الرياض | /صلاة تذكير 10 | /صلاة تذكير إيقاف | /صلاة مدن',
+    category: 'general',
+    async execute(sock, msg, args, sender, pushName, isGroup) {
+        const action = args[0];
+        const chat = getPrayerSettings(sender);
+        const usageText = '💡 الاستخدام :\n' +
+            '/صلاة مكة ← مواقيت اليوم\n' +
+            '/صلاة القاهرة مصري حنفي ← بطريقة حساب ومذهب آخر\n' +
+            '/صلاة مدينة الرياض ← حفظ مدينة المحادثة\n' +
+            '/صلاة تذكير 10 ← تذكير قبل كل صلاة بـ 10 دقائق\n' +
+            '/صلاة مدن • /صلاة طرق';
+
+        // Saved city of the chat
+        if (!action) {
+            const city = chat && getCity(chat.city);
+            await sock.sendMessage(sender, {
+                text: city ? formatPrayerTimes(city, resolvePrayerOptions(city, chat)) : `🕌 لم يتم تحديد مدينة لهذه المحادثة.\n\n${usageText}`
+            });
+            return;
+        }
+
+        if (['مدن', 'المدن'].includes(action)) {
+            const byCountry = new Map();
+            for (const city of getAllCities()) {
+                byCountry.set(city.country, [...(byCountry.get(city.country) || []), city.name]);
+            }
+            let text = '🌍 *المدن المتاحة لمواقيت الصلاة*\n\n';
+            for (const [country, names] of byCountry) text += `📍 ${country} : ${names.join('، ')}\n`;
+            await sock.sendMessage(sender, { text: text.trim() });
+            return;
+        }
+
+        if (['طرق', 'الطرق', 'طريقة'].includes(action)) {
+            let text = '⚙️ *طرق الحساب*\n\n';
+            for (const method of Object.values(METHODS)) text += `• ${method.aliases[0]} ← ${method.name}\n`;
+            text += '\n🕰️ *العصر* : الجمهور (شافعي) أو حنفي\n\n💡 مثال : /صلاة لندن رابطة حنفي';
+            await sock.sendMessage(sender, { text });
+            return;
+        }
+
+        const isSetting = ['مدينة', 'مدينه', 'حفظ', 'تعيين', 'تذكير', 'تنبيه'].includes(action);
+        if (isSetting && isGroup && !(await isGroupAdmin(sock, sender, getUserJid(msg)))) {
+            await sock.sendMessage(sender, { text: '🔒 إعدادات الصلاة في المجموعة متاحة للمشرفين فقط.' });
+            return;
+        }
+
+        if (['مدينة', 'مدينه', 'حفظ', 'تعيين'].includes(action)) {
+            const parsed = parsePrayerArgs(args.slice(1));
+            const { city, suggestions } = findCity(parsed.cityText);
+            if (!city) {
+                await sendCityNotFound(sock, sender, suggestions);
+                return;
+            }
+
+            const saved = updatePrayerSettings(sender, { city: city.id, method: parsed.method, asr: parsed.asr, lastReminder: null });
+            // Other schedules (e.g. /ورد) follow the chat's city time zone
+            setPref(sender, 'timeZone', city.timeZone);
+            logger.info(`Prayer city of ${sender} set to ${city.id}`);
+            await sock.sendMessage(sender, {
+                text: `✅ تم حفظ مدينة المحادثة : ${city.name}\n\n${formatPrayerTimes(city, resolvePrayerOptions(city, saved))}\n\n💡 للتذكير قبل كل صلاة : /صلاة تذكير`
+            });
+            return;
+        }
+
+        if (['تذكير', 'تنبيه'].includes(action)) {
+            const setting = toWesternDigits(args[1] || '');
+            if (['إيقاف', 'ايقاف', 'الغاء', 'إلغاء'].includes(setting)) {
+                updatePrayerSettings(sender, { reminders: false });
+                await sock.sendMessage(sender, { text: '🔕 تم إيقاف تذكير الصلاة.' });
+                return;
+            }
+
+            const city = chat && getCity(chat.city);
+            if (!city) {
+                await sock.sendMessage(sender, { text: '❌ حدد مدينة المحادثة أولاً.\n💡 مثال : /صلاة مدينة الرياض' });
+                return;
+            }
+
+            const minutes = /^\d+$/.test(setting) ? parseInt(setting, 10) : config.prayer.reminderMinutes;
+            if (minutes < 1 || minutes > config.prayer.maxReminderMinutes) {
+                await sock.sendMessage(sender, { text: `❌ مدة التذكير يجب أن تكون بين 1 و ${config.prayer.maxReminderMinutes} دقيقة.` });
+                return;
+            }
+
+            updatePrayerSettings(sender, { reminders: true, reminderMinutes: minutes });
+            await sock.sendMessage(sender, {
+                text: `🔔 تم تفعيل التذكير قبل كل صلاة بـ ${minutes} دقيقة حسب توقيت ${city.name}.\n💡 للإيقاف : /صلاة تذكير إيقاف`
+            });
+            return;
+        }
+
+        // One-off lookup: /صلاة <مدينة> [طريقة] [مذهب]
+        const parsed = parsePrayerArgs(args);
+        const { city, suggestions } = findCity(parsed.cityText);
+        if (!city) {
+            await sendCityNotFound(sock, sender, suggestions);
+            return;
+        }
+        await sock.sendMessage(sender, { text: formatPrayerTimes(city, resolvePrayerOptions(city, parsed)) });
+    }
+});
+
+// ── Hijri Calendar & Occasions ────────────────────────────────────────────────
+/**
+ * Time zone of a chat: its prayer city, else the one saved with the city, else config.bot.timezone
+ * @param {string} chatJid
+ * @returns {string}
+ */
+function getChatTimeZone(chatJid) {
+    const chat = getPrayerSettings(chatJid);
+    const city = chat && getCity(chat.city);
+    return city?.timeZone || getPref(chatJid, 'timeZone') || config.bot.timezone;
+}
+
+/**
+ * Parse a date given to /هجري: "1 رمضان 1447", "20 مارس 2026", "1447/9/1", "1/9/1447 هـ"
+ * Numeric dates are Hijri when the year is below 1700 unless marked with هـ or م.
+ * @param {string[]} args
+ * @param {string} timeZone - For the current year when none is given
+ * @returns {object|null} { calendar: 'hijri' | 'gregorian', year, month, day }
+ */
+function parseDateArgs(args, timeZone) {
+    const words = toWesternDigits(args.join(' ')).replace(/[،,]/g, ' ').split(/\s+/).filter(Boolean);
+    let calendar = null;
+    if (words.length === 0) return null;
+
+    // Era mark, alone or stuck to the year ("1447هـ")
+    const era = words[words.length - 1].match(/^(\d*)(هـ|ه|هجري|هجريه|هجرية|م|ميلادي|ميلاديه|ميلادية)$/);
+    if (era) {
+        calendar = era[2].startsWith('ه') ? 'hijri' : 'gregorian';
+        if (era[1]) words[words.length - 1] = era[1];
+        else words.pop();
+    }
+    if (words.length === 0) return null;
+
+    let year;
+    let month;
+    let day;
+    // "1 9 1447" is read like "1/9/1447"
+    if (words.length === 3 && words.every(word => /^\d+$/.test(word))) words.splice(0, 3, words.join('/'));
+    const numeric = words.length === 1 && words[0].match(/^(\d{1,4})[/\-.](\d{1,2})[/\-.](\d{1,4})$/);
+    if (numeric) {
+        const [a, b, c] = numeric.slice(1).map(Number);
+        [year, month, day] = numeric[1].length >= 3 ? [a, b, c] : [c, b, a];
+    } else {
+        if (words.length < 2 || !/^\d{1,2}$/.test(words[0])) return null;
+        day = parseInt(words[0], 10);
+        const yearWord = /^\d{3,4}$/.test(words[words.length - 1]) ? words.pop() : null;
+        const found = findMonth(words.slice(1).join(' '));
+        if (!found || (calendar && calendar !== found.calendar)) return null;
+        calendar = found.calendar;
+        month = found.month;
+
+        if (yearWord) {
+            year = parseInt(yearWord, 10);
+        } else {
+            const today = getZonedParts(new Date(), timeZone);
+            year = calendar === 'hijri' ? gregorianToHijri(today.year, today.month, today.day)?.year : today.year;
+        }
+    }
+
+    return { calendar: calendar || (year < 1700 ? 'hijri' : 'gregorian'), year, month, day };
+}
+
+/**
+ * Today's Gregorian and Hijri dates in a time zone, e.g. for /وقت
+ * @param {string} timeZone
+ * @returns {string} Two lines; the Hijri one is left out outside the supported range
+ */
+function formatTodayDates(timeZone) {
+    const today = getZonedParts(new Date(), timeZone);
+    const hijri = gregorianToHijri(today.year, today.month, today.day);
+    return `📅 ${formatGregorian(today)}${hijri ? `\n🌙 ${formatHijri(hijri)}` : ''}`;
+}
+
+/**
+ * Calendar facts occasion reminders are decided on, for a local date
+ * @param {object} local - Result of getZonedParts()
+ * @returns {object|null} { weekday, hijri, tomorrow: { weekday, hijri } }
+ */
+function getOccasionDay(local) {
+    const tomorrow = new Date(Date.UTC(local.year, local.month - 1, local.day + 1));
+    const hijri = gregorianToHijri(local.year, local.month, local.day);
+    const tomorrowHijri = gregorianToHijri(tomorrow.getUTCFullYear(), tomorrow.getUTCMonth() + 1, tomorrow.getUTCDate());
+    if (!hijri || !tomorrowHijri) return null;
+    return { weekday: local.weekday, hijri, tomorrow: { weekday: tomorrow.getUTCDay(), hijri: tomorrowHijri } };
+}
+
+// Send each chat the occasions of the day at config.occasions.morningTime / eveningTime
+registerTask('occasion-reminders', config.occasions.checkIntervalMinutes * 60000, async (sock) => {
+    const now = new Date();
+    for (const [chatJid, chat] of getOccasionChats()) {
+        const timeZone = getChatTimeZone(chatJid);
+        const local = getZonedParts(now, timeZone);
+        const dateKey = `${local.year}-${local.month}-${local.day}`;
+        const day = getOccasionDay(local);
+        if (!day) continue;
+
+        for (const occasion of OCCASIONS) {
+            if (!chat.occasions.includes(occasion.id) || chat.sent[occasion.id] === dateKey) continue;
+
+            // Only within a few hours of the slot, so a late reconnect doesn't send stale reminders
+            const [hour, minute] = config.occasions[`${occasion.slot}Time`].split(':').map(Number);
+            const slot = zonedTimeToDate(local.year, local.month, local.day, hour, minute, timeZone);
+            if (now < slot || now - slot > config.occasions.windowHours * 3600000) continue;
+
+            const text = occasion.message(day);
+            if (!text) continue;
+            try {
+                await sock.sendMessage(chatJid, { text });
+                markOccasionSent(chatJid, occasion.id, dateKey);
+                logger.info(`Occasion reminder "${occasion.id}" sent to ${chatJid}`);
+            } catch (error) {
+                logger.error(`Failed to send occasion reminder "${occasion.id}" to ${chatJid}: ${error.message}`);
+            }
+        }
+    }
+});
+
+registerCommand('هجري', {
+    aliases: ['الهجري', 'تاريخ', 'التاريخ', 'hijri'],
+    description: 'Today\'s Hijri date, or convert a date between Hijri and Gregorian',
+    descriptionAr: 'التاريخ الهجري اليوم، أو تحويل تاريخ بين الهجري والميلادي',
+    usage: '/هجري | /هجري 1 رمضان 1447 | /هجري 20 مارس 2026 | /هجري 1447/9/1',
+    category: 'general',
+    async execute(sock, msg, args, sender) {
+        const timeZone = getChatTimeZone(sender);
+
+        if (args.length === 0) {
+            await sock.sendMessage(sender, {
+                text: `🗓️ *تاريخ اليوم*\n\n${formatTodayDates(timeZone)}\n\n💡 للتحويل : /هجري 1 رمضان 1447 أو /هجري 20 مارس 2026\n🔔 تذكير المناسبات : /مناسبات`
+            });
+            return;
+        }
+
+        const date = parseDateArgs(args, timeZone);
+        if (!date || !date.year) {
+            await sock.sendMessage(sender, {
+                text: '❌ تاريخ غير صحيح.\n\n💡 أمثلة :\n/هجري 1 رمضان 1447\n/هجري 20 مارس 2026\n/هجري 1447/9/1\n/هجري 20/3/2026'
+            });
+            return;
+        }
+
+        if (date.calendar === 'hijri') {
+            const gregorian = hijriToGregorian(date.year, date.month, date.day);
+            if (!gregorian) {
+                await sock.sendMessage(sender, {
+                    text: '❌ هذا التاريخ غير موجود في تقويم أم القرى (قد يكون الشهر 29 يوماً) أو خارج المدى المتاح (1300 - 1600 هـ).'
+                });
+                return;
+            }
+            await sock.sendMessage(sender, { text: `🌙 ${formatHijri(date)}\n📅 يوافق : ${formatGregorian(gregorian)}` });
+            return;
+        }
+
+        // Reject days that would roll over into the next month (31 فبراير)
+        const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+        const hijri = check.getUTCMonth() === date.month - 1 && gregorianToHijri(date.year, date.month, date.day);
+        if (!hijri) {
+            await sock.sendMessage(sender, { text: '❌ هذا التاريخ غير صحيح أو خارج المدى المتاح (1882 - 2174 م).' });
+            return;
+        }
+        await sock.sendMessage(sender, { text: `📅 ${formatGregorian(date)}\n🌙 يوافق : ${formatHijri(hijri)}` });
+    }
+});
+
+registerCommand('مناسبات', {
+    aliases: ['المناسبات', 'occasions'],
+    description: 'Opt in to reminders of Islamic occasions (Friday Kahf, fasting days, Arafah, Ramadan...)',
+    descriptionAr: 'تذكير بالمناسبات الإسلامية: الكهف يوم الجمعة، الأيام البيض، الاثنين والخميس، عرفة، عاشوراء، رمضان والعشر الأواخر',
+    usage: '/مناسبات | /مناسبات تفعيل [اسم | الكل] | /مناسبات إيقاف [اسم | الكل]',
+    category: 'general',
+    async execute(sock, msg, args, sender, pushName, isGroup) {
+        const action = args[0];
+        const enabled = getChatOccasions(sender);
+
+        if (!action) {
+            let text = '🔔 *تذكير المناسبات الإسلامية*\n\n';
+            for (const occasion of OCCASIONS) {
+                text += `${enabled.includes(occasion.id) ? '✅' : '⬜'} ${occasion.name}\n`;
+            }
+
+            // Next yearly occasions with their Gregorian dates
+            const timeZone = getChatTimeZone(sender);
+            const today = getZonedParts(new Date(), timeZone);
+            const hijri = gregorianToHijri(today.year, today.month, today.day);
+            if (hijri) {
+                text += '\n📆 *القادم حسب تقويم أم القرى*\n';
+                const todayTime = Date.UTC(today.year, today.month - 1, today.day);
+                for (const [name, month, day] of [['رمضان', 9, 1], ['يوم عرفة', 12, 9], ['عاشوراء', 1, 10]]) {
+                    const passed = month < hijri.month || (month === hijri.month && day < hijri.day);
+                    const date = hijriToGregorian(hijri.year + (passed ? 1 : 0), month, day);
+                    if (!date) continue;
+                    const days = Math.round((Date.UTC(date.year, date.month - 1, date.day) - todayTime) / 86400000);
+                    text += `• ${name} : ${formatGregorian(date)} (${days === 0 ? 'اليوم' : `بعد ${days} يوم`})\n`;
+                }
+            }
+
+            text += `\n⏰ تذكير اليوم نفسه الساعة ${formatTimeOfDay(config.occasions.morningTime)}، وتذكير الصيام والليالي مساء اليوم السابق ${formatTimeOfDay(config.occasions.eveningTime)}`;
+            text += '\n💡 /مناسبات تفعيل [اسم | الكل] • /مناسبات إيقاف [اسم | الكل]';
+            await sock.sendMessage(sender, { text });
+            return;
+        }
+
+        const turnOn = ['تفعيل', 'تشغيل'].includes(action);
+        const turnOff = ['إيقاف', 'ايقاف', 'إلغاء', 'الغاء'].includes(action);
+        if (!turnOn && !turnOff) {
+            await sock.sendMessage(sender, { text: '💡 الاستخدام : /مناسبات | /مناسبات تفعيل [اسم | الكل] | /مناسبات إيقاف [اسم | الكل]' });
+            return;
+        }
+
+        if (isGroup && !(await isGroupAdmin(sock, sender, getUserJid(msg)))) {
+            await sock.sendMessage(sender, { text: '🔒 تذكير المناسبات في المجموعة يضبطه المشرفون فقط.' });
+            return;
+        }
+
+        const target = args.slice(1).join(' ');
+        let ids;
+        if (!target || ['الكل', 'الجميع', 'كل'].includes(target)) {
+            ids = OCCASIONS.map(occasion => occasion.id);
+        } else {
+            const occasion = findOccasion(target);
+            if (!occasion) {
+                await sock.sendMessage(sender, { text: `❌ مناسبة غير معروفة.\n\n📋 المتاح : ${OCCASIONS.map(o => o.aliases[0]).join('، ')}` });
+                return;
+            }
+            ids = [occasion.id];
+        }
+
+        const updated = turnOn
+            ? [...new Set([...enabled, ...ids])]
+            : enabled.filter(id => !ids.includes(id));
+        setChatOccasions(sender, updated);
+
+        const names = OCCASIONS.filter(o => ids.includes(o.id)).map(o => o.name).join('، ');
+        await sock.sendMessage(sender, {
+            text: turnOn ? `🔔 تم تفعيل التذكير : ${names}` : `🔕 تم إيقاف التذكير : ${names}`
+        });
+    }
+});
+
+// Echo Command - صدى
+registerCommand('echo', {
+    aliases: ['صدى', 'ردد', 'قل'],
+    description: 'Echo back the provided text',
+    descriptionAr: 'إعادة النص المرسل',
+    usage: '!echo <text> | !صدى <نص>',
+    category: 'fun',
+    async execute(sock, msg, args, sender) {
+        const text = args.join(' ');
+        if (text) {
+            await sock.sendMessage(sender, { text: `📢 ${text} ` });
+        } else {
+            await sock.sendMessage(sender, {
+                text: '❌ الرجاء إدخال نص!'
+            });
+        }
+    }
+});
+
+// Sticker Command - ملصق
+registerCommand('sticker', {
+    aliases: ['ملصق', 'ستيكر', 's'],
+    description: 'Convert image to sticker',
+    descriptionAr: 'تحويل صورة إلى ملصق',
+    usage: '!sticker | !ملصق (رد على صورة أو أرسل مع صورة)',
+    category: 'media',
+    async execute(sock, msg, args, sender) {
+        const { downloadContentFromMessage } = await import('@whiskeysockets/baileys');
+        const { Sticker, StickerTypes } = await import('wa-sticker-formatter');
+
+        const quotedMessage = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+        const imageMessage = msg.message?.imageMessage || quotedMessage?.imageMessage;
+        const videoMessage = msg.message?.videoMessage || quotedMessage?.videoMessage;
+
+        const mediaMessage = imageMessage || videoMessage;
+        const mediaType = imageMessage ? 'image' : 'video';
+
+        if (!mediaMessage) {
+            await sock.sendMessage(sender, {
+                text: '❌ الرجاء إرسال صورة/فيديو مع الأمر أو الرد على صورة/فيديو!'
+            });
+            return;
+        }
+
+        await sock.sendMessage(sender, { text: '🔄 جاري إنشاء الملصق...' });
+
+        try {
+            const stream = await downloadContentFromMessage(mediaMessage, mediaType);
+            const chunks = [];
+
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+            }
+
+            const buffer = Buffer.concat(chunks);
 
             // Create sticker with metadata using wa-sticker-formatter
             const sticker = new Sticker(buffer, {
@@ -482,6 +1610,138 @@ registerCommand('chatstats', {
     }
 });
 
+// Asset Cache Command - التخزين المؤقت
+const cacheTypeNames = {
+    page: 'صفحات المصحف',
+    audio: 'تلاوات السور',
+    'ayah-audio': 'تلاوات الآيات',
+    surah: 'نصوص السور',
+    ayah: 'نصوص الآيات'
+};
+
+/**
+ * Download every item of a prefetch job into the cache, one at a time,
+ * reporting progress to the owner's chat
+ * @param {object} sock - Socket
+ * @param {string} sender - Owner chat JID
+ * @param {object} job - { label, keys, fetch(i), done, total, stopped }
+ */
+async function runPrefetch(sock, sender, job) {
+    let failed = 0;
+    for (let i = 0; i < job.total && !job.stopped; i++) {
+        try {
+            if (!isCached(job.keys[i])) await job.fetch(i);
+        } catch (error) {
+            failed++;
+            logger.warn(`Prefetch of ${job.keys[i]} failed: ${error.message}`);
+        }
+        job.done = i + 1;
+        if (job.done % 100 === 0 && job.done < job.total) {
+            await sock.sendMessage(sender, { text: `⏳ ${job.label} : ${job.done} / ${job.total}` });
+        }
+    }
+
+    prefetchJob = null;
+    const status = job.stopped ? '⏹️ تم إيقاف التحميل' : '✅ اكتمل التحميل';
+    await sock.sendMessage(sender, {
+        text: `${status} : ${job.label}\n\n📥 ${job.done} / ${job.total}${failed ? `\n❌ فشل : ${failed}` : ''}`
+    });
+}
+
+registerCommand('cache', {
+    aliases: ['كاش', 'التخزين', 'تخزين'],
+    description: 'Show asset cache stats, clear it or prefetch pages / recitations',
+    descriptionAr: 'عرض إحصائيات التخزين المؤقت أو مسحه أو تحميل الصفحات والتلاوات مسبقاً',
+    usage: '/كاش | /كاش مسح [صفحات|تلاوات|آيات|نصوص] | /كاش تحميل صفحات | /كاش تحميل سور [القارئ] | /كاش إيقاف',
+    category: 'owner',
+    ownerOnly: true,
+    async execute(sock, msg, args, sender) {
+        const action = args[0];
+
+        // Stats
+        if (!action) {
+            const stats = getCacheStats();
+            const percent = stats.maxSize ? Math.round((stats.size / stats.maxSize) * 100) : 0;
+            let text = `🗄️ * التخزين المؤقت *\n\n`;
+            text += `├ 📦 الملفات: ${stats.count}\n`;
+            text += `└ 💾 الحجم: ${formatBytes(stats.size)} من ${formatBytes(stats.maxSize)} (${percent}%)\n`;
+            const types = Object.entries(stats.types);
+            if (types.length > 0) {
+                text += '\n';
+                for (const [type, { count, size }] of types) {
+                    text += `• ${cacheTypeNames[type] || type}: ${count} (${formatBytes(size)})\n`;
+                }
+            }
+            if (!config.cache.enabled) text += '\n⚠️ التخزين المؤقت معطّل في الإعدادات';
+            if (prefetchJob) text += `\n⏳ جاري تحميل ${prefetchJob.label} : ${prefetchJob.done} / ${prefetchJob.total}`;
+            await sock.sendMessage(sender, { text: text.trim() });
+            return;
+        }
+
+        if (action === 'مسح') {
+            const typeArg = args[1];
+            const aliases = { 'صفحات': 'page', 'تلاوات': 'audio', 'سور': 'audio', 'آيات': 'ayah-audio', 'ايات': 'ayah-audio' };
+            let removed;
+            if (typeArg === 'نصوص') {
+                removed = clearCache('surah') + clearCache('ayah');
+            } else {
+                removed = clearCache(typeArg ? (aliases[typeArg] || typeArg) : undefined);
+            }
+            await sock.sendMessage(sender, { text: `🗑️ تم حذف ${removed} ملف من التخزين المؤقت.` });
+            return;
+        }
+
+        if (action === 'إيقاف' || action === 'ايقاف') {
+            if (!prefetchJob) {
+                await sock.sendMessage(sender, { text: '❌ لا يوجد تحميل جارٍ.' });
+                return;
+            }
+            prefetchJob.stopped = true;
+            return;
+        }
+
+        if (action === 'تحميل') {
+            if (prefetchJob) {
+                await sock.sendMessage(sender, { text: `⏳ يوجد تحميل جارٍ : ${prefetchJob.label} (${prefetchJob.done} / ${prefetchJob.total})` });
+                return;
+            }
+            if (!config.cache.enabled) {
+                await sock.sendMessage(sender, { text: '⚠️ التخزين المؤقت معطّل في الإعدادات.' });
+                return;
+            }
+
+            let job;
+            if (args[1] === 'صفحات') {
+                const pages = Array.from({ length: 604 }, (_, i) => i + 1);
+                job = { label: 'صفحات المصحف', keys: pages.map(page => `page:${page}`), fetch: i => fetchPageImage(pages[i]) };
+            } else if (args[1] === 'سور') {
+                const reciter = args.length > 2 ? findReciter(args.slice(2).join(' ')) : getPreferredReciter(getUserJid(msg), sender);
+                if (!reciter) {
+                    await sock.sendMessage(sender, { text: '❌ لم يتم العثور على هذا القارئ.\n\nلعرض القراء استخدم الأمر : /قارئ' });
+                    return;
+                }
+                const surahs = Array.from({ length: 114 }, (_, i) => i + 1);
+                job = { label: `تلاوات ${reciter.name}`, keys: surahs.map(n => `audio:${reciter.id}:${n}`), fetch: i => fetchSurahAudio(reciter, surahs[i]) };
+            } else {
+                await sock.sendMessage(sender, { text: '💡 الاستخدام : /كاش تحميل صفحات | /كاش تحميل سور [القارئ]' });
+                return;
+            }
+
+            prefetchJob = { ...job, done: 0, total: job.keys.length, stopped: false };
+            await sock.sendMessage(sender, { text: `📥 بدأ تحميل ${job.label} (${job.keys.length})...\n\nللإيقاف : /كاش إيقاف` });
+
+            // Runs in the background so the bot keeps answering meanwhile
+            runPrefetch(sock, sender, prefetchJob).catch(error => {
+                prefetchJob = null;
+                logger.error(`Prefetch failed: ${error.message}`);
+            });
+            return;
+        }
+
+        await sock.sendMessage(sender, { text: '💡 الاستخدام : /كاش | /كاش مسح [صفحات|تلاوات|آيات|نصوص] | /كاش تحميل صفحات | /كاش تحميل سور [القارئ] | /كاش إيقاف' });
+    }
+});
+
 registerCommand('فهرس', {
     aliases: ['قائمة', 'قائمة السور', 'لستة', 'السور'],
     description: 'show random surah from holy quran',
@@ -489,46 +1749,17 @@ registerCommand('فهرس', {
     category: 'quran',
     async execute(sock, msg, args, sender) {
         try {
-            const list = `1 - الفاتحة	2 - البقرة	3 - آل عمران
-4 - النساء	5 - المائدة	6 - الأنعام
-7 - الأعراف	8 - الأنفال	9 - التوبة
-10 - يونس	11 - هود	12 - يوسف
-13 - الرعد	14 - إبراهيم	15 - الحجر
-16 - النحل	17 - الإسراء	18 - الكهف
-19 - مريم	20 - طه	21 - الأنبياء
-22 - الحج	23 - المؤمنون	24 - النور
-25 - الفرقان	26 - الشعراء	27 - النمل
-28 - القصص	29 - العنكبوت	30 - الروم
-31 - لقمان	32 - السجدة	33 - الأحزاب
-34 - سبأ	35 - فاطر	36 - يس
-37 - الصافات	38 - ص	39 - الزمر
-40 - غافر	41 - فصلت	42 - الشورى
-43 - الزخرف	44 - الدخان	45 - الجاثية
-46 - الأحقاف	47 - محمد	48 - الفتح
-49 - الحجرات	50 - ق	51 - الذاريات
-52 - الطور	53 - النجم	54 - القمر
-55 - الرحمن	56 - الواقعة	57 - الحديد
-58 - المجادلة	59 - الحشر	60 - الممتحنة
-61 - الصف	62 - الجمعة	63 - المنافقون
-64 - التغابن	65 - الطلاق	66 - التحريم
-67 - الملك	68 - القلم	69 - الحاقة
-70 - المعارج	71 - نوح	72 - الجن
-73 - المزمل	74 - المدثر	75 - القيامة
-76 - الإنسان	77 - المرسلات	78 - النبأ
-79 - النازعات	80 - عبس	81 - التكوير
-82 - الانفطار	83 - المطففين	84 - الانشقاق
-85 - البروج	86 - الطارق	87 - الأعلى
-88 - الغاشية	89 - الفجر	90 - البلد
-91 - الشمس	92 - الليل	93 - الضحى
-94 - الشرح	95 - التين	96 - العلق
-97 - القدر	98 - البينة	99 - الزلزلة
-100 - العاديات	101 - القارعة	102 - التكاثر
-103 - العصر	104 - الهمزة	105 - الفيل
-106 - قريش	107 - الماعون	108 - الكوثر
-109 - الكافرون	110 - النصر	111 - المسد
-112 - الإخلاص	113 - الفلق	114 - الناس`
-
-            await sock.sendMessage(sender, { text: `🕌 فهرس سور القرآن الكريم 🕋\n💡استخدم الأمر : /سورة + رقم السورة\n\n${list}` });
+            const surahs = getAllSurahs();
+            if (surahs.length === 0) throw new Error('Surah metadata not loaded');
+
+            // Three surahs per line
+            const rows = [];
+            for (let i = 0; i < surahs.length; i += 3) {
+                rows.push(surahs.slice(i, i + 3).map(s => `${s.number} - ${s.name}`).join('\t'));
+            }
+            const list = rows.join('\n');
+
+            await sock.sendMessage(sender, { text: `🕌 فهرس سور القرآن الكريم 🕋\n💡استخدم الأمر : /سورة + رقم السورة أو اسمها\n\n${list}` });
 
         } catch (error) {
             logger.error(`Surah fetch failed: ${error.message}`);
@@ -546,48 +1777,25 @@ registerCommand('surah', {
     category: 'quran',
     async execute(sock, msg, args, sender) {
         try {
-            const surahindex = args[0];
-
             // Validate input
-            if (!surahindex) {
+            if (args.length === 0) {
                 await sock.sendMessage(sender, {
-                    text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /سورة + رقم السورة\n\nلعرض فهرس السور استخدم الأمر : /فهرس 📜'
+                    text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /سورة + رقم السورة أو اسمها\n💡 مثال: /سورة 18 أو /سورة الكهف\n\nلعرض فهرس السور استخدم الأمر : /فهرس 📜'
                 });
                 return;
             }
-            if (!isValidSurahNumber(surahindex)) {
-                await sock.sendMessage(sender, {
-                    text: '❌ الرجاء إدخال رقم سورة صحيح بين 1 و 114.\n💡 مثال: /سورة 1'
-                });
+
+            const found = findSurah(args.join(' '));
+            if (!found.surah) {
+                await sendSurahNotFound(sock, sender, found.suggestions, '/سورة الكهف');
                 return;
             }
 
             await sock.sendMessage(sender, { text: '🕌 جاري جلب سورة من القرآن الكريم...' }, { quoted: msg });
 
-            const surahUrl = `https://quran-api.santrikoding.com/api/surah/${surahindex}`;
-            const response = await axios.get(surahUrl);
-            const surahData = response.data;
-
-            if (!surahData || !surahData.ayat) {
-                throw new Error('Invalid API response');
-            }
-
-            const surahName = surahData.nama;
-            const ayatCount = surahData.jumlah_ayat;
-            let surahType = surahData.tempat_turun;
-            surahType = surahType === 'madinah' ? 'مـدنـيـة 🕌' : 'مـكـيـة 🕋';
-
-            let surahText = `🕌 سـورة : ${surahName}\n💡نـوعـهـا : ${surahType}\n📜عـدد آيـاتـهـا : ${ayatCount}\n\n`;
-
-            for (const aya of surahData.ayat) {
-                surahText += `(${aya.nomor}) ${aya.ar}\n`;
-            }
-
-            surahText += `\n\nتقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍`;
-
-            await sock.sendMessage(sender, {
-                text: surahText
-            }, { quoted: msg });
+            const surahData = await fetchSurah(found.surah);
+            searchPaging.delete(sender);
+            await sendSurahPart(sock, msg, sender, surahData, 1);
 
         } catch (error) {
             logger.error(`Surah fetch failed: ${error.message}`);
@@ -598,56 +1806,170 @@ registerCommand('surah', {
     }
 })
 
-
-registerCommand('تلاوة', {
-    aliases: ['صوت', 'تلاوه', 'قراءة', 'voice'],
-    description: 'show a full surah from holy quran',
-    descriptionAr: 'ارسال سورة كاملة بالصوت من القرآن الكريم',
+registerCommand('التالي', {
+    aliases: ['next', 'التالى', 'تابع', 'متابعة'],
+    description: 'Send the next part of the surah being read or the next search results',
+    descriptionAr: 'إرسال القسم التالي من السورة الجاري قراءتها أو الصفحة التالية من نتائج البحث',
+    category: 'quran',
+    async execute(sock, msg, args, sender) {
+        // An open search listing takes precedence over the surah being read
+        const search = getSearchPaging(sender);
+        if (search?.type === 'hadith') {
+            await sendHadithSearchPage(sock, msg, sender, search, search.page + 1);
+            return;
+        }
+        if (search) {
+            await sendSearchPage(sock, msg, sender, search.query, search.exact, search.page + 1);
+            return;
+        }
+
+        const reading = getReading(sender);
+
+        if (!reading) {
+            await sock.sendMessage(sender, {
+                text: '📖 لا توجد قراءة جارية في هذه المحادثة.\n\nابدأ بالأمر : /سورة + رقم السورة'
+            });
+            return;
+        }
+
+        try {
+            if (reading.range) {
+                await sendRangePart(sock, msg, sender, reading.range, reading.part + 1);
+                return;
+            }
+            const surahData = await fetchSurah(reading.surah);
+            await sendSurahPart(sock, msg, sender, surahData, reading.part + 1);
+        } catch (error) {
+            logger.error(`Surah fetch failed: ${error.message}`);
+            await sock.sendMessage(sender, {
+                text: '❌ فشل في جلب سورة من القرآن الكريم. حاول مرة أخرى.'
+            });
+        }
+    }
+});
+
+registerCommand('تلاوة', {
+    aliases: ['صوت', 'تلاوه', 'قراءة', 'voice'],
+    description: 'Send a surah, verses or a page as recitation audio',
+    descriptionAr: 'ارسال سورة كاملة أو آيات أو صفحة بالصوت من القرآن الكريم',
+    usage: '/تلاوة 36 | /تلاوة 2:255 | /تلاوة 2:1-20 | /تلاوة صفحة 50 [+ القارئ]',
     category: 'quran',
     async execute(sock, msg, args, sender) {
         try {
-            const surahindex = args[0];
+            const target = args[0];
+            const usage = 'أمر خاطيء ❌\n\nاستعمل الأمر : /تلاوة + رقم السورة أو اسمها [+ اسم القارئ]\n💡 مثال: /تلاوة يس الحصري\n💡 آيات : /تلاوة 2:255 أو /تلاوة الكهف 1-10\n💡 صفحة : /تلاوة صفحة 50\n\nلعرض فهرس السور استخدم الأمر : /فهرس 📜\nلعرض القراء استخدم الأمر : /قارئ 🎙️';
 
             // Validate input
-            if (!surahindex) {
-                await sock.sendMessage(sender, {
-                    text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /تلاوة + رقم السورة\n\nلعرض فهرس السور استخدم الأمر : /فهرس 📜'
-                });
+            if (!target) {
+                await sock.sendMessage(sender, { text: usage });
                 return;
             }
-            if (!isValidSurahNumber(surahindex)) {
-                await sock.sendMessage(sender, {
-                    text: '❌ الرجاء إدخال رقم سورة صحيح بين 1 و 114.\n💡 مثال: /سورة 1'
-                });
-                return;
+
+            // What to recite: a page, a verse reference or a whole surah
+            let range = null;
+            let heading = '';
+            let reciterArgs;
+
+            let surahNumber = null;
+            let ref = null;
+
+            if (['صفحة', 'صفحه'].includes(target)) {
+                const page = toWesternDigits(args[1] || '');
+                if (!isValidPageNumber(page)) {
+                    await sock.sendMessage(sender, {
+                        text: '❌ الرجاء إدخال رقم صفحة صحيح بين 1 و 604.\n💡 مثال: /تلاوة صفحة 50'
+                    });
+                    return;
+                }
+                range = getPageRange(parseInt(page, 10));
+                if (!range) {
+                    await sock.sendMessage(sender, { text: '❌ تلاوة الصفحات غير متاحة حالياً، لم يتم تحميل فهرس الصفحات.' });
+                    return;
+                }
+                heading = `📄 الصفحة : ${page}`;
+                reciterArgs = args.slice(2);
+            } else if (target.includes(':')) {
+                ref = parseAyahReference(target);
+                if (!ref) {
+                    await sock.sendMessage(sender, { text: usage });
+                    return;
+                }
+                reciterArgs = args.slice(1);
+            } else {
+                // Surah number or name, optionally followed by verses: "/تلاوة الكهف 1-10"
+                const parsed = parseSurahArgs(args);
+                if (!parsed.surah) {
+                    await sendSurahNotFound(sock, sender, parsed.suggestions, '/تلاوة الكهف');
+                    return;
+                }
+                surahNumber = parsed.surah;
+                reciterArgs = parsed.rest;
+
+                const verses = toWesternDigits(parsed.rest[0] || '').match(/^(\d+)(?:[-–—](\d+))?$/);
+                if (verses) {
+                    const from = parseInt(verses[1], 10);
+                    ref = { surah: surahNumber, from, to: verses[2] ? parseInt(verses[2], 10) : from };
+                    reciterArgs = parsed.rest.slice(1);
+                }
             }
 
-            // await sock.sendMessage(sender, { text: '🕌 جاري جلب سورة من القرآن الكريم...' }, { quoted: msg });
+            if (ref) {
+                const surahInfo = getSurahInfo(ref.surah);
+                if (ref.from < 1 || ref.from > ref.to) {
+                    await sock.sendMessage(sender, { text: usage });
+                    return;
+                }
+                if (surahInfo && ref.to > surahInfo.ayahCount) {
+                    await sock.sendMessage(sender, {
+                        text: `❌ سورة ${surahInfo.name} عدد آياتها ${surahInfo.ayahCount} فقط.`
+                    });
+                    return;
+                }
+                if (ref.to - ref.from + 1 > config.recitation.maxAyahs) {
+                    await sock.sendMessage(sender, {
+                        text: `❌ يمكن تلاوة ${config.recitation.maxAyahs} آية كحد أقصى في المرة الواحدة.\n\nلتلاوة السورة كاملة استخدم الأمر : /تلاوة + رقم السورة`
+                    });
+                    return;
+                }
+                const first = await fetchAyah(ref.surah, ref.from);
+                range = { first: first.number, last: first.number + (ref.to - ref.from) };
+            }
 
-            const surahUrl = `https://quran-api.santrikoding.com/api/surah/${surahindex}`;
-            const response = await axios.get(surahUrl);
-            const surahData = response.data;
+            // Optional reciter after the surah / verses / page, otherwise the user's / chat's default
+            let reciter;
+            if (reciterArgs.length > 0) {
+                reciter = findReciter(reciterArgs.join(' '));
+                if (!reciter) {
+                    await sock.sendMessage(sender, {
+                        text: '❌ لم يتم العثور على هذا القارئ.\n\nلعرض القراء استخدم الأمر : /قارئ 🎙️'
+                    });
+                    return;
+                }
+            } else {
+                reciter = getPreferredReciter(getUserJid(msg), sender);
+            }
 
-            if (!surahData || !surahData.ayat) {
-                throw new Error('Invalid API response');
+            if (range) {
+                await sendAyahRecitation(sock, msg, sender, reciter, range.first, range.last, heading);
+                logger.success(`Sent recitation of ayahs ${range.first}-${range.last} to ${sender}`);
+                return;
             }
 
-            const surahName = surahData.nama;
-            const ayatCount = surahData.jumlah_ayat;
-            let surahType = surahData.tempat_turun;
-            surahType = surahType === 'madinah' ? 'مـدنـيـة 🕌' : 'مـكـيـة 🕋';
+            // await sock.sendMessage(sender, { text: '🕌 جاري جلب سورة من القرآن الكريم...' }, { quoted: msg });
+
+            const surahData = await fetchSurah(surahNumber);
 
-            const surahVoice = `https://cdn.islamic.network/quran/audio-surah/128/ar.alafasy/${surahindex}.mp3`;
+            const surahName = surahData.name;
+            const ayatCount = surahData.ayahCount;
 
-            let surahText = `📖 ســورة ${surahName}\n🔸 ${ayatCount} آية`;
+            let surahText = `📖 ســورة ${surahName}\n🔸 ${ayatCount} آية\n🎙️ القارئ : ${reciter.name}`;
 
             const duaa = `> تقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍`;
             await sock.sendMessage(sender, { text: surahText }, { quoted: msg });
             // Send info text first
 
-            // Download the MP3 as a buffer then send it
-            const audioResponse = await axios.get(surahVoice, { responseType: 'arraybuffer' });
-            const audioBuffer = Buffer.from(audioResponse.data);
+            // Download the MP3 (or take it from the cache) then send it
+            const audioBuffer = await fetchSurahAudio(reciter, surahData.number);
 
             // Send audio separately (Baileys doesn't support text + audio in one message)
             await sock.sendMessage(sender, {
@@ -659,67 +1981,300 @@ registerCommand('تلاوة', {
             await sock.sendMessage(sender, { text: duaa }, { quoted: msg });
 
         } catch (error) {
-            logger.error(`Surah fetch failed: ${error.message}`);
+            logger.error(`Recitation fetch failed: ${error.message}`);
             await sock.sendMessage(sender, {
-                text: '❌ فشل في جلب سورة من القرآن الكريم. حاول مرة أخرى.'
+                text: '❌ فشل في جلب التلاوة. حاول مرة أخرى.'
             });
         }
     }
 })
 
+registerCommand('قارئ', {
+    aliases: ['القارئ', 'قراء', 'القراء', 'reciter'],
+    description: 'List reciters and set your default reciter',
+    descriptionAr: 'عرض القراء واختيار القارئ الافتراضي للتلاوة',
+    usage: '/قارئ | /قارئ الحصري | /قارئ مجموعة الحصري | /قارئ إلغاء',
+    category: 'quran',
+    async execute(sock, msg, args, sender, pushName, isGroup) {
+        const userJid = getUserJid(msg);
+
+        // List reciters
+        if (args.length === 0) {
+            const current = getPreferredReciter(userJid, sender);
+            let text = '🎙️ *قائمة القراء*\n\n';
+            RECITERS.forEach((reciter, i) => {
+                text += `${i + 1} - ${reciter.name}${reciter.id === current.id ? ' ⭐' : ''}\n`;
+            });
+            text += '\n⭐ القارئ الحالي لك';
+            text += '\n💡 لاختيار قارئ : /قارئ + الرقم أو الاسم';
+            if (isGroup) text += '\n👥 قارئ المجموعة (للمشرفين) : /قارئ مجموعة + الاسم';
+            text += '\n🎧 لتلاوة بقارئ معين مرة واحدة : /تلاوة 36 الحصري';
+            await sock.sendMessage(sender, { text });
+            return;
+        }
+
+        // Back to the chat / bot default; a group admin also clears the group's reciter
+        if (['إلغاء', 'الغاء', 'افتراضي'].includes(args[0])) {
+            clearPref(userJid, 'reciter');
+            const clearGroup = isGroup && getPref(sender, 'reciter') && await isGroupAdmin(sock, sender, userJid);
+            if (clearGroup) clearPref(sender, 'reciter');
+            const reciter = getPreferredReciter(userJid, sender);
+            await sock.sendMessage(sender, {
+                text: `✅ تم إلغاء اختيارك${clearGroup ? ' وقارئ المجموعة' : ''}، القارئ الحالي : *${reciter.name}*`
+            }, { quoted: msg });
+            return;
+        }
+
+        // Chat-wide default (group admins only)
+        if (args[0] === 'مجموعة' || args[0] === 'المجموعة') {
+            if (isGroup && !(await isGroupAdmin(sock, sender, userJid))) {
+                await sock.sendMessage(sender, { text: '🔒 تغيير قارئ المجموعة متاح للمشرفين فقط.' });
+                return;
+            }
+            const reciter = findReciter(args.slice(1).join(' '));
+            if (!reciter) {
+                await sock.sendMessage(sender, { text: '❌ لم يتم العثور على هذا القارئ.\n\nلعرض القراء استخدم الأمر : /قارئ' });
+                return;
+            }
+            setPref(sender, 'reciter', reciter.id);
+            await sock.sendMessage(sender, { text: `✅ تم اختيار *${reciter.name}* قارئاً افتراضياً لهذه المحادثة.` }, { quoted: msg });
+            return;
+        }
+
+        const reciter = findReciter(args.join(' '));
+        if (!reciter) {
+            await sock.sendMessage(sender, { text: '❌ لم يتم العثور على هذا القارئ.\n\nلعرض القراء استخدم الأمر : /قارئ' });
+            return;
+        }
+        setPref(userJid, 'reciter', reciter.id);
+        await sock.sendMessage(sender, { text: `✅ تم اختيار *${reciter.name}* قارئاً افتراضياً لك.` }, { quoted: msg });
+    }
+});
+
 registerCommand('صفحة', {
     aliases: ['صفحه', 'رقم', 'ص'],
-    description: 'show a full surah from holy quran',
-    descriptionAr: 'ارسال صفحة من القرآن الكريم',
+    description: 'Send a mushaf page by number, verse reference or surah name',
+    descriptionAr: 'ارسال صفحة من القرآن الكريم برقمها أو برقم آية أو باسم سورة',
+    usage: '/صفحة 50 | /صفحة 18:10 | /صفحة الكهف',
     category: 'quran',
     async execute(sock, msg, args, sender) {
-        const number = args.join(' ');
-        if (isValidPageNumber(number.trim())) {
-            const num = parseInt(number.trim(), 10);
-            const quranURL = `https://quran.ksu.edu.sa/png_big/${num}.png`;
-            try {
-                // Fetch the transparent PNG
-                const response = await axios.get(quranURL, { responseType: 'arraybuffer' });
-                const pngBuffer = Buffer.from(response.data);
+        const input = toWesternDigits(args.join(' ').trim());
+        if (!input) return;
+
+        let num;
+        let ref = null;
+        if (/^\d+$/.test(input)) {
+            if (!isValidPageNumber(input)) {
+                await sock.sendMessage(sender, { text: '❌ الرجاء إدخال رقم صفحة صحيح بين 1 و 604.\n💡 مثال: /صفحة 50 أو /صفحة 18:10 أو /صفحة الكهف' });
+                return;
+            }
+            num = parseInt(input, 10);
+        } else if ((ref = parseAyahReference(input))) {
+            // Verse reference → the page it's printed on
+            const aya = getAyah(ref.surah, ref.from);
+            if (!aya) {
+                const surahInfo = getSurahInfo(ref.surah);
+                await sock.sendMessage(sender, {
+                    text: surahInfo ? `❌ سورة ${surahInfo.name} عدد آياتها ${surahInfo.ayahCount} فقط.` : '❌ لم يتم العثور على الآية.'
+                });
+                return;
+            }
+            num = getAyahLocation(aya.number)?.page;
+        } else {
+            // Surah name → the page it starts on
+            const found = findSurah(input);
+            if (!found.surah) {
+                await sendSurahNotFound(sock, sender, found.suggestions, '/صفحة الكهف');
+                return;
+            }
+            num = getAyahLocation(getAyah(found.surah, 1)?.number)?.page;
+        }
+        if (!num) return;
 
-                // Flatten transparent background to white, output as JPEG
-                const jpegBuffer = await sharp(pngBuffer)
-                    .flatten({ background: { r: 255, g: 255, b: 255 } })
-                    .jpeg({ quality: 90 })
-                    .toBuffer();
+        try {
+            const jpegBuffer = await fetchPageImage(num);
+            const caption = `${formatPageCaption(num)}\n\nتقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍`;
 
-                await sock.sendMessage(sender, { image: jpegBuffer, caption: `📖رقـم الـصـفـحـة : ${num}\n\nتقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍` }, { quoted: msg });
-            } catch (error) {
-                logger.error(`Failed to send quran page: ${error.message}`);
-            }
+            await sock.sendMessage(sender, { image: jpegBuffer, caption }, { quoted: msg });
+        } catch (error) {
+            logger.error(`Failed to send quran page: ${error.message}`);
         }
     }
 })
 
+registerCommand('جزء', {
+    aliases: ['الجزء', 'جزئ', 'juz'],
+    description: 'Show where a juz starts and ends, or send it as text, pages or audio',
+    descriptionAr: 'بداية الجزء ونهايته وصفحاته، مع إمكانية إرساله نصاً أو صوراً أو تلاوة',
+    usage: '/جزء 1 | /جزء 1 نص | /جزء 1 صفحات | /جزء 1 تلاوة [القارئ]',
+    category: 'quran',
+    async execute(sock, msg, args, sender) {
+        const juz = parseInt(toWesternDigits(args[0] || ''), 10);
+        const range = /^\d+$/.test(toWesternDigits(args[0] || '')) ? getJuzRange(juz) : null;
+
+        if (!range) {
+            await sock.sendMessage(sender, {
+                text: '❌ الرجاء إدخال رقم جزء صحيح بين 1 و 30.\n💡 مثال: /جزء 30\n💡 للقراءة : /جزء 30 نص | /جزء 30 صفحات | /جزء 30 تلاوة'
+            });
+            return;
+        }
+
+        try {
+            await sendQuranUnit(sock, msg, sender, { ...range, title: `الجزء ${juz}`, command: `/جزء ${juz}` }, args.slice(1));
+        } catch (error) {
+            logger.error(`Failed to send juz ${juz}: ${error.message}`);
+            await sock.sendMessage(sender, { text: '❌ عذراً، حدث خطأ في جلب الجزء. حاول مرة أخرى.' });
+        }
+    }
+});
+
+registerCommand('حزب', {
+    aliases: ['الحزب', 'hizb'],
+    description: 'Show where a hizb (or one of its quarters) starts and ends, or send it as text, pages or audio',
+    descriptionAr: 'بداية الحزب أو ربعه ونهايته وصفحاته، مع إمكانية إرساله نصاً أو صوراً أو تلاوة',
+    usage: '/حزب 5 | /حزب 5 ربع 2 | /حزب 5 نص | /حزب 5 صفحات | /حزب 5 تلاوة [القارئ]',
+    category: 'quran',
+    async execute(sock, msg, args, sender) {
+        const values = args.map(arg => toWesternDigits(arg));
+        const hizb = /^\d+$/.test(values[0] || '') ? parseInt(values[0], 10) : NaN;
+
+        // Optional quarter: "/حزب 5 ربع 2"
+        let quarter = null;
+        let rest = args.slice(1);
+        if (['ربع', 'الربع'].includes(args[1])) {
+            quarter = /^\d+$/.test(values[2] || '') ? parseInt(values[2], 10) : NaN;
+            rest = args.slice(3);
+        }
+
+        const range = Number.isNaN(hizb) || Number.isNaN(quarter) ? null : getHizbRange(hizb, quarter || undefined);
+        if (!range) {
+            await sock.sendMessage(sender, {
+                text: '❌ الرجاء إدخال رقم حزب صحيح بين 1 و 60، والربع بين 1 و 4.\n💡 مثال: /حزب 5 أو /حزب 5 ربع 2'
+            });
+            return;
+        }
+
+        const title = quarter ? `الربع ${quarter} من الحزب ${hizb}` : `الحزب ${hizb}`;
+        const command = quarter ? `/حزب ${hizb} ربع ${quarter}` : `/حزب ${hizb}`;
+        try {
+            await sendQuranUnit(sock, msg, sender, { ...range, title, command }, rest);
+        } catch (error) {
+            logger.error(`Failed to send hizb ${hizb}: ${error.message}`);
+            await sock.sendMessage(sender, { text: '❌ عذراً، حدث خطأ في جلب الحزب. حاول مرة أخرى.' });
+        }
+    }
+});
+
+registerCommand('ربع', {
+    aliases: ['الربع', 'rub'],
+    description: 'Show a rub\' al-hizb by its number in the mushaf (1-240)',
+    descriptionAr: 'بداية ربع الحزب ونهايته برقمه في المصحف (1 - 240)',
+    usage: '/ربع 17 | /ربع 17 نص | /ربع 17 صفحات | /ربع 17 تلاوة [القارئ]',
+    category: 'quran',
+    async execute(sock, msg, args, sender) {
+        const value = toWesternDigits(args[0] || '');
+        const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+        const hizb = Math.ceil(number / 4);
+        const quarter = ((number - 1) % 4) + 1;
+        const range = number >= 1 && number <= 240 ? getHizbRange(hizb, quarter) : null;
+
+        if (!range) {
+            await sock.sendMessage(sender, {
+                text: '❌ الرجاء إدخال رقم ربع صحيح بين 1 و 240.\n💡 مثال: /ربع 17\n💡 أو بالحزب : /حزب 5 ربع 1'
+            });
+            return;
+        }
+
+        try {
+            await sendQuranUnit(sock, msg, sender, { ...range, title: `الربع ${quarter} من الحزب ${hizb}`, command: `/ربع ${number}` }, args.slice(1));
+        } catch (error) {
+            logger.error(`Failed to send rub' ${number}: ${error.message}`);
+            await sock.sendMessage(sender, { text: '❌ عذراً، حدث خطأ في جلب الربع. حاول مرة أخرى.' });
+        }
+    }
+});
+
 registerCommand('آية', {
     aliases: ['اية', 'aya', 'آيه', 'ايه'],
-    description: 'show random aya from holy quran',
-    descriptionAr: 'ارسال آية عشوائية من القرآن الكريم',
+    description: 'Show a verse by reference (2:255, 18:1-10) or a random one',
+    descriptionAr: 'ارسال آية أو مجموعة آيات بالرقم، أو آية عشوائية بدون رقم',
+    usage: '/آية | /آية 2:255 | /آية 18:1-10 | /آية الكهف 10',
     category: 'quran',
     async execute(sock, msg, args, sender) {
         try {
-            //await sock.sendMessage(sender, { text: '🕌 جاري جلب آية من القرآن الكريم...' });
+            // No reference → random ayah
+            if (args.length === 0) {
+                // Pick a random ayah by its global number (1-6236)
+                const randAya = Math.floor(Math.random() * AYAH_COUNT) + 1;
+                const ayaData = await fetchAyahByNumber(randAya);
+                const location = formatAyahLocation(ayaData.number);
+
+                const message = `*${ayaData.text}*\n\n*- سورة ${ayaData.surahName} ${ayaData.ayah}*${location ? `\n${location}` : ''}`;
+
+                await sock.sendMessage(sender, { text: message }, { quoted: msg });
+                logger.success(`Sent random aya to ${sender}`);
+                return;
+            }
+
+            const ref = parseAyahReference(args.join(' '));
+            if (!ref) {
+                await sock.sendMessage(sender, {
+                    text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /آية + رقم السورة:رقم الآية\n💡 مثال: /آية 2:255\n💡 مثال: /آية 18:1-10\n💡 مثال: /آية الكهف 10'
+                });
+                return;
+            }
+
+            if (ref.from < 1 || ref.from > ref.to) {
+                await sock.sendMessage(sender, {
+                    text: '❌ نطاق الآيات غير صحيح.\n💡 مثال: /آية 18:1-10'
+                });
+                return;
+            }
+
+            const surahInfo = getSurahInfo(ref.surah);
+            if (surahInfo && ref.to > surahInfo.ayahCount) {
+                await sock.sendMessage(sender, {
+                    text: `❌ سورة ${surahInfo.name} عدد آياتها ${surahInfo.ayahCount} فقط.`
+                });
+                return;
+            }
 
-            // First, get a random surah (1-114)
-            const randAya = Math.floor(Math.random() * 6236) + 1;
+            if (ref.to - ref.from + 1 > config.quran.maxAyahRange) {
+                await sock.sendMessage(sender, {
+                    text: `❌ يمكن عرض ${config.quran.maxAyahRange} آية كحد أقصى في المرة الواحدة.\n\nلقراءة السورة كاملة استخدم الأمر : /سورة + رقم السورة`
+                });
+                return;
+            }
 
-            // Get the entire surah to know how many ayas it has
-            const ayaurl = `http://api.alquran.cloud/v1/ayah/${randAya}/ar.asad`;
-            const ayaResponse = await axios.get(ayaurl);
-            const ayaData = ayaResponse.data;
+            const ayat = [];
+            for (let n = ref.from; n <= ref.to; n++) {
+                ayat.push(await fetchAyah(ref.surah, n));
+            }
+
+            const first = ayat[0];
+            const last = ayat[ayat.length - 1];
+            const location = formatAyahLocation(first.number, last.number);
 
-            if (!ayaData.status || ayaData.code !== 200) {
-                throw new Error('Invalid API response');
+            if (ayat.length === 1) {
+                const message = `*${first.text}*\n\n*- سورة ${first.surahName} ${first.ayah}*${location ? `\n${location}` : ''}`;
+                await sock.sendMessage(sender, { text: message }, { quoted: msg });
+            } else {
+                const lines = ayat.map(aya => `(${aya.ayah}) ${aya.text}`);
+                const parts = chunkLines(lines, config.quran.partLength);
+
+                for (let i = 0; i < parts.length; i++) {
+                    let message = parts[i];
+                    if (i === 0) {
+                        message = `📖 سـورة ${first.surahName} : الآيـات ${ref.from} - ${ref.to}\n\n${message}`;
+                    }
+                    if (i === parts.length - 1 && location) {
+                        message += `\n\n${location}`;
+                    }
+                    await sock.sendMessage(sender, { text: message }, { quoted: msg });
+                }
             }
-            const message = `*${ayaData.data.text}*\n\n*-${ayaData.data.surah.name} ${ayaData.data.numberInSurah}*`;
 
-            await sock.sendMessage(sender, { text: message }, { quoted: msg });
-            logger.success(`Sent random aya to ${sender}`);
+            logger.success(`Sent aya ${ref.surah}:${ref.from}-${ref.to} to ${sender}`);
         } catch (error) {
             logger.error(`Failed to fetch aya: ${error.message}`);
             await sock.sendMessage(sender, {
@@ -730,106 +2285,3130 @@ registerCommand('آية', {
 });
 
 
-registerCommand('حديث', {
-    aliases: ['بخاري', 'سنة', 'hadith', 'الحديث'],
-    description: 'radnom hadith from sunnah',
-    descriptionAr: 'حديث عشوائي من السنة النبوية',
+registerCommand('بحث', {
+    aliases: ['ابحث', 'search', 'بحث_قران', 'بحث_قرآن'],
+    description: 'Search the whole Quran text',
+    descriptionAr: 'البحث عن كلمة أو عبارة في القرآن الكريم',
+    usage: '/بحث الصبر | /بحث "رب العالمين" (عبارة مطابقة)',
     category: 'quran',
     async execute(sock, msg, args, sender) {
-        try {
-            const hadithNum = Math.floor(Math.random() * 7000) + 1;
-            const hadithUrl = `https://hadithapi.com/public/api/hadiths?apiKey=$2y$10$1XF2Ut3N76romcSPD4gXeuux6rabkGGRLCJxnQeACFTJcP1l0LWy&hadithNumber=${hadithNum}`
-            const hadithResponse = await axios.get(hadithUrl);
-            const status = hadithResponse.data.status;
-            if (status !== 200) {
-                throw new Error('Invalid API response');
-            }
-            const hadithData = hadithResponse.data.hadiths.data[0];
-            const hadithNumber = hadithData.hadithNumber;
-            const hadithContent = hadithData.hadithArabic;
-            let hadithSource = hadithData.bookSlug;
-            hadithSource === 'sahih-bukhari' ? hadithSource = 'صحيح البخاري' : hadithSource = 'السنن'
-
+        let query = args.join(' ').trim();
+        let exact = false;
+
+        // Exact phrase: wrapped in quotes, or introduced with the word عبارة
+        const quoted = query.match(/^["«“”'](.+)["»“”']$/);
+        if (quoted) {
+            query = quoted[1].trim();
+            exact = true;
+        } else if (args[0] === 'عبارة' && args.length > 1) {
+            query = args.slice(1).join(' ');
+            exact = true;
+        }
 
-            const text = `🔸 حديث رقم : ${hadithNumber}\n\n${hadithContent}\n\n📗 ${hadithSource}`
-            await sock.sendMessage(sender, { text: text }, { quoted: msg });
-            logger.success(`Sent random hadith to ${sender}`);
+        if (query.replace(/\s/g, '').length < 2) {
+            await sock.sendMessage(sender, {
+                text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /بحث + كلمة\n💡 مثال: /بحث الصبر\n💡 للبحث عن عبارة مطابقة: /بحث "رب العالمين"'
+            });
+            return;
+        }
 
+        try {
+            await sendSearchPage(sock, msg, sender, query, exact, 1);
+            logger.success(`Quran search "${query}" for ${sender}`);
         } catch (error) {
-            logger.error(`Failed to fetch hadith: ${error.message}`);
+            logger.error(`Quran search failed: ${error.message}`);
             await sock.sendMessage(sender, {
-                text: '❌ عذراً، حدث خطأ في جلب الحديث. حاول مرة أخرى.'
+                text: '❌ عذراً، حدث خطأ أثناء البحث. حاول مرة أخرى.'
             });
         }
-
     }
 });
 
-/*
-registerCommand('', {
-    aliases: [],
-    description: '',
-    descriptionAr: '',
-    category: '',
+registerCommand('تفسير', {
+    aliases: ['tafsir', 'تفسیر', 'فسر'],
+    description: 'Explain a verse or a short range from a tafsir source',
+    descriptionAr: 'تفسير آية أو آيات من كتب التفسير',
+    usage: '/تفسير 2:255 [المصدر] | /تفسير (رداً على رسالة آية) | /تفسير مصادر | /تفسير مصدر السعدي',
+    category: 'quran',
     async execute(sock, msg, args, sender) {
-       
-    }
-});
+        const userJid = getUserJid(msg);
+        const sources = getTafsirSources();
+
+        // List sources
+        if (args[0] === 'مصادر' || args[0] === 'المصادر') {
+            const current = getPref(userJid, 'tafsir') || config.tafsir.defaultSource;
+            let text = '📚 *مصادر التفسير المتاحة*\n\n';
+            sources.forEach(source => {
+                text += `${source.available ? '✅' : '❌'} ${source.name}${source.id === current ? ' ⭐' : ''}\n`;
+            });
+            text += '\n⭐ المصدر الافتراضي لك\n💡 لتغييره : /تفسير مصدر + اسم التفسير';
+            await sock.sendMessage(sender, { text });
+            return;
+        }
 
-*/
+        // Set the user's default source
+        if (args[0] === 'مصدر' || args[0] === 'المصدر') {
+            const source = findTafsirSource(args.slice(1).join(' '));
+            if (!source) {
+                await sock.sendMessage(sender, {
+                    text: '❌ لم يتم العثور على هذا التفسير.\n\nلعرض المصادر استخدم الأمر : /تفسير مصادر'
+                });
+                return;
+            }
+            setPref(userJid, 'tafsir', source.id);
+            await sock.sendMessage(sender, { text: `✅ تم اختيار *${source.name}* مصدراً افتراضياً للتفسير.` }, { quoted: msg });
+            return;
+        }
 
-// ── Quiz Command ──────────────────────────────────────────────────────────────
-registerCommand('سؤال', {
-    aliases: ['أسئلة', 'مسابقة', 'quiz', 'اختبار', 'فوازير', 'فزورة'],
-    description: 'Islamic quiz question',
-    descriptionAr: 'سؤال إسلامي عشوائي من قاعدة بيانات الدرر السنية',
-    category: 'quran',
-    async execute(sock, msg, args, sender, pushName) {
-        if (QUIZ_POOL.length === 0) {
-            await sock.sendMessage(sender, { text: '❌ لم يتم تحميل قاعدة بيانات الأسئلة.' });
+        // A source name may be given before or after the reference
+        let rest = [...args];
+        let source = null;
+        for (const take of [2, 1]) {
+            if (source || rest.length < take) continue;
+            source = findTafsirSource(rest.slice(-take).join(' '));
+            if (source) rest = rest.slice(0, -take);
+            else if ((source = findTafsirSource(rest.slice(0, take).join(' ')))) rest = rest.slice(take);
+        }
+
+        if (!source) {
+            const preferred = getPref(userJid, 'tafsir') || config.tafsir.defaultSource;
+            const available = sources.filter(s => s.available);
+            const id = available.some(s => s.id === preferred) ? preferred : available[0]?.id;
+            source = config.tafsir.sources.find(s => s.id === id);
+        }
+
+        if (!source || !sources.find(s => s.id === source.id)?.available) {
+            await sock.sendMessage(sender, {
+                text: `❌ ${source ? source.name : 'التفسير'} غير متوفر حالياً.\n\nلعرض المصادر المتاحة استخدم الأمر : /تفسير مصادر`
+            });
             return;
         }
 
-        // Block double-quiz in same chat
-        if (quizSessions.has(sender)) {
+        // Reference from the arguments, or from the bot verse message being replied to
+        const ref = rest.length > 0
+            ? parseAyahReference(rest.join(' '))
+            : extractAyahReference(getQuotedText(msg));
+
+        if (!ref) {
             await sock.sendMessage(sender, {
-                text: '⏳ يوجد سؤال قيد الانتظار! أجب عليه أولاً بـ *1* أو *2* أو *3*'
+                text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /تفسير + رقم السورة:رقم الآية\n💡 مثال: /تفسير 2:255\n💡 مثال: /تفسير 1:1-7 السعدي\n💡 أو أرسل /تفسير رداً على رسالة آية من البوت'
             });
             return;
         }
 
-        // Pick a random question
-        const question = QUIZ_POOL[Math.floor(Math.random() * QUIZ_POOL.length)];
+        const surahInfo = getSurahInfo(ref.surah);
+        if (ref.from < 1 || ref.from > ref.to || (surahInfo && ref.to > surahInfo.ayahCount)) {
+            await sock.sendMessage(sender, { text: '❌ رقم الآية غير صحيح.\n💡 مثال: /تفسير 2:255' });
+            return;
+        }
 
-        // Build the message
-        const letters = ['1️⃣', '2️⃣', '3️⃣'];
-        let questionText = `🕌 *سؤال إسلامي*\n`;
-        questionText += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n\n`;
-        questionText += `❓ *${question.q}*\n\n`;
-        question.answers.forEach((a, i) => {
-            questionText += `${letters[i]} ${a.answer}\n`;
-        });
-        questionText += `\n┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
-        questionText += `⏱️ لديك *30 ثانية* للإجابة\n`;
-        questionText += `💬 أرسل رقم الإجابة: *1* أو *2* أو *3*`;
+        if (ref.to - ref.from + 1 > config.tafsir.maxAyahs) {
+            await sock.sendMessage(sender, {
+                text: `❌ يمكن تفسير ${config.tafsir.maxAyahs} آيات كحد أقصى في المرة الواحدة.`
+            });
+            return;
+        }
+
+        try {
+            let text = '';
+            for (let n = ref.from; n <= ref.to; n++) {
+                const aya = await fetchAyah(ref.surah, n);
+                const tafsir = await getTafsir(source.id, ref.surah, n);
+
+                text += `📖 سورة ${aya.surahName} : ${aya.ayah}\n`;
+                text += `*${aya.text}*\n\n`;
+                text += `📚 ${source.name} :\n${tafsir || 'لا يوجد تفسير لهذه الآية في هذا المصدر.'}\n\n`;
+            }
+
+            for (const part of splitMessage(text.trim(), config.quran.partLength)) {
+                await sock.sendMessage(sender, { text: part }, { quoted: msg });
+            }
+            logger.success(`Sent tafsir ${ref.surah}:${ref.from}-${ref.to} (${source.id}) to ${sender}`);
+        } catch (error) {
+            logger.error(`Failed to fetch tafsir: ${error.message}`);
+            await sock.sendMessage(sender, {
+                text: '❌ عذراً، حدث خطأ في جلب التفسير. حاول مرة أخرى.'
+            });
+        }
+    }
+});
 
-        await sock.sendMessage(sender, { text: questionText });
+// ── Hadith Command ────────────────────────────────────────────────────────────
+/**
+ * Format a hadith with its book, chapter and grading
+ * @param {object} hadith - From getHadith() / getRandomHadith()
+ * @returns {string}
+ */
+function formatHadith(hadith) {
+    let text = `📗 *${hadith.book.name}* • حديث رقم ${hadith.number}\n`;
+    if (hadith.section) text += `📂 ${hadith.section}\n`;
+    if (hadith.chapter) text += `🔖 ${hadith.chapter}\n`;
+    text += '┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n';
+    if (hadith.narrator) text += `${hadith.narrator}\n`;
+    text += `${hadith.text}\n`;
+    text += '┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄';
+    if (hadith.grade) text += `\n⚖️ الحكم : ${hadith.grade}`;
+    return text;
+}
 
-        // Set 30s timeout — auto-reveal if no answer
-        const timer = setTimeout(async () => {
-            if (!quizSessions.has(sender)) return;
-            quizSessions.delete(sender);
+/**
+ * Build the list of hadith books with their availability
+ * @returns {string}
+ */
+function formatHadithBooks() {
+    let text = '📚 *كتب الحديث*\n\n';
+    for (const book of getHadithBooks()) {
+        text += book.available
+            ? `✅ ${book.name} (${book.count} حديث) ← /حديث ${book.aliases[0] || book.id}\n`
+            : `⚠️ ${book.name} (غير مثبت)\n`;
+    }
+    text += '\n💡 /حديث بخاري 1 ← حديث برقمه • /حديث نووي ← حديث عشوائي من الكتاب';
+    return text;
+}
+
+registerCommand('حديث', {
+    aliases: ['بخاري', 'سنة', 'hadith', 'الحديث'],
+    description: 'Hadith from the collections in data/hadith/, by book and number or at random',
+    descriptionAr: 'حديث من كتب السنة (البخاري، مسلم، السنن، الأربعين النووية، رياض الصالحين) برقمه أو عشوائياً',
+    usage: '/حديث | /حديث بخاري 1 | /حديث نووي 12 | /حديث مسلم | /حديث كتب',
+    category: 'quran',
+    async execute(sock, msg, args, sender) {
+        if (['كتب', 'الكتب', 'مصادر', 'قائمة'].includes(args[0])) {
+            await sock.sendMessage(sender, { text: formatHadithBooks() });
+            return;
+        }
+
+        // "/حديث رياض الصالحين 5": book name first, hadith number last; a bare number uses the default book
+        const last = toWesternDigits(args[args.length - 1] || '');
+        const number = /^\d+$/.test(last) ? parseInt(last, 10) : null;
+        const bookName = (number ? args.slice(0, -1) : args).join(' ');
+        const book = bookName
+            ? findHadithBook(bookName)
+            : number ? findHadithBook(config.hadith.defaultBook) : null;
+
+        if (bookName && !book) {
+            await sock.sendMessage(sender, { text: `❌ كتاب غير معروف.\n\n${formatHadithBooks()}` });
+            return;
+        }
+
+        try {
+            let hadith;
+            if (!book) {
+                hadith = getRandomHadith();
+                if (!hadith) {
+                    await sock.sendMessage(sender, { text: '⚠️ لا توجد كتب حديث مثبتة على البوت حالياً.' });
+                    logger.warn('No hadith collection installed in data/hadith/');
+                    return;
+                }
+            } else if (!getHadithBooks().find(b => b.id === book.id).available) {
+                await sock.sendMessage(sender, { text: `⚠️ ${book.name} غير مثبت على البوت حالياً.\n\n${formatHadithBooks()}` });
+                return;
+            } else if (number) {
+                hadith = getHadith(book.id, number);
+                if (!hadith) {
+                    const range = getHadithRange(book.id);
+                    await sock.sendMessage(sender, {
+                        text: `❌ لا يوجد حديث برقم ${number} في ${book.name}.\n📌 الأرقام المتاحة : ${range.first} - ${range.last} (${range.total} حديث)`
+                    });
+                    return;
+                }
+            } else {
+                hadith = getRandomHadith(book.id);
+            }
 
-            const correct = question.answers.find(a => a.t === 1);
-            const correctNum = question.answers.findIndex(a => a.t === 1) + 1;
+            for (const part of splitMessage(formatHadith(hadith), config.quran.partLength)) {
+                await sock.sendMessage(sender, { text: part }, { quoted: msg });
+            }
+            logger.success(`Sent hadith ${hadith.book.id}:${hadith.number} to ${sender}`);
+        } catch (error) {
+            logger.error(`Failed to read hadith: ${error.message}`);
             await sock.sendMessage(sender, {
-                text: `⏰ *انتهى الوقت!*\n\n📌 الإجابة الصحيحة كانت رقم *${correctNum}*: ${correct?.answer}`
+                text: '❌ عذراً، حدث خطأ في جلب الحديث. حاول مرة أخرى.'
             });
-        }, 30_000);
+        }
+    }
+});
+
+/**
+ * Send one page of hadith search results.
+ * Keeps the chat's place in searchPaging while more pages remain.
+ * @param {object} sock - Socket
+ * @param {object} msg - Message to quote
+ * @param {string} sender - Chat JID
+ * @param {object} search - { query, exact, bookId } bookId null searches every book
+ * @param {number} page - 1-based page number
+ */
+async function sendHadithSearchPage(sock, msg, sender, search, page) {
+    const { query, exact, bookId } = search;
+    const result = searchHadith(query, { exact, books: bookId ? [bookId] : undefined });
+    const books = getHadithBooks();
+    const bookName = id => books.find(book => book.id === id)?.name;
+    const scope = bookId ? ` في ${bookName(bookId)}` : '';
+
+    if (result.searchedBooks.length === 0) {
+        searchPaging.delete(sender);
+        await sock.sendMessage(sender, {
+            text: bookId ? `⚠️ ${bookName(bookId)} غير مثبت على البوت حالياً.` : '⚠️ لا توجد كتب حديث مثبتة على البوت حالياً.'
+        });
+        return;
+    }
+
+    // Say which books weren't searched, so missing results aren't mistaken for none
+    const missing = bookId ? [] : books.filter(book => !result.searchedBooks.includes(book.id));
+    const unsearched = missing.length > 0 ? `ℹ️ لم يُبحث في (غير مثبت) : ${missing.map(book => book.name).join('، ')}` : '';
+
+    if (result.hits.length === 0) {
+        searchPaging.delete(sender);
+        await sock.sendMessage(sender, {
+            text: `🔍 لا توجد نتائج للبحث عن : «${query}»${scope}${unsearched ? `\n${unsearched}` : ''}${exact ? '\n\n💡 جرّب البحث بدون علامات التنصيص لنتائج أوسع' : ''}`
+        }, { quoted: msg });
+        return;
+    }
+
+    const pageSize = config.hadith.searchPageSize;
+    const totalPages = Math.ceil(result.hits.length / pageSize);
+    const first = (page - 1) * pageSize;
+    const pageHits = result.hits.slice(first, first + pageSize);
+
+    let header = `🔍 البحث في الحديث عن : «${query}»${exact ? ' (عبارة مطابقة)' : ''}${scope}\n`;
+    if (page === 1) {
+        const bookCount = new Set(result.hits.map(hit => hit.bookId)).size;
+        header += `📊 ${result.hits.length} حديث${bookId ? '' : ` في ${bookCount} من ${result.searchedBooks.length} كتب`}\n`;
+        if (unsearched) header += `${unsearched}\n`;
+    }
+    header += `📑 النتائج ${first + 1} - ${first + pageHits.length} من ${result.hits.length}\n`;
+    header += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄`;
+
+    const lines = pageHits.map((hit, i) =>
+        `${first + i + 1}. ${hit.excerpt}\n📗 ${bookName(hit.bookId)} : ${hit.number}${hit.grade ? ` • ⚖️ ${hit.grade}` : ''}\n`
+    );
+
+    const hint = `💡 لقراءة الحديث كاملاً : ${config.bot.prefix[0]}حديث ${config.hadith.books.find(b => b.id === pageHits[0].bookId).aliases?.[0] || pageHits[0].bookId} ${pageHits[0].number}`;
+    let footer;
+    if (page < totalPages) {
+        footer = `${hint}\n📌 للمزيد من النتائج أرسل : ${config.bot.prefix[0]}التالي`;
+        setSearchPaging(sender, { type: 'hadith', query, exact, bookId, page });
+    } else {
+        footer = `${hint}\n✅ انتهت نتائج البحث`;
+        searchPaging.delete(sender);
+    }
+
+    for (const part of chunkLines([header, ...lines, footer], config.quran.partLength)) {
+        await sock.sendMessage(sender, { text: part }, { quoted: msg });
+    }
+}
+
+registerCommand('بحث_حديث', {
+    aliases: ['ابحث_حديث', 'بحث_الحديث', 'بحث_السنة', 'hadith_search'],
+    description: 'Search the text of the hadith collections, optionally in one book',
+    descriptionAr: 'البحث عن كلمات أو عبارة في نصوص كتب الحديث، في كل الكتب أو في كتاب واحد',
+    usage: '/بحث_حديث إنما الأعمال | /بحث_حديث مسلم: الدين النصيحة | /بحث_حديث "من غشنا" (عبارة مطابقة)',
+    category: 'quran',
+    async execute(sock, msg, args, sender) {
+        let query = args.join(' ').trim();
+        let exact = false;
+        let bookId = null;
+
+        // Book filter: "بخاري: ..." / "رياض الصالحين: ..."
+        const scoped = query.match(/^([^:：]+)[:：]\s*(.*)$/);
+        if (scoped) {
+            const book = findHadithBook(scoped[1]);
+            if (!book) {
+                await sock.sendMessage(sender, { text: `❌ كتاب غير معروف : ${scoped[1].trim()}\n\n${formatHadithBooks()}` });
+                return;
+            }
+            bookId = book.id;
+            query = scoped[2].trim();
+        }
+
+        // Exact phrase: wrapped in quotes, or introduced with the word عبارة
+        const quoted = query.match(/^["«“”'](.+)["»“”']$/);
+        if (quoted) {
+            query = quoted[1].trim();
+            exact = true;
+        } else if (query.startsWith('عبارة ') && query.length > 6) {
+            query = query.slice(6).trim();
+            exact = true;
+        }
+
+        if (query.replace(/\s/g, '').length < 2) {
+            await sock.sendMessage(sender, {
+                text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /بحث_حديث + كلمات\n💡 مثال: /بحث_حديث إنما الأعمال بالنيات\n💡 في كتاب واحد: /بحث_حديث بخاري: الدين يسر\n💡 عبارة مطابقة: /بحث_حديث "من غشنا"'
+            });
+            return;
+        }
+
+        try {
+            await sendHadithSearchPage(sock, msg, sender, { query, exact, bookId }, 1);
+            logger.success(`Hadith search "${query}" for ${sender}`);
+        } catch (error) {
+            logger.error(`Hadith search failed: ${error.message}`);
+            await sock.sendMessage(sender, {
+                text: '❌ عذراً، حدث خطأ أثناء البحث. حاول مرة أخرى.'
+            });
+        }
+    }
+});
+
+/*
+registerCommand('', {
+    aliases: [],
+    description: '',
+    descriptionAr: '',
+    category: '',
+    async execute(sock, msg, args, sender) {
+       
+    }
+});
+
+*/
+
+// ── Khatma Command ────────────────────────────────────────────────────────────
+const KHATMA_DUAA = '🤲 *اللهم ارحمني بالقرآن، واجعله لي إماماً ونوراً وهدىً ورحمة، اللهم ذكّرني منه ما نسيت، وعلّمني منه ما جهلت، وارزقني تلاوته آناء الليل وأطراف النهار، واجعله لي حجةً يا رب العالمين*';
+
+/**
+ * Pages covered by one part of a khatma: juz when there are 30 parts,
+ * hizbs when there are 60, otherwise the 604 pages split evenly
+ * @param {number} totalParts
+ * @param {number} n - 1-based part number
+ * @returns {object} { from, to } page numbers
+ */
+function getKhatmaPartPages(totalParts, n) {
+    const unit = totalParts === 30 ? getJuzRange(n) : totalParts === 60 ? getHizbRange(n) : null;
+    if (unit) {
+        return { from: getAyahLocation(unit.first).page, to: getAyahLocation(unit.last).page };
+    }
+    return {
+        from: Math.floor(((n - 1) * 604) / totalParts) + 1,
+        to: Math.floor((n * 604) / totalParts)
+    };
+}
+
+/**
+ * Name of a khatma part, e.g. "الجزء 5" or "القسم 3"
+ * @param {object} khatma
+ * @param {number} n
+ * @returns {string}
+ */
+function khatmaPartName(khatma, n) {
+    if (khatma.totalParts === 30) return `الجزء ${n}`;
+    if (khatma.totalParts === 60) return `الحزب ${n}`;
+    return `القسم ${n}`;
+}
+
+/**
+ * Whether a reserved part has been held longer than config.khatma.partDays without being finished
+ * @param {object} part
+ * @returns {boolean}
+ */
+function isPartOverdue(part) {
+    if (!part.holder || part.doneAt) return false;
+    return Date.now() - new Date(part.reservedAt).getTime() > config.khatma.partDays * 86400000;
+}
+
+/**
+ * WhatsApp mention text for a JID ("@9665...")
+ * @param {string} jid
+ * @returns {string}
+ */
+function mentionOf(jid) {
+    return `@${jid.split('@')[0]}`;
+}
+
+/**
+ * Build the status board of a khatma
+ * @param {object} khatma
+ * @returns {object} { text, mentions }
+ */
+function formatKhatmaBoard(khatma) {
+    const done = khatma.parts.filter(p => p.doneAt).length;
+    const reserved = khatma.parts.filter(p => p.holder && !p.doneAt).length;
+    const free = khatma.totalParts - done - reserved;
+    const mentions = new Set();
+
+    let text = `📖 *الختمة الجماعية رقم ${khatma.number}*\n`;
+    text += `📊 الإنجاز : ${done}/${khatma.totalParts} ✅ • قيد القراءة ${reserved} ⏳ • متاح ${free} ⬜\n`;
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+
+    for (const part of khatma.parts) {
+        const pages = getKhatmaPartPages(khatma.totalParts, part.number);
+        const name = `${khatmaPartName(khatma, part.number)} (ص ${pages.from} - ${pages.to})`;
+        if (part.doneAt) {
+            text += `✅ ${name} : ${mentionOf(part.holder)}\n`;
+            mentions.add(part.holder);
+        } else if (part.holder) {
+            text += `${isPartOverdue(part) ? '⚠️' : '⏳'} ${name} : ${mentionOf(part.holder)}\n`;
+            mentions.add(part.holder);
+        } else {
+            text += `⬜ ${name}\n`;
+        }
+    }
+
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    if (khatma.completedAt) {
+        text += `🎉 تمت الختمة بحمد الله\n💡 لبدء ختمة جديدة : /ختمة جديدة`;
+    } else {
+        text += `💡 للحجز : /ختمة حجز + الرقم\n✅ عند الانتهاء : /ختمة تم + الرقم\n↩️ للتراجع عن الحجز : /ختمة ترك + الرقم`;
+        if (khatma.parts.some(isPartOverdue)) text += `\n⚠️ متأخر أكثر من ${config.khatma.partDays} أيام`;
+    }
+
+    return { text, mentions: [...mentions] };
+}
+
+/**
+ * Announce a finished khatma with the khatma duaa, mentioning everyone who took part
+ * @param {object} sock
+ * @param {string} groupJid
+ * @param {object} khatma
+ */
+async function announceKhatmaCompletion(sock, groupJid, khatma) {
+    const readers = [...new Set(khatma.parts.map(p => p.holder).filter(Boolean))];
+    const days = Math.max(1, Math.ceil((Date.now() - new Date(khatma.createdAt).getTime()) / 86400000));
+
+    let text = `🎉 *تمت الختمة الجماعية رقم ${khatma.number} بحمد الله وتوفيقه* 🎉\n\n`;
+    text += `📅 المدة : ${days} يوم\n👥 المشاركون : ${readers.map(mentionOf).join(' ')}\n\n`;
+    text += `${KHATMA_DUAA}\n\n> تقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍`;
+
+    await sock.sendMessage(groupJid, { text, mentions: readers });
+}
+
+// Remind holders of overdue parts, at most once per config.khatma.reminderHours
+registerTask('khatma-reminders', config.khatma.checkIntervalMinutes * 60000, async (sock) => {
+    const now = Date.now();
+    for (const [groupJid, khatma] of getActiveKhatmas()) {
+        const due = khatma.parts.filter(part =>
+            isPartOverdue(part) &&
+            (!part.remindedAt || now - new Date(part.remindedAt).getTime() > config.khatma.reminderHours * 3600000)
+        );
+        if (due.length === 0) continue;
+
+        let text = `⏰ *تذكير بالختمة الجماعية رقم ${khatma.number}*\n\n`;
+        for (const part of due) {
+            text += `⚠️ ${khatmaPartName(khatma, part.number)} : ${mentionOf(part.holder)}\n`;
+        }
+        text += `\nنسأل الله أن ييسر لكم إتمامها 🤍\n✅ عند الانتهاء : /ختمة تم + الرقم\n↩️ إن تعذّر عليك : /ختمة ترك + الرقم`;
+
+        try {
+            await sock.sendMessage(groupJid, { text, mentions: [...new Set(due.map(p => p.holder))] });
+            due.forEach(part => { part.remindedAt = new Date().toISOString(); });
+            saveKhatmas();
+            logger.info(`Khatma reminder sent to ${groupJid} (${due.length} parts)`);
+        } catch (error) {
+            logger.error(`Failed to send khatma reminder to ${groupJid}: ${error.message}`);
+        }
+    }
+});
+
+registerCommand('ختمة', {
+    aliases: ['ختمه', 'الختمة', 'khatma'],
+    description: 'Group Quran completion: reserve parts, mark them done, see who holds what',
+    descriptionAr: 'ختمة جماعية: حجز الأجزاء وإنجازها ومتابعة من يقرأ ماذا',
+    usage: '/ختمة | /ختمة جديدة [عدد الأقسام] | /ختمة حجز 5 | /ختمة تم 5 | /ختمة ترك 5 | /ختمة إلغاء',
+    category: 'quran',
+    groupOnly: true,
+    async execute(sock, msg, args, sender, pushName) {
+        const action = args[0];
+        const userJid = getUserJid(msg);
+        let khatma = getKhatma(sender);
+
+        // Part numbers given after the action, e.g. "/ختمة حجز 5 6"
+        const partNumbers = args.slice(1)
+            .map(arg => toWesternDigits(arg))
+            .filter(arg => /^\d+$/.test(arg))
+            .map(arg => parseInt(arg, 10));
+
+        // Status board
+        if (!action || ['حالة', 'الحالة', 'لوحة'].includes(action)) {
+            if (!khatma) {
+                await sock.sendMessage(sender, { text: '📖 لا توجد ختمة في هذه المجموعة بعد.\n\n💡 لبدء ختمة : /ختمة جديدة\n💡 بعدد أقسام آخر : /ختمة جديدة 60' });
+                return;
+            }
+            const board = formatKhatmaBoard(khatma);
+            await sock.sendMessage(sender, { text: board.text, mentions: board.mentions });
+            return;
+        }
+
+        if (['جديدة', 'جديده', 'ابدأ', 'ابدا'].includes(action)) {
+            if (khatma && !khatma.completedAt) {
+                await sock.sendMessage(sender, { text: '⏳ توجد ختمة جارية في هذه المجموعة.\n\n💡 لعرضها : /ختمة\n💡 لإلغائها (للمشرفين أو من بدأها) : /ختمة إلغاء' });
+                return;
+            }
+            const totalParts = partNumbers.length > 0 ? partNumbers[0] : config.khatma.defaultParts;
+            if (totalParts < 1 || totalParts > config.khatma.maxParts) {
+                await sock.sendMessage(sender, { text: `❌ عدد الأقسام يجب أن يكون بين 1 و ${config.khatma.maxParts}.\n💡 30 = جزء لكل قسم، 60 = حزب لكل قسم` });
+                return;
+            }
+
+            khatma = createKhatma(sender, totalParts, userJid);
+            logger.info(`Khatma #${khatma.number} started in ${sender} (${totalParts} parts)`);
+            const board = formatKhatmaBoard(khatma);
+            await sock.sendMessage(sender, { text: `🌟 بدأت ختمة جديدة، بارك الله فيكم\n\n${board.text}`, mentions: board.mentions });
+            return;
+        }
+
+        if (!khatma || khatma.completedAt) {
+            await sock.sendMessage(sender, { text: '📖 لا توجد ختمة جارية في هذه المجموعة.\n\n💡 لبدء ختمة : /ختمة جديدة' });
+            return;
+        }
+
+        const invalid = partNumbers.find(n => n < 1 || n > khatma.totalParts);
+        if (invalid !== undefined) {
+            await sock.sendMessage(sender, { text: `❌ رقم القسم يجب أن يكون بين 1 و ${khatma.totalParts}.` });
+            return;
+        }
+
+        if (['حجز', 'احجز', 'أحجز'].includes(action)) {
+            if (partNumbers.length === 0) {
+                await sock.sendMessage(sender, { text: '💡 اكتب رقم القسم : /ختمة حجز 5' });
+                return;
+            }
+
+            const reserved = [];
+            const taken = [];
+            for (const n of partNumbers) {
+                const part = khatma.parts[n - 1];
+                if (part.holder && part.holder !== userJid) {
+                    taken.push(`${khatmaPartName(khatma, n)} (${mentionOf(part.holder)})`);
+                } else if (!part.holder) {
+                    reservePart(khatma, n, userJid, pushName);
+                    reserved.push(n);
+                }
+            }
+
+            let text = '';
+            for (const n of reserved) {
+                const pages = getKhatmaPartPages(khatma.totalParts, n);
+                text += `✅ تم حجز ${khatmaPartName(khatma, n)} لك (الصفحات ${pages.from} - ${pages.to})\n`;
+            }
+            if (taken.length > 0) text += `❌ محجوز لغيرك : ${taken.join('، ')}\n`;
+            if (reserved.length > 0) text += `\n💡 عند الانتهاء : /ختمة تم ${reserved.join(' ')}`;
+            if (!text) text = 'ℹ️ هذا القسم محجوز لك بالفعل.';
+
+            const mentions = khatma.parts.filter(p => partNumbers.includes(p.number) && p.holder).map(p => p.holder);
+            await sock.sendMessage(sender, { text: text.trim(), mentions }, { quoted: msg });
+            return;
+        }
+
+        if (['تم', 'انتهيت', 'قرأت', 'قرات', 'أنجزت'].includes(action)) {
+            // Without a number: the member's only open part
+            let numbers = partNumbers;
+            if (numbers.length === 0) {
+                const open = khatma.parts.filter(p => p.holder === userJid && !p.doneAt);
+                if (open.length !== 1) {
+                    await sock.sendMessage(sender, {
+                        text: open.length === 0
+                            ? '❌ ليس لديك قسم محجوز.\n\n💡 للحجز : /ختمة حجز + الرقم'
+                            : `💡 لديك أكثر من قسم، حدد الرقم : /ختمة تم ${open[0].number}`
+                    });
+                    return;
+                }
+                numbers = [open[0].number];
+            }
+
+            const isAdmin = numbers.some(n => khatma.parts[n - 1].holder && khatma.parts[n - 1].holder !== userJid)
+                ? await isGroupAdmin(sock, sender, userJid)
+                : false;
+
+            const finished = [];
+            let completed = false;
+            for (const n of numbers) {
+                const part = khatma.parts[n - 1];
+                if (part.doneAt) continue;
+                if (part.holder && part.holder !== userJid && !isAdmin) continue;
+                // Reading a free part counts as reserving it
+                if (!part.holder) reservePart(khatma, n, userJid, pushName);
+                completed = completePart(khatma, n) || completed;
+                finished.push(n);
+            }
+
+            if (finished.length === 0) {
+                await sock.sendMessage(sender, { text: '❌ لا يمكن تسجيل هذا القسم، إما أنه منجز أو محجوز لغيرك.' });
+                return;
+            }
+
+            const done = khatma.parts.filter(p => p.doneAt).length;
+            await sock.sendMessage(sender, {
+                text: `✅ تقبل الله منك، تم تسجيل ${finished.map(n => khatmaPartName(khatma, n)).join('، ')}\n📊 الإنجاز : ${done}/${khatma.totalParts}`
+            }, { quoted: msg });
+
+            if (completed) {
+                logger.success(`Khatma #${khatma.number} completed in ${sender}`);
+                await announceKhatmaCompletion(sock, sender, khatma);
+            }
+            return;
+        }
+
+        if (['ترك', 'الغاء_حجز', 'إلغاء_حجز', 'تراجع'].includes(action)) {
+            if (partNumbers.length === 0) {
+                await sock.sendMessage(sender, { text: '💡 اكتب رقم القسم : /ختمة ترك 5' });
+                return;
+            }
+            const mine = partNumbers.filter(n => khatma.parts[n - 1].holder === userJid && !khatma.parts[n - 1].doneAt);
+            const isAdmin = mine.length < partNumbers.length && await isGroupAdmin(sock, sender, userJid);
+            const released = partNumbers.filter(n => {
+                const part = khatma.parts[n - 1];
+                return part.holder && !part.doneAt && (part.holder === userJid || isAdmin);
+            });
+            released.forEach(n => releasePart(khatma, n));
+
+            await sock.sendMessage(sender, {
+                text: released.length > 0
+                    ? `↩️ أصبح متاحاً : ${released.map(n => khatmaPartName(khatma, n)).join('، ')}`
+                    : '❌ لا يمكن ترك هذا القسم، إما أنه غير محجوز لك أو منجز.'
+            }, { quoted: msg });
+            return;
+        }
+
+        if (['إلغاء', 'الغاء', 'حذف'].includes(action)) {
+            if (khatma.createdBy !== userJid && !(await isGroupAdmin(sock, sender, userJid))) {
+                await sock.sendMessage(sender, { text: '🔒 إلغاء الختمة متاح للمشرفين أو لمن بدأها فقط.' });
+                return;
+            }
+            deleteKhatma(sender);
+            await sock.sendMessage(sender, { text: '🗑️ تم إلغاء الختمة.' });
+            return;
+        }
+
+        await sock.sendMessage(sender, { text: '💡 الاستخدام : /ختمة | /ختمة جديدة [عدد الأقسام] | /ختمة حجز 5 | /ختمة تم 5 | /ختمة ترك 5 | /ختمة إلغاء' });
+    }
+});
+
+// ── Daily Wird Command ────────────────────────────────────────────────────────
+const WIRD_TYPES = {
+    pages: ['صفحات', 'صفحة', 'صفحه', 'صفحتين'],
+    juz: ['جزء', 'جزء_يومي', 'اجزاء', 'أجزاء'],
+    ayah: ['آية', 'اية', 'آيه', 'ايه', 'آية_اليوم']
+};
+
+/**
+ * Describe what a subscription sends each day, e.g. "2 صفحة يومياً (صور)"
+ * @param {object} wird
+ * @returns {string}
+ */
+function describeWird(wird) {
+    const format = wird.format === 'text' ? 'نص' : 'صور';
+    if (wird.type === 'pages') return `${wird.amount} صفحة يومياً (${format})`;
+    if (wird.type === 'juz') return `جزء يومياً (${format})`;
+    return 'آية اليوم';
+}
+
+/**
+ * The next portion of a pages or juz subscription
+ * @param {object} wird
+ * @returns {object} { first, last, from, to, title, next } (ayah numbers, pages, next position)
+ */
+function getWirdPortion(wird) {
+    if (wird.type === 'juz') {
+        const unit = getJuzRange(wird.position);
+        if (!unit) throw new Error('Quran juz index is not loaded');
+        return {
+            ...unit,
+            from: getAyahLocation(unit.first).page,
+            to: getAyahLocation(unit.last).page,
+            title: `الجزء ${wird.position}`,
+            next: (wird.position % 30) + 1
+        };
+    }
+
+    const from = wird.position;
+    const to = Math.min(from + wird.amount - 1, 604);
+    const first = getPageRange(from);
+    const last = getPageRange(to);
+    if (!first || !last) throw new Error('Quran page index is not loaded');
+    return {
+        first: first.first,
+        last: last.last,
+        from,
+        to,
+        title: from === to ? `الصفحة ${from}` : `الصفحات ${from} - ${to}`,
+        next: to >= 604 ? 1 : to + 1
+    };
+}
+
+/**
+ * Send the next portion of a chat's wird and move its position forward
+ * @param {object} sock - Socket
+ * @param {string} chatJid
+ * @param {object} wird - The chat's subscription
+ * @param {string} [note] - Added to the heading (e.g. for a missed portion)
+ */
+async function sendWirdPortion(sock, chatJid, wird, note = '') {
+    if (wird.type === 'ayah') {
+        const aya = await fetchAyahByNumber(Math.floor(Math.random() * AYAH_COUNT) + 1);
+        const location = formatAyahLocation(aya.number);
+        await sock.sendMessage(chatJid, {
+            text: `🌅 *آية اليوم*${note}\n\n*${aya.text}*\n\n*- سورة ${aya.surahName} ${aya.ayah}*${location ? `\n${location}` : ''}`
+        });
+    } else {
+        const portion = getWirdPortion(wird);
+        const heading = `📖 *الورد اليومي* : ${portion.title}${note}`;
+
+        if (wird.format === 'text') {
+            const parts = chunkLines(await buildRangeLines(portion.first, portion.last), config.quran.partLength);
+            for (let i = 0; i < parts.length; i++) {
+                await sock.sendMessage(chatJid, { text: i === 0 ? `${heading}\n\n${parts[i]}` : parts[i] });
+            }
+        } else {
+            await sock.sendMessage(chatJid, { text: heading });
+            for (let page = portion.from; page <= portion.to; page++) {
+                await sock.sendMessage(chatJid, { image: await fetchPageImage(page), caption: formatPageCaption(page) });
+                // Small delay to avoid rate limiting
+                await new Promise(resolve => setTimeout(resolve, 500));
+            }
+        }
+
+        let text = `> تقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍`;
+        if (portion.next === 1) {
+            wird.khatmas = (wird.khatmas || 0) + 1;
+            text = `🎉 *تم ختم القرآن الكريم بهذا الورد (الختمة ${wird.khatmas})* 🎉\n\n${KHATMA_DUAA}\n\n🔁 يبدأ الورد القادم من أول المصحف`;
+        }
+        wird.position = portion.next;
+        await sock.sendMessage(chatJid, { text });
+    }
+
+    wird.lastSentAt = new Date().toISOString();
+    saveWirds();
+}
+
+/**
+ * Check whether a member may change a chat's wird: anyone in private chats,
+ * admins or whoever set it up in groups
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {string} userJid
+ * @param {object} [wird]
+ * @returns {Promise<boolean>}
+ */
+async function canManageWird(sock, chatJid, userJid, wird) {
+    if (!chatJid.endsWith('@g.us') || wird?.createdBy === userJid) return true;
+    return isGroupAdmin(sock, chatJid, userJid);
+}
+
+/**
+ * Build the status text of a chat's wird
+ * @param {object} wird
+ * @returns {string}
+ */
+function formatWirdStatus(wird) {
+    let text = `📖 *الورد اليومي*\n\n`;
+    text += `📌 الورد : ${describeWird(wird)}\n`;
+    text += `⏰ الموعد : ${formatTimeOfDay(wird.time)} يومياً (${wird.timeZone})\n`;
+    if (wird.type === 'pages') text += `🔜 التالي : من الصفحة ${wird.position}\n`;
+    if (wird.type === 'juz') text += `🔜 التالي : الجزء ${wird.position}\n`;
+    if (wird.khatmas) text += `🏆 الختمات : ${wird.khatmas}\n`;
+    text += `⏪ تعويض ما فات : ${wird.catchUp ? 'مفعّل' : 'متوقف'}\n`;
+    text += `📶 الحالة : ${wird.paused ? 'موقوف مؤقتاً ⏸️' : 'يعمل ✅'}\n\n`;
+    text += `💡 ${wird.paused ? '/ورد استئناف' : '/ورد إيقاف'} | /ورد الآن | /ورد وقت 7:30 م | /ورد تعويض | /ورد إلغاء`;
+    return text;
+}
+
+// Send due portions; after downtime, missed ones are sent (catch-up) or dropped (skip)
+registerTask('wird', config.wird.checkIntervalMinutes * 60000, async (sock) => {
+    const now = new Date();
+    for (const [chatJid, wird] of getActiveWirds()) {
+        if (new Date(wird.nextRun) > now) continue;
+
+        // Daily slots that came round since the last delivery (several after a long downtime)
+        const slots = [];
+        for (let slot = new Date(wird.nextRun); slot <= now && slots.length < 366;
+            slot = nextDailyOccurrence(wird.time, wird.timeZone, slot)) {
+            slots.push(slot);
+        }
+
+        const grace = config.wird.graceMinutes * 60000;
+        const due = wird.catchUp
+            ? slots.slice(-config.wird.maxCatchUp)
+            : slots.slice(-1).filter(slot => now - slot <= grace);
+        if (slots.length > due.length) {
+            logger.info(`Wird: skipped ${slots.length - due.length} missed portion(s) for ${chatJid}`);
+        }
+
+        // Missed deliveries aren't sent again: a failed send waits for the next day's slot
+        // instead of repeating the verses already sent every time the task runs
+        wird.nextRun = nextDailyOccurrence(wird.time, wird.timeZone, now).toISOString();
+        saveWirds();
+
+        try {
+            for (const slot of due) {
+                await sendWirdPortion(sock, chatJid, wird, now - slot > grace ? ' (تعويض ما فات ⏪)' : '');
+            }
+        } catch (error) {
+            logger.error(`Failed to send wird to ${chatJid}: ${error.message}`);
+        }
+    }
+});
+
+registerCommand('ورد', {
+    aliases: ['الورد', 'wird', 'ورد_يومي'],
+    description: 'Daily Quran portion (pages, a juz or an ayah) sent at a set local time',
+    descriptionAr: 'ورد يومي من القرآن (صفحات أو جزء أو آية) يرسل في وقت محدد كل يوم',
+    usage: '/ورد صفحات 2 6:00 | /ورد جزء 9:00 م | /ورد آية 7 ص | /ورد إيقاف | /ورد استئناف | /ورد إلغاء',
+    category: 'quran',
+    async execute(sock, msg, args, sender) {
+        const action = args[0];
+        const userJid = getUserJid(msg);
+        const wird = getWird(sender);
+        const usageText = '💡 الاستخدام :\n' +
+            '/ورد صفحات 2 6:00 ← صفحتان كل يوم الساعة 6 صباحاً\n' +
+            '/ورد جزء 9:00 م ← جزء كل يوم\n' +
+            '/ورد آية 7 ص ← آية اليوم\n\n' +
+            '⚙️ خيارات إضافية : من <رقم> (البداية) • نص (بدل الصور) • تعويض (إرسال ما فات بعد الانقطاع)';
+
+        if (!action || ['حالة', 'الحالة'].includes(action)) {
+            await sock.sendMessage(sender, {
+                text: wird ? formatWirdStatus(wird) : `📖 لا يوجد ورد يومي في هذه المحادثة.\n\n${usageText}`
+            });
+            return;
+        }
+
+        const type = Object.keys(WIRD_TYPES).find(key => WIRD_TYPES[key].includes(action));
+
+        if (!type && !wird) {
+            await sock.sendMessage(sender, { text: `📖 لا يوجد ورد يومي في هذه المحادثة.\n\n${usageText}` });
+            return;
+        }
+
+        if (!(await canManageWird(sock, sender, userJid, wird))) {
+            await sock.sendMessage(sender, { text: '🔒 تعديل الورد متاح للمشرفين أو لمن أنشأه فقط.' });
+            return;
+        }
+
+        // New subscription: /ورد <نوع> [عدد] [وقت] [من رقم] [نص|صور] [تعويض]
+        if (type) {
+            const options = { amount: null, time: null, start: null, format: 'images', catchUp: false };
+            const words = args.slice(1);
+            for (let i = 0; i < words.length; i++) {
+                const word = words[i];
+                const next = words[i + 1];
+                const withSuffix = next ? parseTimeOfDay(`${word} ${next}`) : null;
+
+                if (withSuffix) {
+                    options.time = withSuffix;
+                    i++;
+                } else if (parseTimeOfDay(word)) {
+                    options.time = parseTimeOfDay(word);
+                } else if (word === 'من' && next && /^\d+$/.test(toWesternDigits(next))) {
+                    options.start = parseInt(toWesternDigits(next), 10);
+                    i++;
+                } else if (/^\d+$/.test(toWesternDigits(word)) && options.amount === null) {
+                    options.amount = parseInt(toWesternDigits(word), 10);
+                } else if (['نص', 'نصا', 'نصاً'].includes(word)) {
+                    options.format = 'text';
+                } else if (['صور', 'صوره', 'صورة'].includes(word)) {
+                    options.format = 'images';
+                } else if (['تعويض', 'تعويض_ما_فات'].includes(word)) {
+                    options.catchUp = true;
+                } else {
+                    await sock.sendMessage(sender, { text: `❌ لم أفهم "${word}".\n\n${usageText}` });
+                    return;
+                }
+            }
+
+            const amount = type === 'pages' ? (options.amount || 1) : 1;
+            if (amount < 1 || amount > config.wird.maxPages) {
+                await sock.sendMessage(sender, { text: `❌ عدد الصفحات يجب أن يكون بين 1 و ${config.wird.maxPages}.` });
+                return;
+            }
+
+            const maxStart = type === 'juz' ? 30 : 604;
+            const start = options.start || 1;
+            if (start < 1 || start > maxStart) {
+                await sock.sendMessage(sender, { text: `❌ البداية يجب أن تكون بين 1 و ${maxStart}.` });
+                return;
+            }
+
+            const time = options.time || config.wird.defaultTime;
+            const timeZone = getPref(sender, 'timeZone') || config.bot.timezone;
+            const created = setWird(sender, {
+                type,
+                amount,
+                format: options.format,
+                time,
+                timeZone,
+                catchUp: options.catchUp,
+                paused: false,
+                position: start,
+                khatmas: 0,
+                nextRun: nextDailyOccurrence(time, timeZone).toISOString(),
+                lastSentAt: null,
+                createdBy: userJid,
+                createdAt: new Date().toISOString()
+            });
+
+            logger.info(`Wird set in ${sender}: ${type} x${amount} at ${time} ${timeZone}`);
+            await sock.sendMessage(sender, { text: `✅ تم ضبط الورد اليومي، بارك الله فيكم\n\n${formatWirdStatus(created)}` });
+            return;
+        }
+
+        if (['إيقاف', 'ايقاف', 'توقف', 'إيقاف_مؤقت'].includes(action)) {
+            wird.paused = true;
+            saveWirds();
+            await sock.sendMessage(sender, { text: '⏸️ تم إيقاف الورد مؤقتاً.\n💡 للاستئناف : /ورد استئناف' });
+            return;
+        }
+
+        if (['استئناف', 'استمرار', 'تشغيل'].includes(action)) {
+            // Resuming doesn't send the portions of the paused days
+            wird.paused = false;
+            wird.nextRun = nextDailyOccurrence(wird.time, wird.timeZone).toISOString();
+            saveWirds();
+            await sock.sendMessage(sender, { text: `▶️ تم استئناف الورد، الموعد القادم ${formatTimeOfDay(wird.time)}` });
+            return;
+        }
+
+        if (['إلغاء', 'الغاء', 'حذف'].includes(action)) {
+            deleteWird(sender);
+            await sock.sendMessage(sender, { text: '🗑️ تم إلغاء الورد اليومي.' });
+            return;
+        }
+
+        if (['الآن', 'الان', 'أرسل', 'ارسل'].includes(action)) {
+            try {
+                await sendWirdPortion(sock, sender, wird);
+            } catch (error) {
+                logger.error(`Failed to send wird: ${error.message}`);
+                await sock.sendMessage(sender, { text: '❌ عذراً، حدث خطأ في إرسال الورد. حاول مرة أخرى.' });
+            }
+            return;
+        }
+
+        if (['وقت', 'الوقت', 'موعد'].includes(action)) {
+            const time = parseTimeOfDay(args.slice(1).join(' '));
+            if (!time) {
+                await sock.sendMessage(sender, { text: '❌ وقت غير صحيح.\n💡 مثال : /ورد وقت 6:30 أو /ورد وقت 9 م' });
+                return;
+            }
+            wird.time = time;
+            wird.nextRun = nextDailyOccurrence(time, wird.timeZone).toISOString();
+            saveWirds();
+            await sock.sendMessage(sender, { text: `⏰ أصبح موعد الورد ${formatTimeOfDay(time)} يومياً.` });
+            return;
+        }
+
+        if (['تعويض', 'تعويض_ما_فات'].includes(action)) {
+            const setting = args[1];
+            wird.catchUp = ['إيقاف', 'ايقاف', 'لا'].includes(setting) ? false
+                : ['تشغيل', 'تفعيل', 'نعم'].includes(setting) ? true
+                    : !wird.catchUp;
+            saveWirds();
+            await sock.sendMessage(sender, {
+                text: wird.catchUp
+                    ? `⏪ تم تفعيل التعويض : ما يفوت أثناء انقطاع البوت يرسل عند عودته (حتى ${config.wird.maxCatchUp} أوراد).`
+                    : '⏭️ تم إيقاف التعويض : ما يفوت أثناء انقطاع البوت يتم تخطيه.'
+            });
+            return;
+        }
+
+        await sock.sendMessage(sender, { text: usageText });
+    }
+});
+
+// ── Adhkar Command ────────────────────────────────────────────────────────────
+const ADHKAR_SLOTS = {
+    morning: { name: 'الصباح', words: ['الصباح', 'صباح', 'صباحا', 'صباحاً'] },
+    evening: { name: 'المساء', words: ['المساء', 'مساء', 'مساءا', 'مساءً'] }
+};
+
+/**
+ * Send a whole adhkar category, split into message-sized parts
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {object} category
+ * @param {object} [options] - { quoted }
+ */
+async function sendAdhkarCategory(sock, chatJid, category, options = {}) {
+    let header = `${category.icon} *${category.name}*`;
+    if (category.note) header += `\n⏰ ${category.note}`;
+
+    const entries = [header, ...category.adhkar.map((dhikr, i) => formatDhikr(dhikr, i + 1))];
+    entries.push('> تقبل الله منا و منكم ، لا تنسونا من صالح الدعاء 🤍');
+    for (const part of chunkLines(entries, config.quran.partLength, '\n┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n')) {
+        await sock.sendMessage(chatJid, { text: part }, options.quoted ? { quoted: options.quoted } : undefined);
+    }
+}
+
+// Deliver morning and evening adhkar at each scheduled chat's local times
+registerTask('adhkar', config.adhkar.checkIntervalMinutes * 60000, async (sock) => {
+    const now = new Date();
+    for (const [chatJid, schedule] of getAdhkarSchedules()) {
+        const timeZone = getChatTimeZone(chatJid);
+        const local = getZonedParts(now, timeZone);
+        const dateKey = `${local.year}-${local.month}-${local.day}`;
+
+        for (const slot of Object.keys(ADHKAR_SLOTS)) {
+            if (!schedule[slot] || schedule.sent[slot] === dateKey) continue;
+
+            // Skip a slot missed by more than a few hours (e.g. the bot was offline)
+            const [hour, minute] = schedule[slot].split(':').map(Number);
+            const time = zonedTimeToDate(local.year, local.month, local.day, hour, minute, timeZone);
+            if (now < time || now - time > config.adhkar.windowHours * 3600000) continue;
+
+            const category = getAdhkarCategory(slot);
+            if (!category) continue;
+            try {
+                await sendAdhkarCategory(sock, chatJid, category);
+                markAdhkarSent(chatJid, slot, dateKey);
+                logger.info(`Sent ${slot} adhkar to ${chatJid}`);
+            } catch (error) {
+                logger.error(`Failed to send adhkar to ${chatJid}: ${error.message}`);
+            }
+        }
+    }
+});
+
+/**
+ * Build the list of adhkar categories with the chat's schedule
+ * @param {string} chatJid
+ * @returns {string}
+ */
+function formatAdhkarMenu(chatJid) {
+    let text = '📿 *حصن المسلم - الأذكار*\n\n';
+    for (const category of getAdhkarCategories()) {
+        text += `${category.icon} ${category.name} (${category.adhkar.length}) ← /اذكار ${category.aliases[0]}\n`;
+    }
+
+    const schedule = getAdhkarSchedule(chatJid);
+    text += '\n⏰ *الإرسال اليومي* : ';
+    if (schedule) {
+        text += Object.entries(ADHKAR_SLOTS)
+            .map(([slot, { name }]) => `${name} ${schedule[slot] ? formatTimeOfDay(schedule[slot]) : 'متوقف'}`)
+            .join(' • ');
+        text += '\n💡 /اذكار وقت الصباح 5:30 • /اذكار إيقاف';
+    } else {
+        text += 'غير مفعل\n💡 لإرسال أذكار الصباح والمساء كل يوم : /اذكار تفعيل';
+    }
+    return text;
+}
+
+registerCommand('اذكار', {
+    aliases: ['أذكار', 'الاذكار', 'الأذكار', 'حصن', 'adhkar', 'azkar'],
+    description: 'Hisn al-Muslim adhkar by category, with daily morning / evening adhkar',
+    descriptionAr: 'أذكار حصن المسلم حسب التصنيف (الصباح، المساء، النوم، السفر...) مع إرسال يومي لأذكار الصباح والمساء',
+    usage: '/اذكار | /اذكار الصباح | /اذكار تفعيل | /اذكار وقت المساء 5 م | /اذكار إيقاف',
+    category: 'quran',
+    async execute(sock, msg, args, sender, pushName, isGroup) {
+        const action = args[0];
+
+        if (!action) {
+            await sock.sendMessage(sender, { text: formatAdhkarMenu(sender) });
+            return;
+        }
+
+        const turnOn = ['تفعيل', 'تشغيل', 'اشتراك'].includes(action);
+        const turnOff = ['إيقاف', 'ايقاف', 'إلغاء', 'الغاء'].includes(action);
+        const setTime = ['وقت', 'الوقت', 'موعد'].includes(action);
+
+        if (!turnOn && !turnOff && !setTime) {
+            const category = findAdhkarCategory(args.join(' '));
+            if (!category) {
+                await sock.sendMessage(sender, { text: `❌ تصنيف غير موجود.\n\n${formatAdhkarMenu(sender)}` });
+                return;
+            }
+            await sendAdhkarCategory(sock, sender, category, { quoted: msg });
+            logger.success(`Sent adhkar "${category.id}" to ${sender}`);
+            return;
+        }
+
+        if (isGroup && !(await isGroupAdmin(sock, sender, getUserJid(msg)))) {
+            await sock.sendMessage(sender, { text: '🔒 جدولة الأذكار في المجموعة يضبطها المشرفون فقط.' });
+            return;
+        }
+
+        const schedule = getAdhkarSchedule(sender);
+
+        if (turnOff) {
+            // "/اذكار إيقاف المساء" stops one slot, "/اذكار إيقاف" both
+            const slot = Object.keys(ADHKAR_SLOTS).find(key => ADHKAR_SLOTS[key].words.includes(args[1]));
+            if (!schedule) {
+                await sock.sendMessage(sender, { text: '📿 الإرسال اليومي للأذكار غير مفعل في هذه المحادثة.' });
+            } else if (slot && schedule[Object.keys(ADHKAR_SLOTS).find(key => key !== slot)]) {
+                setAdhkarSchedule(sender, { [slot]: null });
+                await sock.sendMessage(sender, { text: `🔕 تم إيقاف أذكار ${ADHKAR_SLOTS[slot].name}.` });
+            } else {
+                deleteAdhkarSchedule(sender);
+                await sock.sendMessage(sender, { text: '🔕 تم إيقاف الإرسال اليومي للأذكار.' });
+            }
+            return;
+        }
+
+        if (setTime) {
+            const slot = Object.keys(ADHKAR_SLOTS).find(key => ADHKAR_SLOTS[key].words.includes(args[1]));
+            const time = parseTimeOfDay(args.slice(2).join(' '));
+            if (!slot || !time) {
+                await sock.sendMessage(sender, { text: '❌ الاستخدام : /اذكار وقت الصباح 5:30 أو /اذكار وقت المساء 5 م' });
+                return;
+            }
+            setAdhkarSchedule(sender, {
+                morning: schedule ? schedule.morning : config.adhkar.morningTime,
+                evening: schedule ? schedule.evening : config.adhkar.eveningTime,
+                [slot]: time
+            });
+            await sock.sendMessage(sender, {
+                text: `⏰ أصبح موعد أذكار ${ADHKAR_SLOTS[slot].name} ${formatTimeOfDay(time)} يومياً (${getChatTimeZone(sender)}).`
+            });
+            return;
+        }
+
+        const updated = setAdhkarSchedule(sender, {
+            morning: schedule?.morning || config.adhkar.morningTime,
+            evening: schedule?.evening || config.adhkar.eveningTime
+        });
+        await sock.sendMessage(sender, {
+            text: `✅ تم تفعيل الإرسال اليومي للأذكار\n\n` +
+                `🌅 أذكار الصباح : ${formatTimeOfDay(updated.morning)}\n` +
+                `🌇 أذكار المساء : ${formatTimeOfDay(updated.evening)}\n` +
+                `🌍 حسب توقيت : ${getChatTimeZone(sender)} (يتغير بحفظ المدينة : /صلاة مدينة)\n\n` +
+                '💡 لتغيير الموعد : /اذكار وقت الصباح 5:30'
+        });
+    }
+});
+
+// ── Tasbih Command ────────────────────────────────────────────────────────────
+/**
+ * Local date key ('YYYY-M-D') counts are filed under, in a chat's time zone
+ * @param {string} chatJid
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getTasbihDateKey(chatJid, date = new Date()) {
+    const local = getZonedParts(date, getChatTimeZone(chatJid));
+    return `${local.year}-${local.month}-${local.day}`;
+}
+
+/**
+ * Remember a counter message the bot sent, so reactions to it count
+ * @param {object} sent - Message returned by sock.sendMessage
+ * @param {object} target - { user } for a personal counter, { group } for a collective one
+ */
+function rememberTasbihMessage(sent, target) {
+    if (!sent?.key?.id) return;
+    tasbihMessages.set(sent.key.id, target);
+    if (tasbihMessages.size > config.tasbih.maxTrackedMessages) {
+        tasbihMessages.delete(tasbihMessages.keys().next().value);
+    }
+}
+
+/**
+ * Whether a running count passed a multiple of `every` with the last addition
+ * @param {number} count - Count after adding
+ * @param {number} amount - What was just added
+ * @param {number} every
+ * @returns {boolean}
+ */
+function crossedMultiple(count, amount, every) {
+    return Math.floor(count / every) > Math.floor((count - amount) / every);
+}
+
+/**
+ * Build a user's counter line for a dhikr
+ * @param {object} dhikr
+ * @param {object} result - From addUserCount()
+ * @returns {string}
+ */
+function formatTasbihProgress(dhikr, result) {
+    let text = `📿 *${dhikr.text}* : ${result.session}\n`;
+    text += `📅 اليوم : ${result.today}${result.goal ? ` / ${result.goal}` : ''}\n`;
+    text += `🔢 المجموع : ${result.total}`;
+    return text;
+}
+
+/**
+ * Build a group's collective counter board
+ * @param {object} counter
+ * @returns {string}
+ */
+function formatGroupCounter(counter) {
+    const dhikr = getDhikr(counter.dhikr);
+    let text = `📿 *التسبيح الجماعي : ${dhikr.text}*\n\n`;
+    text += `🔢 مجموع المجموعة : *${counter.total}*${counter.target ? ` / ${counter.target}` : ''}\n`;
+    if (counter.target) {
+        const filled = Math.min(10, Math.floor((counter.total / counter.target) * 10));
+        text += `${'🟩'.repeat(filled)}${'⬜'.repeat(10 - filled)} ${Math.min(100, Math.floor((counter.total / counter.target) * 100))}%\n`;
+    }
+
+    const members = Object.values(counter.members).sort((a, b) => b.count - a.count);
+    text += `👥 المشاركون : ${members.length}\n`;
+    if (members.length > 0) {
+        text += '┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n';
+        members.slice(0, config.tasbih.boardSize).forEach((member, i) => {
+            text += `${['🥇', '🥈', '🥉'][i] || `${i + 1}.`} ${member.name} : ${member.count}\n`;
+        });
+    }
+    return text.trim();
+}
+
+/**
+ * Count a tasbih token ("+", "+33", "📿") or a reaction to a counter message.
+ * In private chats it adds to the user's current dhikr; in groups, to the group's
+ * collective counter for members who joined it.
+ * @param {object} sock
+ * @param {object} msg - Incoming message
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} True if the message was a count (and shouldn't be processed further)
+ */
+export async function handleTasbihMessage(sock, msg, text) {
+    const chatJid = msg.key.remoteJid;
+    const reaction = msg.message?.reactionMessage;
+    let amount;
+    if (reaction) {
+        // A removed reaction arrives with empty text
+        if (!reaction.text || !tasbihMessages.has(reaction.key?.id)) return false;
+        amount = 1;
+    } else {
+        amount = parseCountToken(text);
+        if (!amount) return false;
+    }
+    amount = Math.min(amount, config.tasbih.maxPerMessage);
+
+    const userJid = getUserJid(msg);
+    const name = msg.pushName || userJid.split('@')[0];
+    const dateKey = getTasbihDateKey(chatJid);
+
+    if (chatJid.endsWith('@g.us')) {
+        const counter = getGroupCounter(chatJid);
+        if (!counter?.members[userJid]) return false;
+
+        const dhikr = getDhikr(counter.dhikr);
+        const reachedTarget = addGroupCount(counter, userJid, amount);
+        const result = addUserCount(userJid, dhikr.id, amount, dateKey, name);
+
+        if (reachedTarget) {
+            const top = Object.entries(counter.members).sort((a, b) => b[1].count - a[1].count).slice(0, 3);
+            let done = `🎉 *بلغت المجموعة الهدف : ${counter.target} ${dhikr.text}*\n\n`;
+            done += top.map(([jid, member], i) => `${['🥇', '🥈', '🥉'][i]} ${mentionOf(jid)} : ${member.count}`).join('\n');
+            done += '\n\nتقبل الله منا و منكم 🤍\n💡 يمكن الاستمرار في العد، أو بدء عداد جديد : /تسبيح جماعي';
+            await sock.sendMessage(chatJid, { text: done, mentions: top.map(([jid]) => jid) });
+        } else if (crossedMultiple(counter.total, amount, config.tasbih.groupAnnounceEvery)) {
+            const sent = await sock.sendMessage(chatJid, { text: `${formatGroupCounter(counter)}\n\n💡 أرسل + أو تفاعل مع هذه الرسالة للعد` });
+            rememberTasbihMessage(sent, { group: chatJid });
+        }
+
+        if (result.goalReached) {
+            await sock.sendMessage(chatJid, {
+                text: `✅ ${mentionOf(userJid)} أتم هدفه اليومي : ${result.goal} ${dhikr.text} 🤍`,
+                mentions: [userJid]
+            });
+        }
+        return true;
+    }
+
+    const user = getTasbihUser(userJid);
+    const dhikr = user?.current && getDhikr(user.current);
+    if (!dhikr) return false;
+
+    const result = addUserCount(userJid, dhikr.id, amount, dateKey, name);
+    if (result.goalReached) {
+        const sent = await sock.sendMessage(chatJid, {
+            text: `🎉 *أتممت هدفك اليومي من ${dhikr.text}* (${result.goal})\n\n${formatTasbihProgress(dhikr, result)}\n\nتقبل الله منك 🤍`
+        });
+        rememberTasbihMessage(sent, { user: userJid });
+    } else if (crossedMultiple(result.session, amount, config.tasbih.replyEvery)) {
+        const sent = await sock.sendMessage(chatJid, { text: formatTasbihProgress(dhikr, result) });
+        rememberTasbihMessage(sent, { user: userJid });
+    }
+    return true;
+}
+
+/**
+ * Build a user's tasbih statistics
+ * @param {object} user
+ * @param {string} dateKey - Today's local date key
+ * @returns {string}
+ */
+function formatTasbihStats(user, dateKey) {
+    const toTime = key => {
+        const [y, m, d] = key.split('-').map(Number);
+        return Date.UTC(y, m - 1, d);
+    };
+    const today = toTime(dateKey);
+    const sum = values => values.reduce((total, n) => total + n, 0);
+
+    let text = `📊 *إحصائيات التسبيح${user.name ? ` - ${user.name}` : ''}*\n\n`;
+
+    text += `📅 *اليوم* : ${sum(Object.values(user.today.counts))}\n`;
+    const ids = [...new Set([...Object.keys(user.goals), ...Object.keys(user.today.counts)])];
+    for (const id of ids) {
+        const dhikr = getDhikr(id);
+        if (!dhikr) continue;
+        const count = user.today.counts[id] || 0;
+        const goal = user.goals[id];
+        text += `• ${dhikr.text} : ${count}${goal ? ` / ${goal} ${count >= goal ? '✅' : '⏳'}` : ''}\n`;
+    }
+
+    const week = Object.entries(user.history).filter(([key]) => today - toTime(key) < 7 * 86400000);
+    text += `\n📆 آخر 7 أيام : ${sum(week.map(([, n]) => n))}\n`;
+    text += `🔢 المجموع الكلي : ${sum(Object.values(user.totals))}\n`;
+
+    // Consecutive days with some counting, up to today (or yesterday, if today hasn't started yet)
+    let streak = 0;
+    let day = user.history[dateKey] ? today : today - 86400000;
+    const counted = new Set(Object.keys(user.history).map(toTime));
+    while (counted.has(day)) {
+        streak++;
+        day -= 86400000;
+    }
+    text += `🔥 أيام متتالية : ${streak}\n`;
+
+    const totals = Object.entries(user.totals).filter(([id]) => getDhikr(id)).sort((a, b) => b[1] - a[1]);
+    if (totals.length > 0) {
+        text += '\n🏆 *المجموع لكل ذكر*\n';
+        text += totals.map(([id, n]) => `• ${getDhikr(id).text} : ${n}`).join('\n');
+    }
+    return text.trim();
+}
+
+registerCommand('تسبيح', {
+    aliases: ['سبحة', 'مسبحة', 'عداد', 'tasbih'],
+    description: 'Dhikr counter: count with "+" or reactions, daily goals, stats and group collective counters',
+    descriptionAr: 'مسبحة إلكترونية: اختر ذكراً وعدّ بإرسال + أو بالتفاعل، مع هدف يومي وإحصائيات وعداد جماعي للمجموعة',
+    usage: '/تسبيح استغفار | /تسبيح هدف استغفار 100 | /تسبيح احصائيات | /تسبيح جماعي سبحان الله 1000 | /تسبيح انضمام',
+    category: 'quran',
+    async execute(sock, msg, args, sender, pushName, isGroup) {
+        const action = args[0];
+        const userJid = getUserJid(msg);
+        const dateKey = getTasbihDateKey(sender);
+        const dhikrList = TASBIH_DHIKR.map(dhikr => `• ${dhikr.text}`).join('\n');
+
+        if (!action) {
+            const user = getTasbihUser(userJid, dateKey);
+            const current = user?.current && getDhikr(user.current);
+            let text = '📿 *المسبحة*\n\n';
+            if (current) {
+                text += `${formatTasbihProgress(current, {
+                    session: user.session,
+                    today: user.today.counts[current.id] || 0,
+                    total: user.totals[current.id] || 0,
+                    goal: user.goals[current.id] || null
+                })}\n\n`;
+            }
+            if (isGroup) {
+                const counter = getGroupCounter(sender);
+                text += counter ? `👥 عداد المجموعة : ${getDhikr(counter.dhikr).text} (${counter.total}) ← /تسبيح جماعي\n\n` : '';
+            }
+            text += `📋 *الأذكار*\n${dhikrList}\n\n`;
+            text += '💡 /تسبيح استغفار ← اختر الذكر، ثم أرسل + للعد (أو +33) أو تفاعل مع رسالة العداد\n';
+            text += '🎯 /تسبيح هدف استغفار 100 • 📊 /تسبيح احصائيات • 🔄 /تسبيح تصفير\n';
+            text += '👥 في المجموعات : /تسبيح جماعي سبحان الله 1000 • /تسبيح انضمام';
+            await sock.sendMessage(sender, { text });
+            return;
+        }
+
+        if (['احصائيات', 'إحصائيات', 'احصاء', 'إحصاء', 'إحصائياتي', 'احصائياتي'].includes(action)) {
+            const user = getTasbihUser(userJid, dateKey);
+            await sock.sendMessage(sender, {
+                text: user ? formatTasbihStats(user, dateKey) : '📊 لا توجد إحصائيات بعد.\n\n💡 ابدأ بـ : /تسبيح استغفار'
+            }, { quoted: msg });
+            return;
+        }
+
+        if (['تصفير', 'صفر', 'إعادة', 'اعادة'].includes(action)) {
+            resetSession(userJid);
+            await sock.sendMessage(sender, { text: '🔄 تم تصفير العداد (المجموع والإحصائيات محفوظة).' });
+            return;
+        }
+
+        if (['هدف', 'الهدف'].includes(action)) {
+            // "/تسبيح هدف استغفار 100", "/تسبيح هدف 100" (current dhikr), "/تسبيح هدف استغفار إلغاء"
+            const last = toWesternDigits(args[args.length - 1] || '');
+            const cancel = ['إلغاء', 'الغاء', 'حذف'].includes(last);
+            const goal = parseInt(last, 10);
+            const dhikr = args.length > 2 ? findDhikr(args.slice(1, -1).join(' '))
+                : getDhikr(getTasbihUser(userJid)?.current);
+            if (!dhikr || (!cancel && !(goal > 0 && goal <= 100000))) {
+                await sock.sendMessage(sender, { text: `❌ الاستخدام : /تسبيح هدف استغفار 100\n\n📋 *الأذكار*\n${dhikrList}` });
+                return;
+            }
+            setDhikrGoal(userJid, dhikr.id, cancel ? null : goal, pushName);
+            await sock.sendMessage(sender, {
+                text: cancel ? `🗑️ تم حذف هدف ${dhikr.text}.` : `🎯 هدفك اليومي : ${goal} ${dhikr.text}\n💡 تابع تقدمك : /تسبيح احصائيات`
+            });
+            return;
+        }
+
+        if (['جماعي', 'المجموعة', 'مجموعة'].includes(action)) {
+            if (!isGroup) {
+                await sock.sendMessage(sender, { text: config.messages.groupOnly });
+                return;
+            }
+            const counter = getGroupCounter(sender);
+            const rest = args.slice(1);
+
+            if (rest.length === 0) {
+                if (!counter) {
+                    await sock.sendMessage(sender, { text: `👥 لا يوجد عداد جماعي في المجموعة.\n\n💡 للبدء : /تسبيح جماعي سبحان الله 1000\n\n📋 *الأذكار*\n${dhikrList}` });
+                    return;
+                }
+                const sent = await sock.sendMessage(sender, { text: `${formatGroupCounter(counter)}\n\n💡 للمشاركة : /تسبيح انضمام ثم أرسل +` });
+                rememberTasbihMessage(sent, { group: sender });
+                return;
+            }
+
+            if (!(await isGroupAdmin(sock, sender, userJid))) {
+                await sock.sendMessage(sender, { text: '🔒 بدء وإنهاء العداد الجماعي للمشرفين فقط.' });
+                return;
+            }
+
+            if (['إنهاء', 'انهاء', 'إيقاف', 'ايقاف', 'إلغاء', 'الغاء'].includes(rest[0])) {
+                if (!counter) {
+                    await sock.sendMessage(sender, { text: '👥 لا يوجد عداد جماعي في المجموعة.' });
+                    return;
+                }
+                endGroupCounter(sender);
+                await sock.sendMessage(sender, { text: `🏁 *انتهى العداد الجماعي*\n\n${formatGroupCounter(counter)}\n\nتقبل الله منا و منكم 🤍` });
+                return;
+            }
+
+            const last = toWesternDigits(rest[rest.length - 1]);
+            const target = /^\d+$/.test(last) ? parseInt(last, 10) : null;
+            const dhikr = findDhikr((target ? rest.slice(0, -1) : rest).join(' '));
+            if (!dhikr || target === 0) {
+                await sock.sendMessage(sender, { text: `❌ ذكر غير معروف.\n\n📋 *الأذكار*\n${dhikrList}\n\n💡 مثال : /تسبيح جماعي استغفار 1000` });
+                return;
+            }
+            const started = startGroupCounter(sender, dhikr.id, target, userJid);
+            joinGroupCounter(started, userJid, pushName);
+            const sent = await sock.sendMessage(sender, {
+                text: `👥 *بدأ التسبيح الجماعي : ${dhikr.text}*${target ? `\n🎯 هدف المجموعة : ${target}` : ''}\n\n` +
+                    '💡 للمشاركة : /تسبيح انضمام\nثم أرسل + (أو +10) أو تفاعل مع رسائل العداد، ويضاف عدّك لمجموعك الشخصي أيضاً'
+            });
+            rememberTasbihMessage(sent, { group: sender });
+            return;
+        }
+
+        if (['انضمام', 'انضم', 'مشاركة', 'شارك'].includes(action)) {
+            const counter = isGroup && getGroupCounter(sender);
+            if (!counter) {
+                await sock.sendMessage(sender, { text: '👥 لا يوجد عداد جماعي في هذه المحادثة.\n💡 يبدؤه المشرف : /تسبيح جماعي سبحان الله 1000' });
+                return;
+            }
+            const joined = joinGroupCounter(counter, userJid, pushName);
+            await sock.sendMessage(sender, {
+                text: joined
+                    ? `✅ انضممت للتسبيح الجماعي : ${getDhikr(counter.dhikr).text}\n💡 أرسل + للعد (أو +33)`
+                    : '✅ أنت مشارك بالفعل، أرسل + للعد.'
+            }, { quoted: msg });
+            return;
+        }
+
+        const dhikr = findDhikr(args.join(' '));
+        if (!dhikr) {
+            await sock.sendMessage(sender, { text: `❌ ذكر غير معروف.\n\n📋 *الأذكار*\n${dhikrList}` });
+            return;
+        }
+        const user = selectDhikr(userJid, dhikr.id, pushName);
+        const goal = user.goals[dhikr.id];
+        const sent = await sock.sendMessage(sender, {
+            text: `📿 *${dhikr.text}*\n\n` +
+                (isGroup
+                    ? '💡 العد بإرسال + يكون في المحادثة الخاصة مع البوت، وفي المجموعة عبر العداد الجماعي : /تسبيح جماعي'
+                    : `💡 أرسل + لكل مرة (أو +33 دفعة واحدة)، أو تفاعل مع هذه الرسالة\n📢 سأخبرك بعدّك كل ${config.tasbih.replyEvery}`) +
+                (goal ? `\n🎯 هدفك اليومي : ${goal}` : '\n🎯 لتحديد هدف يومي : /تسبيح هدف 100')
+        });
+        if (!isGroup) rememberTasbihMessage(sent, { user: userJid });
+    }
+});
+
+// ── Recitation Test Command ───────────────────────────────────────────────────
+/**
+ * Mark the words of a recited verse: wrong and extra words struck through,
+ * the correct and missing words in bold
+ * @param {object} result - From compareRecitation()
+ * @returns {string}
+ */
+function formatRecitationDiff(result) {
+    let text = `📊 الدرجة : *${result.score}%* (${result.correct} من ${result.total} كلمة)`;
+    if (result.score === 100 && result.extra === 0) return `✅ *ممتاز! تسميع صحيح*\n${text}`;
+
+    const counts = [];
+    if (result.wrong) counts.push(`❌ خطأ ${result.wrong}`);
+    if (result.missing) counts.push(`➖ ناقص ${result.missing}`);
+    if (result.extra) counts.push(`➕ زائد ${result.extra}`);
+    text += `\n${counts.join(' • ')}\n\n`;
+
+    text += result.ops.map(op => {
+        if (op.type === 'ok') return op.actual;
+        if (op.type === 'wrong') return `~${op.actual}~ *${op.expected}*`;
+        if (op.type === 'missing') return `*${op.expected}*`;
+        return `~${op.actual}~`;
+    }).join(' ');
+    text += `\n\n_*غامق* : الصواب • ~مشطوب~ : خطأ أو زيادة_`;
+    return text;
+}
+
+/**
+ * Restart the idle timeout of a chat's recitation test
+ * @param {object} sock
+ * @param {string} chatJid
+ */
+function touchRecitation(sock, chatJid) {
+    const session = recitationSessions.get(chatJid);
+    if (!session) return;
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => {
+        finishRecitation(sock, chatJid, `⏰ انتهت مهلة التسميع (${config.tasmee.timeoutMinutes} دقائق بدون إجابة)`)
+            .catch(error => logger.error(`Failed to end recitation test in ${chatJid}: ${error.message}`));
+    }, config.tasmee.timeoutMinutes * 60_000);
+}
+
+/**
+ * Ask for the next verse, showing the one before it
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {object} session
+ */
+async function askRecitationAyah(sock, chatJid, session) {
+    const surahName = getSurahInfo(session.surah).name;
+    const previous = getAyah(session.surah, session.ayah - 1);
+    let text = `📖 سورة ${surahName} : ${previous.ayah}\n`;
+    text += `﴿${previous.text}﴾\n\n`;
+    text += `✍️ اكتب الآية التالية (${session.ayah}) من حفظك`;
+    text += `\n💡 ${config.bot.prefix[0]}تسميع تلميح • ${config.bot.prefix[0]}تسميع استسلام • ${config.bot.prefix[0]}تسميع انهاء`;
+    await sock.sendMessage(chatJid, { text });
+    touchRecitation(sock, chatJid);
+}
+
+/**
+ * Move past the current verse: ask the next one or finish the test
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {object} session
+ */
+async function advanceRecitation(sock, chatJid, session) {
+    session.ayah++;
+    session.hints = 0;
+    if (session.ayah > session.to) {
+        await finishRecitation(sock, chatJid);
+        return;
+    }
+    await askRecitationAyah(sock, chatJid, session);
+}
+
+/**
+ * End a chat's recitation test with a summary of the verses answered
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {string} [reason] - Why it ended before the last verse
+ */
+async function finishRecitation(sock, chatJid, reason) {
+    const session = recitationSessions.get(chatJid);
+    if (!session) return;
+    clearTimeout(session.timer);
+    recitationSessions.delete(chatJid);
+
+    const { results } = session;
+    let text = reason ? `${reason}\n\n` : '';
+    text += `🏁 *انتهى التسميع* : سورة ${getSurahInfo(session.surah).name} (${session.from} - ${session.to})\n`;
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    if (results.length === 0) {
+        text += `لم تُسمَّع أي آية`;
+    } else {
+        const average = Math.round(results.reduce((sum, r) => sum + r.score, 0) / results.length);
+        const mastered = results.filter(r => r.score >= config.tasmee.passScore && !r.gaveUp).length;
+        const hints = results.reduce((sum, r) => sum + r.hints, 0);
+        const gaveUp = results.filter(r => r.gaveUp).length;
+        text += `📊 المعدل : *${average}%*\n`;
+        text += `✅ متقنة : ${mastered} من ${results.length} آيات\n`;
+        if (hints) text += `💡 تلميحات : ${hints}\n`;
+        if (gaveUp) text += `🏳️ آيات لم تُسمَّع : ${gaveUp}\n`;
+
+        const weak = results.filter(r => r.score < config.tasmee.passScore).map(r => r.ayah);
+        if (weak.length > 0) text += `📌 راجع الآيات : ${weak.join('، ')}\n`;
+        text += average >= config.tasmee.passScore ? `\nبارك الله في حفظك 🤍` : `\nواصل المراجعة، وفقك الله 🤍`;
+    }
+
+    await sock.sendMessage(chatJid, { text });
+}
+
+/**
+ * Check a verse typed by the member taking the chat's recitation test
+ * @param {object} sock
+ * @param {object} msg - Incoming message
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} True if the message was an answer (and shouldn't be processed further)
+ */
+export async function handleRecitationAnswer(sock, msg, text) {
+    const chatJid = msg.key.remoteJid;
+    const session = recitationSessions.get(chatJid);
+    if (!session || getUserJid(msg) !== session.userJid) return false;
+
+    // Commands (/تسميع تلميح ...) and messages without Arabic words aren't answers
+    const prefixes = Array.isArray(config.bot.prefix) ? config.bot.prefix : [config.bot.prefix];
+    if (prefixes.some(prefix => text.trim().startsWith(prefix)) || !/[ء-ي]/.test(text)) return false;
+
+    const expected = getAyah(session.surah, session.ayah, 'simple');
+    const result = compareRecitation(expected.text, text, getAyah(session.surah, session.ayah).text);
+    session.results.push({ ayah: session.ayah, score: result.score, hints: session.hints, gaveUp: false });
+
+    // The next prompt shows the verse, so only the last one is written out here
+    let reply = formatRecitationDiff(result);
+    if ((result.score < 100 || result.extra > 0) && session.ayah === session.to) {
+        reply += `\n\n📖 الآية ${session.ayah} :\n﴿${getAyah(session.surah, session.ayah).text}﴾`;
+    }
+    await sock.sendMessage(chatJid, { text: reply }, { quoted: msg });
+    await advanceRecitation(sock, chatJid, session);
+    return true;
+}
+
+registerCommand('تسميع', {
+    aliases: ['سمع', 'اختبار_حفظ', 'tasmee'],
+    description: 'Memorization test: type the next verse and get a word-level check',
+    descriptionAr: 'اختبار الحفظ: يعرض البوت آية وتكتب الآية التالية من حفظك، ثم يصحح كلمة بكلمة',
+    usage: '/تسميع الملك | /تسميع الكهف 1-10 | /تسميع تلميح | /تسميع استسلام | /تسميع انهاء',
+    category: 'quran',
+    async execute(sock, msg, args, sender) {
+        const userJid = getUserJid(msg);
+        const session = recitationSessions.get(sender);
+        const action = normalizeArabic(args.join(' '));
+
+        // ── Hint: the first words of the expected verse, more with each hint ──
+        if (['تلميح', 'مساعده', 'hint'].includes(action)) {
+            if (!session || session.userJid !== userJid) {
+                await sock.sendMessage(sender, { text: 'ℹ️ لا يوجد تسميع جارٍ لك في هذه المحادثة.' });
+                return;
+            }
+            const words = getAyah(session.surah, session.ayah, 'simple').text.split(' ');
+            session.hints++;
+            const shown = Math.min(session.hints * config.tasmee.hintWords, words.length - 1);
+            await sock.sendMessage(sender, {
+                text: `💡 تلميح ${session.hints} للآية ${session.ayah} :\n${shown > 0 ? words.slice(0, shown).join(' ') : ''} ...${shown >= words.length - 1 ? '\n\nℹ️ لم يبق إلا آخر كلمة' : ''}`
+            });
+            touchRecitation(sock, sender);
+            return;
+        }
+
+        // ── Give up: show the verse and go on ──
+        if (['استسلام', 'لا اعرف', 'لا ادري', 'اظهار', 'skip'].includes(action)) {
+            if (!session || session.userJid !== userJid) {
+                await sock.sendMessage(sender, { text: 'ℹ️ لا يوجد تسميع جارٍ لك في هذه المحادثة.' });
+                return;
+            }
+            session.results.push({ ayah: session.ayah, score: 0, hints: session.hints, gaveUp: true });
+            await sock.sendMessage(sender, {
+                text: `🏳️ الآية ${session.ayah} :\n﴿${getAyah(session.surah, session.ayah).text}﴾`
+            });
+            await advanceRecitation(sock, sender, session);
+            return;
+        }
+
+        // ── Stop ──
+        if (['انهاء', 'ايقاف', 'الغاء', 'stop'].includes(action)) {
+            if (!session || session.userJid !== userJid) {
+                await sock.sendMessage(sender, { text: 'ℹ️ لا يوجد تسميع جارٍ لك في هذه المحادثة.' });
+                return;
+            }
+            await finishRecitation(sock, sender);
+            return;
+        }
+
+        // ── Start ──
+        if (args.length === 0) {
+            await sock.sendMessage(sender, {
+                text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /تسميع + اسم السورة أو رقمها\n💡 مثال: /تسميع الملك\n💡 مقطع من السورة: /تسميع الكهف 1-10'
+            });
+            return;
+        }
+        if (session) {
+            await sock.sendMessage(sender, {
+                text: `⏳ يوجد تسميع جارٍ في هذه المحادثة لـ ${mentionOf(session.userJid)} (سورة ${getSurahInfo(session.surah).name})\n💡 لإنهائه : /تسميع انهاء`,
+                mentions: [session.userJid]
+            });
+            return;
+        }
+
+        const parsed = parseSurahArgs(args);
+        if (!parsed.surah) {
+            await sendSurahNotFound(sock, sender, parsed.suggestions, '/تسميع الملك');
+            return;
+        }
+        const surah = getSurahInfo(parsed.surah);
+        if (!surah) {
+            await sock.sendMessage(sender, { text: '❌ نص القرآن غير محمّل على البوت.' });
+            return;
+        }
+
+        // Optional verses: "10" starts there, "10-20" is a range
+        let from = 1;
+        let to = surah.ayahCount;
+        if (parsed.rest.length > 0) {
+            const verses = toWesternDigits(parsed.rest.join('')).match(/^(\d+)(?:[-–—](\d+))?$/);
+            if (!verses) {
+                await sock.sendMessage(sender, { text: 'أمر خاطيء ❌\n\n💡 مثال: /تسميع الكهف 1-10' });
+                return;
+            }
+            from = parseInt(verses[1], 10);
+            if (verses[2]) to = parseInt(verses[2], 10);
+        }
+        if (from < 1 || to > surah.ayahCount || to - from < 1) {
+            await sock.sendMessage(sender, {
+                text: `❌ اختر آيتين على الأقل من سورة ${surah.name} (عدد آياتها ${surah.ayahCount}).`
+            });
+            return;
+        }
+
+        const started = { userJid, surah: surah.number, from, to, ayah: from + 1, hints: 0, timer: null, results: [] };
+        recitationSessions.set(sender, started);
+
+        await sock.sendMessage(sender, {
+            text: `🎧 *تسميع سورة ${surah.name}* (${from} - ${to})\n\nأعرض عليك آية، فاكتب الآية التي بعدها من حفظك، وأصحح لك كلمة بكلمة.\n⏱️ المهلة : ${config.tasmee.timeoutMinutes} دقائق لكل آية`
+        });
+        await askRecitationAyah(sock, sender, started);
+        logger.info(`Recitation test of surah ${surah.number} (${from}-${to}) started in ${sender}`);
+    }
+});
+
+// ── Memorization Plan Command ─────────────────────────────────────────────────
+/**
+ * Local date key ('YYYY-M-D') of a user's plan, in their private chat's time zone
+ * @param {string} userJid
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getHifzDateKey(userJid, date = new Date()) {
+    const local = getZonedParts(date, getChatTimeZone(userJid));
+    return `${local.year}-${local.month}-${local.day}`;
+}
+
+/**
+ * Describe a plan's daily amount, e.g. "نصف صفحة يومياً"
+ * @param {object} plan
+ * @returns {string}
+ */
+function describeHifzPlan(plan) {
+    const { unit, amount } = plan;
+    let text;
+    if (unit === 'page') {
+        text = { 0.25: 'ربع صفحة', [1 / 3]: 'ثلث صفحة', 0.5: 'نصف صفحة', 1: 'صفحة', 2: 'صفحتان' }[amount]
+            || `${Math.round(amount * 100) / 100} ${Number.isInteger(amount) && amount <= 10 ? 'صفحات' : 'صفحة'}`;
+    } else {
+        text = { 1: 'آية', 2: 'آيتان' }[amount] || `${amount} ${amount <= 10 ? 'آيات' : 'آية'}`;
+    }
+    return `${text} يومياً${plan.reverse ? ' (من آخر المصحف)' : ''}`;
+}
+
+/**
+ * Describe a portion with its pages: "سورة الملك 1 - 5 (ص 562)"
+ * @param {object} portion - { surah, from, to }
+ * @returns {string}
+ */
+function formatHifzPortion(portion) {
+    const verses = portion.from === portion.to ? `آية ${portion.from}` : `${portion.from} - ${portion.to}`;
+    const first = getAyahLocation(getAyah(portion.surah, portion.from).number).page;
+    const last = getAyahLocation(getAyah(portion.surah, portion.to).number).page;
+    return `سورة ${getSurahInfo(portion.surah).name} ${verses} (ص ${first === last ? first : `${first} - ${last}`})`;
+}
+
+/**
+ * "غداً", "بعد يومين", "بعد 5 أيام"
+ * @param {number} days
+ * @returns {string}
+ */
+function formatHifzDays(days) {
+    if (days <= 0) return 'اليوم';
+    if (days === 1) return 'غداً';
+    if (days === 2) return 'بعد يومين';
+    return `بعد ${days} ${days <= 10 ? 'أيام' : 'يوماً'}`;
+}
+
+/**
+ * Today's record of a user, picking the day's new portion on the first call of the day
+ * @param {string} userJid
+ * @param {object} user
+ * @param {string} dateKey
+ * @returns {object} { date, portion, done, reviews }
+ */
+function getHifzToday(userJid, user, dateKey) {
+    if (user.today.date === dateKey) return user.today;
+    const portion = user.plan && user.position
+        ? nextHifzPortion(user.plan, user.position, coveredAyahs(user.portions))
+        : null;
+    return startHifzDay(userJid, dateKey, portion);
+}
+
+/**
+ * Portions due for review, the longest overdue first
+ * @param {object} user
+ * @param {string} dateKey
+ * @returns {object} { list, total } list holds at most config.hifz.reviewsPerDay portions
+ */
+function getDueHifzReviews(user, dateKey) {
+    const due = user.portions
+        .filter(portion => daysBetweenKeys(portion.due, dateKey) >= 0)
+        .sort((a, b) => daysBetweenKeys(b.due, a.due) || a.id - b.id);
+    return { list: due.slice(0, config.hifz.reviewsPerDay), total: due.length };
+}
+
+/**
+ * Build the day's tasks: the new portion and the due reviews
+ * @param {object} user
+ * @param {object} today - From getHifzToday()
+ * @param {object} reviews - From getDueHifzReviews()
+ * @returns {string}
+ */
+function formatHifzToday(user, today, reviews) {
+    const prefix = config.bot.prefix[0];
+    let text = '📖 *خطة الحفظ - اليوم*\n\n';
+
+    if (!user.plan) {
+        text += `🆕 لا توجد خطة حفظ جديد.\n💡 ${prefix}حفظ خطة نصف صفحة يومياً\n`;
+    } else if (!today.portion) {
+        text += '🎉 ما شاء الله! لم يبق في المصحف ما لم تحفظه، فاثبت على المراجعة.\n';
+    } else {
+        text += `🆕 *الحفظ الجديد* : ${describeHifzPlan(user.plan)}\n• ${formatHifzPortion(today.portion)}\n`;
+        if (today.done) {
+            text += '✅ تم حفظه اليوم، بارك الله فيك\n';
+        } else {
+            const { surah, from, to } = today.portion;
+            text += `📖 النص : ${prefix}آية ${surah}:${from === to ? from : `${from}-${to}`}\n`;
+            text += `✅ بعد حفظه : ${prefix}حفظ تم\n`;
+        }
+    }
+
+    text += `\n🔁 *المراجعة* (${reviews.total})\n`;
+    if (reviews.total === 0) {
+        text += `✅ لا مراجعات مستحقة اليوم${today.reviews ? ` (راجعت ${today.reviews})` : ''}\n`;
+    } else {
+        text += reviews.list.map((portion, i) => `${i + 1}. ${formatHifzPortion(portion)}${portion.lastRating === 'weak' ? ' ⚠️' : ''}`).join('\n');
+        if (reviews.total > reviews.list.length) text += `\n(+${reviews.total - reviews.list.length} تنتظر الأيام القادمة)`;
+        text += `\n\n💡 بعد المراجعة قيّمها : ${prefix}حفظ مراجعة 1 ممتاز | متوسط | ضعيف`;
+        const first = reviews.list[0];
+        if (first.to > first.from) text += `\n🎧 أو سمّعها : ${prefix}تسميع ${getSurahInfo(first.surah).name} ${first.from}-${first.to}`;
+    }
+    return text.trim();
+}
+
+/**
+ * Build a user's progress: memorised amount, plan, position and reviews
+ * @param {object} user
+ * @param {string} dateKey
+ * @returns {string}
+ */
+function formatHifzStatus(user, dateKey) {
+    const covered = coveredAyahs(user.portions);
+    const surahs = getAllSurahs().filter(surah => {
+        const first = getAyah(surah.number, 1).number;
+        for (let i = 0; i < surah.ayahCount; i++) if (!covered.has(first + i)) return false;
+        return true;
+    });
+    const today = user.today.date === dateKey ? user.today : { portion: null, done: false, reviews: 0 };
+    const reviews = getDueHifzReviews(user, dateKey);
+
+    let text = `📊 *حالة الحفظ${user.name ? ` - ${user.name}` : ''}*\n\n`;
+    text += `✅ المحفوظ : ${covered.size} آية من ${AYAH_COUNT} (${Math.round((covered.size / AYAH_COUNT) * 1000) / 10}%)\n`;
+    text += `📚 السور المكتملة : ${surahs.length}${surahs.length > 0 && surahs.length <= 5 ? ` (${surahs.map(surah => surah.name).join('، ')})` : ''}\n`;
+
+    if (user.plan) {
+        const next = nextUncoveredAyah(user.position, user.plan.reverse, covered);
+        text += `\n📌 الخطة : ${describeHifzPlan(user.plan)}\n`;
+        if (next) text += `🔜 الموضع : سورة ${getSurahInfo(next.surah).name} آية ${next.ayah}\n`;
+        text += `⏰ التذكير : ${user.plan.time ? `${formatTimeOfDay(user.plan.time)} يومياً` : 'متوقف'}\n`;
+        text += `🆕 حفظ اليوم : ${today.done ? 'تم ✅' : today.portion ? 'لم يتم بعد ⏳' : '—'}\n`;
+    } else {
+        text += '\n📌 الخطة : لا توجد\n';
+    }
+
+    text += `\n🔁 مراجعات اليوم : ${today.reviews}\n`;
+    text += `📋 مستحقة الآن : ${reviews.total}\n`;
+    if (reviews.total === 0 && user.portions.length > 0) {
+        const soonest = Math.min(...user.portions.map(portion => daysBetweenKeys(dateKey, portion.due)));
+        text += `📅 أقرب مراجعة : ${formatHifzDays(soonest)}\n`;
+    }
+    const weak = user.portions.filter(portion => portion.lastRating === 'weak').length;
+    text += `🗂️ مقاطع في المراجعة : ${user.portions.length}${weak ? ` (ضعيفة ⚠️ ${weak})` : ''}\n`;
+    return text.trim();
+}
+
+// Daily reminder in the user's private chat, at the time set in the plan
+registerTask('hifz', config.hifz.checkIntervalMinutes * 60000, async (sock) => {
+    const now = new Date();
+    for (const [userJid, user] of getHifzReminders()) {
+        if (new Date(user.plan.nextRun) > now) continue;
+
+        // Missed reminders aren't sent again, only the next one is scheduled
+        setHifzReminder(userJid, { nextRun: nextDailyOccurrence(user.plan.time, user.plan.timeZone, now).toISOString() });
+
+        const dateKey = getHifzDateKey(userJid);
+        const today = getHifzToday(userJid, user, dateKey);
+        const reviews = getDueHifzReviews(user, dateKey);
+        if ((!today.portion || today.done) && reviews.total === 0) continue;
+
+        try {
+            await sock.sendMessage(userJid, { text: `⏰ *تذكير الحفظ*\n\n${formatHifzToday(user, today, reviews)}` });
+        } catch (error) {
+            logger.error(`Failed to send hifz reminder to ${userJid}: ${error.message}`);
+        }
+    }
+});
+
+registerCommand('حفظ', {
+    aliases: ['الحفظ', 'خطة_الحفظ', 'hifz'],
+    description: 'Memorization plan: daily new portions and spaced-repetition reviews',
+    descriptionAr: 'خطة حفظ شخصية: حفظ جديد كل يوم ومراجعة المحفوظ على فترات متباعدة حسب تقييمك',
+    usage: '/حفظ خطة نصف صفحة يومياً | /حفظ سجل الملك | /حفظ تم | /حفظ مراجعة 1 ممتاز | /حفظ حالتي',
+    category: 'quran',
+    async execute(sock, msg, args, sender, pushName) {
+        const userJid = getUserJid(msg);
+        const action = normalizeArabic(args[0] || '');
+        const dateKey = getHifzDateKey(userJid);
+        const user = getHifzUser(userJid);
+        const usageText = '💡 الاستخدام :\n' +
+            '/حفظ خطة نصف صفحة يومياً ← خطة حفظ جديد (صفحة، صفحتين، 5 آيات...)\n' +
+            '   خيارات : من الملك (البداية) • عكسي (من آخر المصحف) • 6:00 (تذكير يومي)\n' +
+            '/حفظ سجل الملك ← تسجيل ما تحفظه سابقاً (أو الكهف 1-10 أو جزء 30)\n' +
+            '/حفظ ← حفظ اليوم ومراجعاته\n' +
+            '/حفظ تم ← أتممت حفظ اليوم\n' +
+            '/حفظ مراجعة 1 ممتاز | متوسط | ضعيف ← تقييم مراجعة\n' +
+            '/حفظ حالتي ← التقدم والمراجعات المستحقة';
+
+        // ── Today's tasks ──
+        if (!action || ['اليوم', 'ورد', 'مهام'].includes(action)) {
+            if (!user) {
+                await sock.sendMessage(sender, { text: `📖 *خطة الحفظ*\n\nلم تبدأ خطة حفظ بعد.\n\n${usageText}` });
+                return;
+            }
+            const today = getHifzToday(userJid, user, dateKey);
+            await sock.sendMessage(sender, { text: formatHifzToday(user, today, getDueHifzReviews(user, dateKey)) });
+            return;
+        }
+
+        // ── Progress ──
+        if (['حالتي', 'حاله', 'تقدمي', 'احصائيات'].includes(action)) {
+            if (!user) {
+                await sock.sendMessage(sender, { text: `📊 لا يوجد حفظ مسجل لك بعد.\n\n${usageText}` });
+                return;
+            }
+            getHifzToday(userJid, user, dateKey);
+            await sock.sendMessage(sender, { text: formatHifzStatus(user, dateKey) });
+            return;
+        }
+
+        // ── Plan: /حفظ خطة <كمية> [يومياً] [عكسي] [وقت] [من <سورة> [آية]] ──
+        if (['خطه', 'خطتي'].includes(action)) {
+            const words = args.slice(1);
+            if (words.length === 0) {
+                await sock.sendMessage(sender, {
+                    text: user?.plan ? `📌 خطتك : ${describeHifzPlan(user.plan)}\n\n${usageText}` : usageText
+                });
+                return;
+            }
+
+            if (['الغاء', 'ايقاف', 'حذف'].includes(normalizeArabic(words[0]))) {
+                await sock.sendMessage(sender, {
+                    text: clearHifzPlan(userJid)
+                        ? '🗑️ تم إيقاف خطة الحفظ الجديد، وتبقى مراجعة ما حفظته كما هي.'
+                        : 'ℹ️ لا توجد خطة حفظ.'
+                });
+                return;
+            }
+
+            const fromIndex = words.findIndex(word => word === 'من');
+            const amount = parseHifzAmount(fromIndex === -1 ? words : words.slice(0, fromIndex));
+            if (!amount) {
+                await sock.sendMessage(sender, { text: `❌ حدد مقدار الحفظ اليومي بالصفحات أو الآيات.\n\n${usageText}` });
+                return;
+            }
+
+            const options = { reverse: false, time: null };
+            for (let i = 0; i < amount.rest.length; i++) {
+                const word = amount.rest[i];
+                const next = amount.rest[i + 1];
+                const withSuffix = next ? parseTimeOfDay(`${word} ${next}`) : null;
+
+                if (withSuffix) {
+                    options.time = withSuffix;
+                    i++;
+                } else if (parseTimeOfDay(word)) {
+                    options.time = parseTimeOfDay(word);
+                } else if (['عكسي', 'تنازلي', 'عكس'].includes(normalizeArabic(word))) {
+                    options.reverse = true;
+                } else if (!['يوميا', 'يومي', 'كل', 'يوم', 'في', 'باليوم'].includes(normalizeArabic(word))) {
+                    await sock.sendMessage(sender, { text: `❌ لم أفهم "${word}".\n\n${usageText}` });
+                    return;
+                }
+            }
+
+            const valid = amount.unit === 'page'
+                ? amount.amount >= 0.25 && amount.amount <= config.hifz.maxPages
+                : Number.isInteger(amount.amount) && amount.amount >= 1 && amount.amount <= config.hifz.maxAyahs;
+            if (!valid) {
+                await sock.sendMessage(sender, {
+                    text: amount.unit === 'page'
+                        ? `❌ الحفظ اليومي بين ربع صفحة و ${config.hifz.maxPages} صفحات.`
+                        : `❌ الحفظ اليومي بين آية و ${config.hifz.maxAyahs} آية.`
+                });
+                return;
+            }
+
+            // Start: "من الملك" or "من البقرة 20"; otherwise where the plan stood, or the start of the mushaf
+            let position = user?.plan && user.position ? user.position : { surah: options.reverse ? SURAH_COUNT : 1, ayah: 1 };
+            if (fromIndex !== -1) {
+                const parsed = parseSurahArgs(words.slice(fromIndex + 1));
+                if (!parsed.surah) {
+                    await sendSurahNotFound(sock, sender, parsed.suggestions, '/حفظ خطة نصف صفحة يومياً من الملك');
+                    return;
+                }
+                const ayah = parsed.rest.length > 0 ? parseInt(toWesternDigits(parsed.rest[0]), 10) : 1;
+                if (parsed.rest.length > 1 || !(ayah >= 1 && ayah <= getSurahInfo(parsed.surah).ayahCount)) {
+                    await sock.sendMessage(sender, { text: '❌ بداية غير صحيحة.\n💡 مثال : /حفظ خطة صفحة يومياً من البقرة 20' });
+                    return;
+                }
+                position = { surah: parsed.surah, ayah };
+            }
+
+            const time = options.time || user?.plan?.time || null;
+            const timeZone = getChatTimeZone(userJid);
+            const updated = setHifzPlan(userJid, {
+                unit: amount.unit,
+                amount: amount.amount,
+                reverse: options.reverse,
+                time,
+                timeZone,
+                nextRun: time ? nextDailyOccurrence(time, timeZone).toISOString() : null
+            }, position, pushName);
+
+            logger.info(`Hifz plan set for ${userJid}: ${amount.amount} ${amount.unit}${options.reverse ? ' reverse' : ''}`);
+            const today = getHifzToday(userJid, updated, dateKey);
+            await sock.sendMessage(sender, {
+                text: `✅ تم ضبط خطة الحفظ : ${describeHifzPlan(updated.plan)}${time ? `\n⏰ تذكير يومي ${formatTimeOfDay(time)}` : ''}\n\n${formatHifzToday(updated, today, getDueHifzReviews(updated, dateKey))}`
+            });
+            return;
+        }
+
+        // ── Register what was memorised before: /حفظ سجل <سورة> [من-إلى] | /حفظ سجل جزء 30 ──
+        if (['سجل', 'تسجيل', 'اضف', 'محفوظ'].includes(action)) {
+            const words = args.slice(1);
+            const ranges = [];
+
+            if (['جزء', 'الجزء'].includes(normalizeArabic(words[0] || ''))) {
+                const juz = getJuzRange(parseInt(toWesternDigits(words[1] || ''), 10));
+                if (!juz || words.length > 2) {
+                    await sock.sendMessage(sender, { text: '❌ رقم الجزء بين 1 و 30.\n💡 مثال : /حفظ سجل جزء 30' });
+                    return;
+                }
+                for (let number = juz.first; number <= juz.last; number++) {
+                    const aya = getAyahByNumber(number);
+                    const last = ranges[ranges.length - 1];
+                    if (last && last.surah === aya.surah) last.to = aya.ayah;
+                    else ranges.push({ surah: aya.surah, from: aya.ayah, to: aya.ayah });
+                }
+            } else {
+                if (words.length === 0) {
+                    await sock.sendMessage(sender, { text: `❌ حدد ما تحفظه.\n\n${usageText}` });
+                    return;
+                }
+                const parsed = parseSurahArgs(words);
+                if (!parsed.surah) {
+                    await sendSurahNotFound(sock, sender, parsed.suggestions, '/حفظ سجل الملك');
+                    return;
+                }
+                const surah = getSurahInfo(parsed.surah);
+                let from = 1;
+                let to = surah.ayahCount;
+                if (parsed.rest.length > 0) {
+                    const verses = toWesternDigits(parsed.rest.join('')).match(/^(\d+)(?:[-–—](\d+))?$/);
+                    if (!verses) {
+                        await sock.sendMessage(sender, { text: '❌ آيات غير صحيحة.\n💡 مثال : /حفظ سجل الكهف 1-10' });
+                        return;
+                    }
+                    from = parseInt(verses[1], 10);
+                    to = verses[2] ? parseInt(verses[2], 10) : from;
+                }
+                if (from < 1 || to > surah.ayahCount || from > to) {
+                    await sock.sendMessage(sender, { text: `❌ سورة ${surah.name} عدد آياتها ${surah.ayahCount}.` });
+                    return;
+                }
+                ranges.push({ surah: surah.number, from, to });
+            }
+
+            const covered = coveredAyahs(user?.portions || []);
+            const portions = ranges.flatMap(range => splitHifzRange(range.surah, range.from, range.to, covered));
+            if (portions.length === 0) {
+                await sock.sendMessage(sender, { text: 'ℹ️ هذا المقدار مسجل في محفوظك من قبل.' });
+                return;
+            }
+
+            // Spread the first reviews over the coming days
+            const added = addHifzPortions(userJid, portions.map((portion, i) => ({
+                ...portion,
+                interval: config.hifz.registeredIntervalDays,
+                due: addDaysToKey(dateKey, 1 + Math.floor(i / config.hifz.reviewsPerDay))
+            })), dateKey, { ease: config.hifz.startEase, name: pushName });
+
+            // Today's new portion may now be memorised already
+            const updated = getHifzUser(userJid);
+            if (updated.plan && !updated.today.done && updated.today.date === dateKey) {
+                startHifzDay(userJid, dateKey, nextHifzPortion(updated.plan, updated.position, coveredAyahs(updated.portions)));
+            }
+
+            const ayahs = added.reduce((sum, portion) => sum + portion.to - portion.from + 1, 0);
+            const days = Math.ceil(added.length / config.hifz.reviewsPerDay);
+            await sock.sendMessage(sender, {
+                text: `✅ تم تسجيل ${ayahs} آية في محفوظك\n🗂️ مقاطع المراجعة : ${added.length}\n` +
+                    `🔁 تبدأ مراجعتها غداً${days > 1 ? ` موزعة على ${days} أيام` : ''} إن شاء الله\n\n💡 ${config.bot.prefix[0]}حفظ حالتي`
+            });
+            return;
+        }
+
+        // ── Today's new portion memorised ──
+        if (['تم', 'حفظت', 'انتهيت', 'اتممت'].includes(action)) {
+            if (!user?.plan) {
+                await sock.sendMessage(sender, { text: `ℹ️ لا توجد خطة حفظ.\n\n${usageText}` });
+                return;
+            }
+            const today = getHifzToday(userJid, user, dateKey);
+            if (!today.portion) {
+                await sock.sendMessage(sender, { text: 'ℹ️ لا يوجد حفظ جديد اليوم.' });
+                return;
+            }
+            if (today.done) {
+                await sock.sendMessage(sender, { text: '✅ أتممت حفظ اليوم، بارك الله فيك. موعدك غداً إن شاء الله.' });
+                return;
+            }
+
+            const { portion } = today;
+            addHifzPortions(userJid, [{ ...portion, interval: 1, due: addDaysToKey(dateKey, 1) }], dateKey, { ease: config.hifz.startEase, name: pushName });
+            completeHifzDay(userJid, { surah: portion.surah, ayah: portion.to + 1 });
+
+            const covered = coveredAyahs(user.portions);
+            const surah = getSurahInfo(portion.surah);
+            const first = getAyah(surah.number, 1).number;
+            const surahDone = Array.from({ length: surah.ayahCount }, (_, i) => first + i).every(number => covered.has(number));
+
+            let text = `✅ بارك الله فيك! حفظت ${formatHifzPortion(portion)}\n`;
+            if (surahDone) text += `🎉 أتممت حفظ سورة ${surah.name}\n`;
+            text += `🔁 أول مراجعة له غداً إن شاء الله\n📊 المحفوظ : ${covered.size} آية (${Math.round((covered.size / AYAH_COUNT) * 1000) / 10}%)`;
+            const reviews = getDueHifzReviews(user, dateKey);
+            if (reviews.total > 0) text += `\n\n📋 بقي لك ${reviews.total} مراجعة اليوم : ${config.bot.prefix[0]}حفظ مراجعة`;
+            await sock.sendMessage(sender, { text });
+            return;
+        }
+
+        // ── Reviews: list, or rate one: /حفظ مراجعة [رقم] <ممتاز|متوسط|ضعيف> ──
+        if (['مراجعه', 'مراجعات', 'راجعت'].includes(action) || findHifzRating(args[0])) {
+            if (!user || user.portions.length === 0) {
+                await sock.sendMessage(sender, { text: `ℹ️ لا يوجد محفوظ مسجل للمراجعة.\n\n${usageText}` });
+                return;
+            }
+            const today = getHifzToday(userJid, user, dateKey);
+            const reviews = getDueHifzReviews(user, dateKey);
+
+            const words = findHifzRating(args[0]) ? args : args.slice(1);
+            let rating = null;
+            let index = 0;
+            for (const word of words) {
+                const number = toWesternDigits(word);
+                if (/^\d+$/.test(number)) index = parseInt(number, 10) - 1;
+                else if (findHifzRating(word)) rating = findHifzRating(word);
+                else {
+                    await sock.sendMessage(sender, { text: '❌ لم أفهم.\n💡 مثال : /حفظ مراجعة 1 ممتاز' });
+                    return;
+                }
+            }
+
+            if (!rating) {
+                await sock.sendMessage(sender, { text: formatHifzToday(user, today, reviews) });
+                return;
+            }
+            if (reviews.total === 0) {
+                await sock.sendMessage(sender, { text: '✅ لا مراجعات مستحقة اليوم.\n💡 /حفظ حالتي' });
+                return;
+            }
+            const portion = reviews.list[index];
+            if (!portion) {
+                await sock.sendMessage(sender, { text: `❌ رقم المراجعة بين 1 و ${reviews.list.length}.` });
+                return;
+            }
+
+            const next = scheduleHifzReview(portion, rating.id);
+            recordHifzReview(userJid, portion.id, { rating: rating.id, ...next, due: addDaysToKey(dateKey, next.interval), date: dateKey });
+
+            let text = `${rating.icon} تم تسجيل مراجعة ${formatHifzPortion(portion)} : ${rating.name}\n`;
+            text += `📅 المراجعة القادمة ${formatHifzDays(next.interval)}`;
+            const remaining = getDueHifzReviews(user, dateKey);
+            text += remaining.total > 0
+                ? `\n\n📋 التالية : ${formatHifzPortion(remaining.list[0])}${remaining.total > 1 ? ` (بقي ${remaining.total})` : ''}`
+                : '\n\n🎉 أتممت مراجعات اليوم، تقبل الله منك';
+            await sock.sendMessage(sender, { text });
+            return;
+        }
+
+        // ── Daily reminder: /حفظ تذكير <وقت> | /حفظ تذكير إيقاف ──
+        if (['تذكير', 'تنبيه'].includes(action)) {
+            if (!user?.plan) {
+                await sock.sendMessage(sender, { text: `ℹ️ لا توجد خطة حفظ.\n\n${usageText}` });
+                return;
+            }
+            if (['ايقاف', 'الغاء', 'لا'].includes(normalizeArabic(args[1] || ''))) {
+                setHifzReminder(userJid, { time: null, nextRun: null });
+                await sock.sendMessage(sender, { text: '🔕 تم إيقاف تذكير الحفظ اليومي.' });
+                return;
+            }
+            const time = parseTimeOfDay(args.slice(1).join(' '));
+            if (!time) {
+                await sock.sendMessage(sender, { text: '❌ وقت غير صحيح.\n💡 مثال : /حفظ تذكير 5:30 أو /حفظ تذكير إيقاف' });
+                return;
+            }
+            const timeZone = getChatTimeZone(userJid);
+            setHifzReminder(userJid, { time, timeZone, nextRun: nextDailyOccurrence(time, timeZone).toISOString() });
+            await sock.sendMessage(sender, { text: `⏰ يصلك تذكير الحفظ في الخاص ${formatTimeOfDay(time)} يومياً.` });
+            return;
+        }
+
+        // ── Start over ──
+        if (['تصفير', 'مسح'].includes(action)) {
+            if (normalizeArabic(args[1] || '') !== 'تاكيد') {
+                await sock.sendMessage(sender, { text: '⚠️ سيحذف هذا خطتك وكل محفوظك المسجل ومواعيد مراجعته.\n💡 للتأكيد : /حفظ تصفير تأكيد' });
+                return;
+            }
+            await sock.sendMessage(sender, {
+                text: deleteHifzUser(userJid) ? '🗑️ تم حذف خطة الحفظ وسجل المحفوظ.' : 'ℹ️ لا يوجد حفظ مسجل لك.'
+            });
+            return;
+        }
+
+        await sock.sendMessage(sender, { text: usageText });
+    }
+});
+
+// ── Quiz Command ──────────────────────────────────────────────────────────────
+const QUIZ_BOARD_PERIODS = {
+    week: { name: 'هذا الأسبوع', aliases: ['اسبوع', 'الاسبوع', 'اسبوعي', 'week'] },
+    month: { name: 'هذا الشهر', aliases: ['شهر', 'الشهر', 'شهري', 'month'] },
+    all: { name: 'كل الأوقات', aliases: ['الكل', 'كل', 'عام', 'كلي', 'all'] }
+};
+
+// WhatsApp poll limits; questions beyond them are sent as text
+const QUIZ_POLL_MAX_OPTIONS = 12;
+const QUIZ_POLL_MAX_OPTION_LENGTH = 100;
+const QUIZ_POLL_MAX_NAME_LENGTH = 255;
+
+const QUIZ_MODES = {
+    poll: { name: 'استطلاع', aliases: ['استطلاع', 'تصويت', 'poll'] },
+    text: { name: 'نص', aliases: ['نص', 'نصي', 'ارقام', 'text'] }
+};
+
+const QUIZ_OPTION_ICONS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+/**
+ * Seconds given to answer a question: the question's own time, the chat's
+ * setting (/سؤال وقت) or config.quiz.answerSeconds
+ * @param {string} chatJid
+ * @param {object} [question]
+ * @returns {number}
+ */
+function getQuizSeconds(chatJid, question) {
+    return question?.seconds || getPref(chatJid, 'quizSeconds') || config.quiz.answerSeconds;
+}
+
+/**
+ * How a chat gets its questions: the chat's setting (/سؤال وضع) or config.quiz.mode
+ * @param {string} chatJid
+ * @returns {string} 'poll' or 'text'
+ */
+function getQuizMode(chatJid) {
+    return getPref(chatJid, 'quizMode') || config.quiz.mode;
+}
+
+/**
+ * Build a question message
+ * @param {object} question - From pickQuizQuestion()
+ * @param {number} seconds - Answer time
+ * @param {object} options
+ * @param {boolean} options.isGroup
+ * @param {string} [options.heading] - First line, "سؤال إسلامي" by default
+ * @param {boolean} [options.poll] - The question and options follow as a WhatsApp poll
+ * @returns {string}
+ */
+function formatQuizQuestion(question, seconds, { isGroup, heading = '🕌 *سؤال إسلامي*', poll = false }) {
+    const difficulty = QUIZ_DIFFICULTIES.find(d => d.id === question.difficulty);
+    let text = `${heading}\n`;
+    text += `📂 ${question.category}${difficulty ? ` • 📶 ${difficulty.name}` : ''}\n`;
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    if (!poll) {
+        text += `\n❓ *${question.q}*\n\n`;
+        question.answers.forEach((a, i) => {
+            text += `${QUIZ_OPTION_ICONS[i] || `${i + 1}.`} ${a.answer}\n`;
+        });
+        text += `\n┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    }
+    if (isGroup) {
+        text += `⏱️ لديكم *${seconds} ثانية* للإجابة، وتُحتسب أول إجابة لكل مشارك\n`;
+        text += `🏆 أسرع إجابة صحيحة : +${config.quiz.points.fastest} • كل إجابة صحيحة : +${config.quiz.points.correct}\n`;
+    } else {
+        text += `⏱️ لديك *${seconds} ثانية* للإجابة\n`;
+    }
+    text += poll
+        ? `🗳️ اختر الإجابة في الاستطلاع التالي`
+        : `💬 أرسل رقم الإجابة من *1* إلى *${question.answers.length}*`;
+    return text;
+}
+
+/**
+ * The explanation shown with a question's answer, if it has one
+ * @param {object} question
+ * @returns {string}
+ */
+function formatQuizExplanation(question) {
+    return question.explanation ? `\n\n💡 *الشرح :* ${question.explanation}` : '';
+}
+
+/**
+ * Build the list of quiz categories with their question counts
+ * @returns {string}
+ */
+function formatQuizCategories() {
+    const categories = getQuizCategories();
+    let text = `📂 *تصنيفات الأسئلة*\n\n`;
+    for (const category of categories) {
+        const levels = QUIZ_DIFFICULTIES
+            .filter(d => category.difficulties[d.id])
+            .map(d => `${d.name} ${category.difficulties[d.id]}`);
+        text += `🔹 ${category.name} : ${category.count} سؤال${levels.length ? ` (${levels.join(' • ')})` : ''}\n`;
+    }
+    text += `\n📊 المجموع : ${getQuizSize()} سؤال\n`;
+    text += `💡 ${config.bot.prefix[0]}سؤال ${categories[0]?.name || ''} ← سؤال من تصنيف`;
+    if (categories.some(category => Object.keys(category.difficulties).length > 0)) {
+        text += `\n💡 ${config.bot.prefix[0]}سؤال ${categories[0].name} صعب ← سؤال من تصنيف ومستوى`;
+    }
+    return text;
+}
+
+/**
+ * Leaderboard periods a chat is in: the local date of the week's first day and the month
+ * @param {string} chatJid
+ * @param {Date} [date]
+ * @returns {object} { week: 'YYYY-M-D', month: 'YYYY-M' }
+ */
+function getQuizPeriodKeys(chatJid, date = new Date()) {
+    const local = getZonedParts(date, getChatTimeZone(chatJid));
+    const daysIntoWeek = (local.weekday - config.quiz.weekStartDay + 7) % 7;
+    const weekStart = new Date(Date.UTC(local.year, local.month - 1, local.day - daysIntoWeek));
+    return {
+        week: `${weekStart.getUTCFullYear()}-${weekStart.getUTCMonth() + 1}-${weekStart.getUTCDate()}`,
+        month: `${local.year}-${local.month}`
+    };
+}
+
+/**
+ * Read an optional category and difficulty from command words:
+ * "فقه", "صعب", "السيرة النبوية سهل"
+ * @param {string[]} words
+ * @returns {object} { category, difficulty, unknown } unknown holds an unrecognised category name
+ */
+function parseQuizFilter(words) {
+    const difficulty = words.length > 0 ? findQuizDifficulty(words[words.length - 1]) : null;
+    const input = (difficulty ? words.slice(0, -1) : words).join(' ').trim();
+    const category = input ? findQuizCategory(input) : null;
+    return { category, difficulty, unknown: input && !category ? input : null };
+}
+
+/**
+ * Whether a question can be sent as a WhatsApp poll (options must be unique and few)
+ * @param {object} question
+ * @returns {boolean}
+ */
+function canSendAsPoll(question) {
+    const values = question.answers.map(a => String(a.answer).trim());
+    return values.length >= 2 &&
+        values.length <= QUIZ_POLL_MAX_OPTIONS &&
+        new Set(values).size === values.length &&
+        values.every(value => value.length > 0 && value.length <= QUIZ_POLL_MAX_OPTION_LENGTH);
+}
+
+/**
+ * Remember a quiz poll the bot sent, so votes on it can be decrypted (see getQuizPollMessage)
+ * @param {string} chatJid
+ * @param {object} sent - Message returned by sock.sendMessage
+ */
+function rememberQuizPoll(chatJid, sent) {
+    quizPolls.set(sent.key.id, { chatJid, message: sent.message });
+    if (quizPolls.size > config.quiz.maxTrackedPolls) {
+        quizPolls.delete(quizPolls.keys().next().value);
+    }
+}
+
+/**
+ * The content of a quiz poll the bot sent, for the socket's getMessage option;
+ * Baileys needs it to decrypt the votes
+ * @param {object} key - Message key
+ * @returns {object|undefined}
+ */
+export function getQuizPollMessage(key) {
+    return quizPolls.get(key.id)?.message;
+}
+
+/**
+ * Ask a question in a chat and reveal it when the time runs out.
+ * Chats in poll mode (/سؤال وضع) get a WhatsApp poll; the numbered text
+ * question is the fallback when the question doesn't fit a poll or sending fails.
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {object} question - From pickQuizQuestion()
+ * @param {boolean} isGroup
+ * @param {string} [heading] - First line of the question message (tournament round)
+ */
+async function startQuizRound(sock, chatJid, question, isGroup, heading) {
+    const seconds = getQuizSeconds(chatJid, question);
+    let poll = null;
+
+    if (getQuizMode(chatJid) === 'poll' && canSendAsPoll(question)) {
+        try {
+            await sock.sendMessage(chatJid, { text: formatQuizQuestion(question, seconds, { isGroup, heading, poll: true }) });
+            const sent = await sock.sendMessage(chatJid, {
+                poll: {
+                    name: `❓ ${question.q}`.slice(0, QUIZ_POLL_MAX_NAME_LENGTH),
+                    values: question.answers.map(a => String(a.answer).trim()),
+                    selectableCount: 1
+                }
+            });
+            rememberQuizPoll(chatJid, sent);
+            poll = sent.key.id;
+        } catch (error) {
+            logger.error(`Failed to send quiz poll, using text: ${error.message}`);
+        }
+    }
+    if (!poll) {
+        await sock.sendMessage(chatJid, { text: formatQuizQuestion(question, seconds, { isGroup, heading }) });
+    }
+
+    const timer = setTimeout(() => {
+        expireQuiz(sock, chatJid).catch(error => logger.error(`Failed to end quiz in ${chatJid}: ${error.message}`));
+    }, seconds * 1000);
+    quizSessions.set(chatJid, {
+        question, timer, group: isGroup, startedAt: Date.now(), endsAt: Date.now() + seconds * 1000, answers: new Map(), poll,
+        tournament: quizTournaments.has(chatJid)
+    });
+}
+
+/**
+ * Time ran out on a chat's question: reveal the answer (and the group's winners)
+ * @param {object} sock
+ * @param {string} chatJid
+ */
+async function expireQuiz(sock, chatJid) {
+    const session = quizSessions.get(chatJid);
+    if (!session) return;
+    if (session.group) {
+        await revealGroupQuiz(sock, chatJid);
+        return;
+    }
+    quizSessions.delete(chatJid);
+
+    const { question } = session;
+    const correct = question.answers.find(a => a.t === 1);
+    const correctNum = question.answers.findIndex(a => a.t === 1) + 1;
+    await sock.sendMessage(chatJid, {
+        text: `⏰ *انتهى الوقت!*\n\n📌 الإجابة الصحيحة كانت رقم *${correctNum}*: ${correct?.answer}${formatQuizExplanation(question)}`
+    });
+    if (session.tournament) await endTournamentRound(sock, chatJid, []);
+}
+
+/**
+ * End a group question: reveal the answer, award points and mention the winners.
+ * The fastest correct answer earns config.quiz.points.fastest, every other correct one
+ * config.quiz.points.correct.
+ * @param {object} sock
+ * @param {string} chatJid
+ */
+async function revealGroupQuiz(sock, chatJid) {
+    const session = quizSessions.get(chatJid);
+    if (!session) return;
+    clearTimeout(session.timer);
+    quizSessions.delete(chatJid);
+
+    const { question, answers, startedAt } = session;
+    const correctIndex = question.answers.findIndex(a => a.t === 1);
+    const participants = [...answers.entries()].sort((a, b) => a[1].at - b[1].at);
+    const winners = participants.filter(([, answer]) => answer.choice === correctIndex);
+
+    const results = participants.map(([userJid, answer]) => {
+        const correct = answer.choice === correctIndex;
+        const fastest = userJid === winners[0]?.[0];
+        const points = fastest ? config.quiz.points.fastest : correct ? config.quiz.points.correct : 0;
+        return { userJid, name: answer.name, correct, fastest, points };
+    });
+    recordQuizRound(chatJid, results, getQuizPeriodKeys(chatJid));
+
+    let text = `⏰ *انتهى الوقت!*\n\n`;
+    text += `📌 الإجابة الصحيحة رقم *${correctIndex + 1}*: ${question.answers[correctIndex]?.answer}\n`;
+    text += participants.length > 0
+        ? `👥 المشاركون : ${participants.length} • ✅ إجابات صحيحة : ${winners.length}\n`
+        : `😶 لم يشارك أحد في الإجابة\n`;
+
+    if (winners.length > 0) {
+        text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+        winners.forEach(([userJid, answer], i) => {
+            const seconds = ((answer.at - startedAt) / 1000).toFixed(1);
+            text += i === 0
+                ? `🥇 ${mentionOf(userJid)} أسرع إجابة صحيحة (${seconds} ث) : +${config.quiz.points.fastest}\n`
+                : `✅ ${mentionOf(userJid)} (${seconds} ث) : +${config.quiz.points.correct}\n`;
+        });
+        text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    } else if (participants.length > 0) {
+        text += `\n😔 لم يجب أحد إجابة صحيحة\n`;
+    }
+    if (!session.tournament) text += `🏆 الترتيب : ${config.bot.prefix[0]}ترتيب`;
+    text = text.trim() + formatQuizExplanation(question);
+
+    await sock.sendMessage(chatJid, { text, mentions: winners.map(([userJid]) => userJid) });
+    if (session.tournament) await endTournamentRound(sock, chatJid, results);
+}
+
+/**
+ * Take a participant's answer to the chat's pending question.
+ * In private chats the answer is revealed at once; in groups every participant's
+ * first answer is recorded until the time runs out (see revealGroupQuiz).
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {object} session - The chat's quiz session
+ * @param {object} answer - { userJid, name, choice } choice is the option index
+ * @param {object} [msg] - The answer message, for text answers
+ */
+async function takeQuizAnswer(sock, chatJid, session, { userJid, name, choice }, msg) {
+    if (session.group) {
+        // Only the first answer of each participant counts
+        if (session.answers.has(userJid)) return;
+        session.answers.set(userJid, { choice, at: Date.now(), name });
+        if (msg) await sock.sendMessage(chatJid, { react: { text: '📝', key: msg.key } });
+        return;
+    }
+
+    clearTimeout(session.timer);
+    quizSessions.delete(chatJid);
+
+    const correctAnswer = session.question.answers.find(a => a.t === 1)?.answer;
+    const correctNum = session.question.answers.findIndex(a => a.t === 1) + 1;
+    const isCorrect = session.question.answers[choice]?.t === 1;
+
+    if (isCorrect) {
+        await sock.sendMessage(chatJid, {
+            text: `✅ *إجابة صحيحة!* أحسنت 🎉\n\n📌 الإجابة: ${correctAnswer}${formatQuizExplanation(session.question)}`
+        }, msg ? { quoted: msg } : {});
+    } else {
+        await sock.sendMessage(chatJid, {
+            text: `❌ *إجابة خاطئة*\n\n📌 الإجابة الصحيحة هي رقم *${correctNum}*: ${correctAnswer}${formatQuizExplanation(session.question)}`
+        }, msg ? { quoted: msg } : {});
+    }
+    if (session.tournament) {
+        await endTournamentRound(sock, chatJid, [{ userJid, name, correct: isCorrect, points: isCorrect ? config.quiz.points.correct : 0 }]);
+    }
+}
+
+/**
+ * Take a numbered text answer to the chat's pending question.
+ * Questions sent as polls only take votes, so chatter isn't read as answers.
+ * @param {object} sock
+ * @param {object} msg - Incoming message
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} True if the message was an answer (and shouldn't be processed further)
+ */
+export async function handleQuizAnswer(sock, msg, text) {
+    const chatJid = msg.key.remoteJid;
+    const session = quizSessions.get(chatJid);
+    if (!session || session.poll) return false;
+
+    const answer = toWesternDigits(text.trim());
+    if (!/^\d{1,2}$/.test(answer) || Number(answer) < 1 || Number(answer) > session.question.answers.length) return false;
+
+    const userJid = getUserJid(msg);
+    await takeQuizAnswer(sock, chatJid, session, { userJid, name: msg.pushName || userJid.split('@')[0], choice: Number(answer) - 1 }, msg);
+    return true;
+}
+
+/**
+ * Score the votes on a quiz poll (messages.update with pollUpdates).
+ * Each voter's first choice counts like a text answer; changed votes are ignored.
+ * @param {object} sock
+ * @param {object} key - Key of the poll message
+ * @param {object[]} pollUpdates - Decrypted votes from Baileys
+ * @returns {Promise<boolean>} True if the poll is a pending quiz question
+ */
+export async function handleQuizPollUpdate(sock, key, pollUpdates) {
+    const poll = quizPolls.get(key.id);
+    const session = poll && quizSessions.get(poll.chatJid);
+    if (!session || session.poll !== key.id) return false;
+
+    const votes = getAggregateVotesInPollMessage({ message: poll.message, pollUpdates }, sock.user?.id);
+    for (const [choice, option] of votes.entries()) {
+        for (const voter of option.voters) {
+            // A private question ends with its first vote
+            if (!quizSessions.has(poll.chatJid)) return true;
+            if (session.answers.has(voter)) continue;
+            await takeQuizAnswer(sock, poll.chatJid, session, { userJid: voter, name: voter.split('@')[0], choice });
+        }
+    }
+    return true;
+}
+
+registerCommand('سؤال', {
+    aliases: ['أسئلة', 'quiz', 'اختبار', 'فوازير', 'فزورة'],
+    description: 'Islamic quiz question, optionally from a category or difficulty; scored in groups',
+    descriptionAr: 'سؤال إسلامي عشوائي من قاعدة بيانات الدرر السنية، من كل التصنيفات أو من تصنيف ومستوى تختاره، وفي المجموعات تُحتسب النقاط لأسرع إجابة صحيحة',
+    usage: '/سؤال | /سؤال فقه | /سؤال سيرة صعب | /سؤال تصنيفات | /سؤال وقت 45 | /سؤال وضع استطلاع',
+    category: 'quran',
+    async execute(sock, msg, args, sender, pushName, isGroup) {
+        if (getQuizSize() === 0) {
+            await sock.sendMessage(sender, { text: '❌ لم يتم تحميل قاعدة بيانات الأسئلة.' });
+            return;
+        }
+
+        const subcommand = normalizeArabic(args[0] || '');
+
+        // ── Categories ──
+        if (['تصنيفات', 'التصنيفات', 'اقسام', 'الاقسام'].includes(subcommand)) {
+            await sock.sendMessage(sender, { text: formatQuizCategories() });
+            return;
+        }
+
+        // ── Answer time of the chat ──
+        if (subcommand === 'وقت') {
+            const value = toWesternDigits(args[1] || '');
+            if (isGroup && value && !(await isGroupAdmin(sock, sender, getUserJid(msg)))) {
+                await sock.sendMessage(sender, { text: '🚫 تغيير وقت الإجابة متاح لمشرفي المجموعة فقط.' });
+                return;
+            }
+            if (!value) {
+                await sock.sendMessage(sender, {
+                    text: `⏱️ وقت الإجابة في هذه المحادثة : *${getQuizSeconds(sender)} ثانية*\n\n💡 للتغيير : /سؤال وقت + عدد الثواني (${config.quiz.minSeconds} - ${config.quiz.maxSeconds})\n↩️ للعودة إلى الافتراضي : /سؤال وقت افتراضي`
+                });
+                return;
+            }
+            if (normalizeArabic(value) === 'افتراضي') {
+                clearPref(sender, 'quizSeconds');
+                await sock.sendMessage(sender, { text: `✅ وقت الإجابة الآن الافتراضي : *${config.quiz.answerSeconds} ثانية*` });
+                return;
+            }
+            const seconds = parseInt(value, 10);
+            if (!/^\d+$/.test(value) || seconds < config.quiz.minSeconds || seconds > config.quiz.maxSeconds) {
+                await sock.sendMessage(sender, { text: `❌ وقت الإجابة يكون بين ${config.quiz.minSeconds} و ${config.quiz.maxSeconds} ثانية.` });
+                return;
+            }
+            setPref(sender, 'quizSeconds', seconds);
+            await sock.sendMessage(sender, { text: `✅ وقت الإجابة في هذه المحادثة : *${seconds} ثانية*` });
+            return;
+        }
+
+        if (quizTournaments.has(sender)) {
+            await sock.sendMessage(sender, { text: '🏁 توجد مسابقة جارية في هذه المحادثة، شارك في أسئلتها أو انتظر حتى تنتهي.' });
+            return;
+        }
+
+        // ── Question mode of the chat: WhatsApp poll or numbered text ──
+        if (subcommand === 'وضع') {
+            const wanted = normalizeArabic(args.slice(1).join(' '));
+            const current = getQuizMode(sender);
+            if (!wanted) {
+                await sock.sendMessage(sender, {
+                    text: `🗳️ وضع الأسئلة في هذه المحادثة : *${QUIZ_MODES[current].name}*\n\n💡 ${config.bot.prefix[0]}سؤال وضع استطلاع ← الإجابة بالتصويت في استطلاع واتساب\n💡 ${config.bot.prefix[0]}سؤال وضع نص ← الإجابة بإرسال رقم الخيار`
+                });
+                return;
+            }
+            const mode = Object.keys(QUIZ_MODES).find(key => QUIZ_MODES[key].aliases.some(alias => normalizeArabic(alias) === wanted));
+            if (!mode) {
+                await sock.sendMessage(sender, { text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /سؤال وضع استطلاع أو /سؤال وضع نص' });
+                return;
+            }
+            if (isGroup && !(await isGroupAdmin(sock, sender, getUserJid(msg)))) {
+                await sock.sendMessage(sender, { text: '🚫 تغيير وضع الأسئلة متاح لمشرفي المجموعة فقط.' });
+                return;
+            }
+            setPref(sender, 'quizMode', mode);
+            await sock.sendMessage(sender, {
+                text: `✅ وضع الأسئلة في هذه المحادثة : *${QUIZ_MODES[mode].name}*${mode === 'poll' ? '\n\nℹ️ الأسئلة التي لا تناسب الاستطلاع تُرسل نصاً' : ''}`
+            });
+            return;
+        }
+
+        // Block double-quiz in same chat
+        if (quizSessions.has(sender)) {
+            const pending = quizSessions.get(sender).question.answers.length;
+            await sock.sendMessage(sender, {
+                text: `⏳ يوجد سؤال قيد الانتظار! أجب عليه أولاً برقم الإجابة من *1* إلى *${pending}*`
+            });
+            return;
+        }
+
+        // Optional category and difficulty: "/سؤال فقه", "/سؤال صعب", "/سؤال السيرة النبوية سهل"
+        const { category, difficulty, unknown } = parseQuizFilter(args);
+        if (unknown) {
+            await sock.sendMessage(sender, { text: `❌ تصنيف غير معروف : ${unknown}\n\n${formatQuizCategories()}` });
+            return;
+        }
+
+        // Pick a random question
+        const question = pickQuizQuestion({ category, difficulty: difficulty?.id });
+        if (!question) {
+            await sock.sendMessage(sender, {
+                text: `❌ لا توجد أسئلة ${difficulty ? `بمستوى ${difficulty.name} ` : ''}${category ? `في تصنيف ${category}` : ''}\n\n💡 لعرض التصنيفات : /سؤال تصنيفات`
+            });
+            return;
+        }
+
+        await startQuizRound(sock, sender, question, isGroup);
+        logger.info(`Quiz started for ${pushName} in ${sender}${category ? ` (${category})` : ''}`);
+    }
+});
+
+registerCommand('ترتيب', {
+    aliases: ['المتصدرين', 'النقاط', 'leaderboard'],
+    description: 'Group quiz leaderboard: weekly, monthly or all-time',
+    descriptionAr: 'ترتيب المجموعة في الأسئلة لهذا الأسبوع أو هذا الشهر أو لكل الأوقات',
+    usage: '/ترتيب | /ترتيب شهر | /ترتيب الكل | /ترتيب تصفير (للمشرفين)',
+    category: 'quran',
+    async execute(sock, msg, args, sender, pushName, isGroup) {
+        if (!isGroup) {
+            await sock.sendMessage(sender, { text: '👥 ترتيب الأسئلة متاح في المجموعات فقط.' });
+            return;
+        }
+
+        const option = normalizeArabic(args.join(' ').trim());
+
+        if (option === 'تصفير') {
+            if (!(await isGroupAdmin(sock, sender, getUserJid(msg)))) {
+                await sock.sendMessage(sender, { text: '🚫 تصفير الترتيب متاح لمشرفي المجموعة فقط.' });
+                return;
+            }
+            const existed = resetQuizBoard(sender);
+            await sock.sendMessage(sender, { text: existed ? '🗑️ تم تصفير ترتيب الأسئلة في المجموعة.' : 'ℹ️ لا توجد نقاط مسجلة في المجموعة.' });
+            return;
+        }
+
+        const period = option
+            ? Object.keys(QUIZ_BOARD_PERIODS).find(key => QUIZ_BOARD_PERIODS[key].aliases.some(alias => normalizeArabic(alias) === option))
+            : 'week';
+        if (!period) {
+            await sock.sendMessage(sender, {
+                text: 'أمر خاطيء ❌\n\nاستعمل الأمر : /ترتيب أو /ترتيب شهر أو /ترتيب الكل'
+            });
+            return;
+        }
+
+        const board = getQuizBoard(sender, period, getQuizPeriodKeys(sender)).slice(0, config.quiz.boardSize);
+        let text = `🏆 *ترتيب الأسئلة : ${QUIZ_BOARD_PERIODS[period].name}*\n`;
+        text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+        if (board.length === 0) {
+            text += `لا توجد نقاط بعد، ابدأ بالأمر : ${config.bot.prefix[0]}سؤال\n`;
+        }
+        board.forEach((entry, i) => {
+            text += `${['🥇', '🥈', '🥉'][i] || `${i + 1}.`} ${mentionOf(entry.userJid)} : *${entry.points}* نقطة`;
+            if (period === 'all') text += ` • ✅ ${entry.correct}/${entry.answered} • ⚡ ${entry.fastest}`;
+            text += '\n';
+        });
+        text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+        text += `💡 ${config.bot.prefix[0]}ترتيب • ${config.bot.prefix[0]}ترتيب شهر • ${config.bot.prefix[0]}ترتيب الكل`;
+
+        await sock.sendMessage(sender, { text, mentions: board.map(entry => entry.userJid) });
+    }
+});
+
+// ── Quiz Tournament Command ───────────────────────────────────────────────────
+/**
+ * Build a tournament's ranking (members with points in groups, the player's score in private)
+ * @param {object} tournament
+ * @param {number} [limit]
+ * @returns {object} { text, mentions }
+ */
+function formatTournamentBoard(tournament, limit = config.quiz.boardSize) {
+    const ranking = [...tournament.scores.entries()]
+        .filter(([, score]) => !tournament.group || score.points > 0)
+        .sort((a, b) => b[1].points - a[1].points || b[1].correct - a[1].correct)
+        .slice(0, limit);
+
+    if (!tournament.group) {
+        const [, score] = ranking[0] || [null, { correct: 0 }];
+        return { text: `✅ إجاباتك الصحيحة : *${score.correct}* من ${tournament.round}`, mentions: [] };
+    }
+    if (ranking.length === 0) return { text: '😶 لا توجد نقاط بعد', mentions: [] };
+
+    const text = ranking.map(([userJid, score], i) =>
+        `${['🥇', '🥈', '🥉'][i] || `${i + 1}.`} ${mentionOf(userJid)} : *${score.points}* نقطة (✅ ${score.correct})`
+    ).join('\n');
+    return { text, mentions: ranking.map(([userJid]) => userJid) };
+}
+
+/**
+ * Ask the next round of a tournament, or finish it when no rounds or questions are left
+ * @param {object} sock
+ * @param {string} chatJid
+ */
+async function askTournamentRound(sock, chatJid) {
+    const tournament = quizTournaments.get(chatJid);
+    if (!tournament) return;
+    tournament.timer = null;
+
+    const question = pickQuizQuestion({ ...tournament.filter, exclude: tournament.asked });
+    if (!question) {
+        await finishTournament(sock, chatJid, '📭 نفدت الأسئلة المتاحة');
+        return;
+    }
+
+    tournament.round++;
+    tournament.asked.add(question.id);
+    await startQuizRound(sock, chatJid, question, tournament.group, `🏁 *المسابقة : السؤال ${tournament.round} من ${tournament.rounds}*`);
+}
+
+/**
+ * Wait the countdown, then ask the next round
+ * @param {object} sock
+ * @param {string} chatJid
+ */
+function scheduleTournamentRound(sock, chatJid) {
+    const tournament = quizTournaments.get(chatJid);
+    if (!tournament || tournament.paused) return;
+    tournament.timer = setTimeout(() => {
+        askTournamentRound(sock, chatJid).catch(error => logger.error(`Failed to ask tournament round in ${chatJid}: ${error.message}`));
+    }, config.quiz.tournament.countdownSeconds * 1000);
+}
+
+/**
+ * Add a revealed question's results to the tournament and move on
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {object[]} results - [{ userJid, name, correct, points }]
+ */
+async function endTournamentRound(sock, chatJid, results) {
+    const tournament = quizTournaments.get(chatJid);
+    if (!tournament) return;
+
+    for (const result of results) {
+        const score = tournament.scores.get(result.userJid) || { name: result.name, points: 0, correct: 0 };
+        score.points += result.points;
+        if (result.correct) score.correct++;
+        tournament.scores.set(result.userJid, score);
+    }
+
+    if (tournament.round >= tournament.rounds) {
+        await finishTournament(sock, chatJid);
+        return;
+    }
+
+    const board = formatTournamentBoard(tournament);
+    let text = `📊 *${tournament.group ? 'الترتيب' : 'النتيجة'} بعد السؤال ${tournament.round} من ${tournament.rounds}*\n`;
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    text += `${board.text}\n`;
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    text += tournament.paused
+        ? `⏸️ المسابقة متوقفة مؤقتاً\n💡 للاستئناف : ${config.bot.prefix[0]}مسابقة استئناف`
+        : `⏳ السؤال التالي بعد *${config.quiz.tournament.countdownSeconds} ثوانٍ*...`;
+
+    await sock.sendMessage(chatJid, { text, mentions: board.mentions });
+    scheduleTournamentRound(sock, chatJid);
+}
+
+/**
+ * End a tournament and announce the final ranking with the top three
+ * @param {object} sock
+ * @param {string} chatJid
+ * @param {string} [reason] - Why it ended before its last round
+ */
+async function finishTournament(sock, chatJid, reason) {
+    const tournament = quizTournaments.get(chatJid);
+    if (!tournament) return;
+    clearTimeout(tournament.timer);
+    quizTournaments.delete(chatJid);
+
+    let text = `🏆 *انتهت المسابقة!*\n`;
+    if (reason) text += `${reason} بعد ${tournament.round} من ${tournament.rounds} أسئلة\n`;
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+
+    let mentions = [];
+    if (tournament.group) {
+        const podium = formatTournamentBoard(tournament, 3);
+        mentions = podium.mentions;
+        text += mentions.length > 0 ? `🎉 *الفائزون*\n${podium.text}\n` : `😶 لم يحصل أحد على نقاط\n`;
+        text += `👥 المشاركون : ${tournament.scores.size}\n`;
+    } else {
+        text += `${formatTournamentBoard(tournament).text}\n`;
+    }
+    text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+    text += `جزاكم الله خيراً على المشاركة 🤍`;
+
+    await sock.sendMessage(chatJid, { text, mentions });
+    logger.info(`Quiz tournament finished in ${chatJid} after ${tournament.round} rounds`);
+}
+
+/**
+ * Stop the quiz, tournament and recitation timers when the connection closes; they hold
+ * its socket. resumeChatSessions() starts them again with the next connection's.
+ */
+export function pauseChatSessions() {
+    for (const session of quizSessions.values()) clearTimeout(session.timer);
+    for (const session of recitationSessions.values()) clearTimeout(session.timer);
+    for (const tournament of quizTournaments.values()) {
+        clearTimeout(tournament.timer);
+        tournament.timer = null;
+    }
+}
+
+/**
+ * Restart the timers stopped by pauseChatSessions() with a new socket: questions get
+ * the time they had left (revealed at once if it ran out meanwhile), tournaments
+ * between rounds count down to their next question again and recitation tests
+ * get a fresh idle timeout
+ * @param {object} sock
+ */
+export function resumeChatSessions(sock) {
+    for (const [chatJid, session] of quizSessions) {
+        clearTimeout(session.timer);
+        session.timer = setTimeout(() => {
+            expireQuiz(sock, chatJid).catch(error => logger.error(`Failed to end quiz in ${chatJid}: ${error.message}`));
+        }, Math.max(0, session.endsAt - Date.now()));
+    }
+    for (const [chatJid, tournament] of quizTournaments) {
+        clearTimeout(tournament.timer);
+        if (!quizSessions.has(chatJid)) scheduleTournamentRound(sock, chatJid);
+    }
+    for (const chatJid of recitationSessions.keys()) touchRecitation(sock, chatJid);
+}
+
+registerCommand('مسابقة', {
+    aliases: ['مسابقه', 'بطولة', 'tournament'],
+    description: 'Quiz tournament of several questions in a row with a running scoreboard',
+    descriptionAr: 'مسابقة من عدة أسئلة متتالية مع ترتيب بعد كل سؤال وإعلان الفائزين الثلاثة الأوائل',
+    usage: '/مسابقة 10 | /مسابقة 5 فقه | /مسابقة ايقاف | /مسابقة استئناف | /مسابقة تخطي | /مسابقة انهاء',
+    category: 'quran',
+    async execute(sock, msg, args, sender, pushName, isGroup) {
+        if (getQuizSize() === 0) {
+            await sock.sendMessage(sender, { text: '❌ لم يتم تحميل قاعدة بيانات الأسئلة.' });
+            return;
+        }
+
+        if (isGroup && !(await isGroupAdmin(sock, sender, getUserJid(msg)))) {
+            await sock.sendMessage(sender, { text: '🚫 إدارة المسابقات متاحة لمشرفي المجموعة فقط.\n💡 يمكنك المشاركة بالإجابة على الأسئلة، أو طلب سؤال منفرد : /سؤال' });
+            return;
+        }
+
+        const tournament = quizTournaments.get(sender);
+        const action = normalizeArabic(args[0] || '');
+
+        // ── Pause ──
+        if (['ايقاف', 'توقف', 'استراحة', 'pause'].includes(action)) {
+            if (!tournament || tournament.paused) {
+                await sock.sendMessage(sender, { text: tournament ? 'ℹ️ المسابقة متوقفة مؤقتاً بالفعل.' : 'ℹ️ لا توجد مسابقة جارية.' });
+                return;
+            }
+            tournament.paused = true;
+            clearTimeout(tournament.timer);
+            tournament.timer = null;
+            await sock.sendMessage(sender, {
+                text: `⏸️ تم إيقاف المسابقة مؤقتاً${quizSessions.has(sender) ? ' بعد السؤال الحالي' : ''}\n💡 للاستئناف : /مسابقة استئناف`
+            });
+            return;
+        }
+
+        // ── Resume ──
+        if (['استئناف', 'استيناف', 'متابعة', 'resume'].includes(action)) {
+            if (!tournament?.paused) {
+                await sock.sendMessage(sender, { text: tournament ? 'ℹ️ المسابقة جارية بالفعل.' : 'ℹ️ لا توجد مسابقة جارية.' });
+                return;
+            }
+            tournament.paused = false;
+            if (quizSessions.has(sender)) {
+                await sock.sendMessage(sender, { text: '▶️ تم استئناف المسابقة بعد السؤال الحالي' });
+            } else {
+                await sock.sendMessage(sender, { text: `▶️ تم استئناف المسابقة\n⏳ السؤال التالي بعد *${config.quiz.tournament.countdownSeconds} ثوانٍ*...` });
+                scheduleTournamentRound(sock, sender);
+            }
+            return;
+        }
+
+        // ── Skip the current question ──
+        if (['تخطي', 'تجاوز', 'skip'].includes(action)) {
+            if (!tournament) {
+                await sock.sendMessage(sender, { text: 'ℹ️ لا توجد مسابقة جارية.' });
+                return;
+            }
+            const session = quizSessions.get(sender);
+            if (!session) {
+                // Between rounds: ask the next question now
+                clearTimeout(tournament.timer);
+                tournament.paused = false;
+                await askTournamentRound(sock, sender);
+                return;
+            }
+            clearTimeout(session.timer);
+            quizSessions.delete(sender);
+            const correctNum = session.question.answers.findIndex(a => a.t === 1) + 1;
+            await sock.sendMessage(sender, {
+                text: `⏭️ تم تخطي السؤال بدون نقاط\n📌 الإجابة الصحيحة رقم *${correctNum}*: ${session.question.answers[correctNum - 1]?.answer}`
+            });
+            await endTournamentRound(sock, sender, []);
+            return;
+        }
+
+        // ── Stop ──
+        if (['انهاء', 'الغاء', 'stop'].includes(action)) {
+            if (!tournament) {
+                await sock.sendMessage(sender, { text: 'ℹ️ لا توجد مسابقة جارية.' });
+                return;
+            }
+            const session = quizSessions.get(sender);
+            if (session) {
+                clearTimeout(session.timer);
+                quizSessions.delete(sender);
+            }
+            await finishTournament(sock, sender, isGroup ? '⏹️ أنهى المشرف المسابقة' : '⏹️ تم إنهاء المسابقة');
+            return;
+        }
+
+        // ── Start ──
+        if (tournament) {
+            await sock.sendMessage(sender, {
+                text: `🏁 توجد مسابقة جارية (${tournament.round ? `السؤال ${tournament.round} من ${tournament.rounds}` : 'تبدأ بعد لحظات'})\n\n💡 /مسابقة ايقاف • /مسابقة تخطي • /مسابقة انهاء`
+            });
+            return;
+        }
+        if (quizSessions.has(sender)) {
+            await sock.sendMessage(sender, { text: '⏳ يوجد سؤال قيد الانتظار! انتظر حتى تظهر إجابته ثم ابدأ المسابقة.' });
+            return;
+        }
+
+        const countArg = toWesternDigits(args[0] || '');
+        const hasCount = /^\d+$/.test(countArg);
+        const rounds = hasCount ? parseInt(countArg, 10) : config.quiz.tournament.defaultRounds;
+        if (rounds < 2 || rounds > config.quiz.tournament.maxRounds) {
+            await sock.sendMessage(sender, { text: `❌ عدد الأسئلة يكون بين 2 و ${config.quiz.tournament.maxRounds}.` });
+            return;
+        }
+
+        const { category, difficulty, unknown } = parseQuizFilter(hasCount ? args.slice(1) : args);
+        if (unknown) {
+            await sock.sendMessage(sender, { text: `❌ تصنيف غير معروف : ${unknown}\n\n${formatQuizCategories()}` });
+            return;
+        }
+
+        const filter = { category, difficulty: difficulty?.id };
+        const available = countQuizQuestions(filter);
+        if (available === 0) {
+            await sock.sendMessage(sender, { text: '❌ لا توجد أسئلة بهذا التصنيف والمستوى.\n\n💡 لعرض التصنيفات : /سؤال تصنيفات' });
+            return;
+        }
+
+        const started = {
+            rounds: Math.min(rounds, available),
+            round: 0,
+            filter,
+            group: isGroup,
+            asked: new Set(),
+            scores: new Map(),
+            paused: false,
+            timer: null
+        };
+        quizTournaments.set(sender, started);
+
+        let text = `🏁 *مسابقة إسلامية : ${started.rounds} أسئلة*\n`;
+        if (category || difficulty) text += `📂 ${category || 'كل التصنيفات'}${difficulty ? ` • 📶 ${difficulty.name}` : ''}\n`;
+        if (started.rounds < rounds) text += `ℹ️ المتاح ${available} أسئلة فقط في هذا الاختيار\n`;
+        text += `┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄┄\n`;
+        if (isGroup) {
+            text += `🏆 أسرع إجابة صحيحة : +${config.quiz.points.fastest} • كل إجابة صحيحة : +${config.quiz.points.correct}\n`;
+            text += `📝 تُحتسب أول إجابة لكل مشارك في كل سؤال\n`;
+        }
+        text += `⏱️ ${getQuizSeconds(sender)} ثانية لكل سؤال\n\n`;
+        text += `⏳ السؤال الأول بعد *${config.quiz.tournament.countdownSeconds} ثوانٍ*... استعدوا!`;
+        await sock.sendMessage(sender, { text });
 
-        // Store session
-        quizSessions.set(sender, { question, timer });
-        logger.info(`Quiz started for ${pushName} in ${sender}`);
+        scheduleTournamentRound(sock, sender);
+        logger.info(`Quiz tournament of ${started.rounds} rounds started by ${pushName} in ${sender}`);
     }
 });
 
@@ -10,6 +10,7 @@ export default {
         prefix: ['/'],   // Command prefixes (e.g., !help, .help, /help)
         owner: 'YOUR NUMBER',                // Your phone number
         ownerLid: 'YOUR LID ',           // Your WhatsApp LID (Linked ID)
+        timezone: 'Asia/Riyadh',         // IANA time zone for scheduled messages (e.g. 'Africa/Cairo', 'Europe/London')
     },
 
     // Message Settings
@@ -36,6 +37,150 @@ export default {
         probability: 7,           // 1-in-N chance to send a duaa (e.g. 7 = 1/7 chance)
     },
 
+    // Quran Data Settings
+    quran: {
+        script: 'uthmani',        // Verse text script: 'uthmani' or 'simple' (no diacritics)
+        remoteFallback: true,     // Use online APIs if the bundled data/quran.json can't be loaded
+        partLength: 3500,         // Max characters per surah message; longer surahs are sent in parts
+        maxAyahRange: 50,         // Max ayahs returned by one /آية range (e.g. /آية 2:1-50)
+        searchPageSize: 10,       // Search results per message page (/بحث)
+        searchPagingMinutes: 60,  // How long /التالي keeps continuing a search listing
+    },
+
+    // Recitation Settings
+    recitation: {
+        defaultReciter: 'alafasy', // Reciter id from utils/reciters.js, used until a user or chat picks one with /قارئ
+        maxAyahs: 50,              // Max ayahs joined into one audio for /تلاوة 2:1-20 (a mushaf page has at most 42)
+    },
+
+    // Group Khatma Settings (/ختمة)
+    khatma: {
+        defaultParts: 30,         // Parts of a new khatma: 30 = one juz each, 60 = one hizb each
+        maxParts: 60,
+        partDays: 3,              // A reserved part counts as overdue after this many days
+        reminderHours: 24,        // Time between reminders for the same overdue part
+        checkIntervalMinutes: 30, // How often overdue parts are checked
+    },
+
+    // Daily Wird Settings (/ورد)
+    wird: {
+        defaultTime: '06:00',     // Delivery time when /ورد is given none (local time of bot.timezone)
+        maxPages: 20,             // Max pages in one daily portion
+        graceMinutes: 60,         // A slot missed by less than this is still sent when catch-up is off
+        maxCatchUp: 3,            // Max missed portions sent at once when catch-up is on
+        checkIntervalMinutes: 1,  // How often due portions are checked
+    },
+
+    // Prayer Times Settings (/صلاة)
+    prayer: {
+        defaultMethod: 'mwl',     // For cities without a method of their own: ummAlQura, mwl, egyptian, karachi, isna
+        reminderMinutes: 10,      // Default minutes before each prayer for /صلاة تذكير
+        maxReminderMinutes: 60,
+        checkIntervalMinutes: 1,  // How often upcoming prayers are checked for reminders
+    },
+
+    // Daily Adhkar (/اذكار تفعيل)
+    adhkar: {
+        morningTime: '06:00',     // Default times of morning / evening adhkar, chat's local time
+        eveningTime: '17:00',
+        windowHours: 3,           // Not sent later than this after their time (e.g. after downtime)
+        checkIntervalMinutes: 1,
+    },
+
+    // Tasbih Counter (/تسبيح)
+    tasbih: {
+        replyEvery: 33,           // Private counters report back every N counts
+        groupAnnounceEvery: 100,  // Group collective counters post the board every N counts
+        maxPerMessage: 1000,      // Largest count accepted from one "+N" message
+        boardSize: 10,            // Members shown on the group board
+        maxTrackedMessages: 500,  // Counter messages remembered for reaction counting
+    },
+
+    // Memorization Test (/تسميع)
+    tasmee: {
+        timeoutMinutes: 5,        // A test ends after this long without an answer
+        hintWords: 3,             // Words of the verse revealed by each hint
+        passScore: 80,            // Verses scored at least this are counted as memorised
+    },
+
+    // Memorization Plan (/حفظ)
+    hifz: {
+        maxPages: 5,              // Largest daily amount of a page-based plan
+        maxAyahs: 50,             // Largest daily amount of an ayah-based plan
+        reviewsPerDay: 5,         // Reviews listed per day; the rest wait for the next days
+        registeredIntervalDays: 7, // Starting review interval of portions registered as already memorised
+        startEase: 2.5,           // How fast a new portion's review interval grows
+        minEase: 1.3,             // Lowest ease after weak reviews
+        maxIntervalDays: 60,      // Longest gap between two reviews of a portion
+        checkIntervalMinutes: 1,  // How often daily reminders are checked
+    },
+
+    // Islamic Quiz (/سؤال, /ترتيب)
+    quiz: {
+        mode: 'text',             // Default question mode: 'text' (reply with the option number) or 'poll' (WhatsApp poll); chats can change it with /سؤال وضع
+        answerSeconds: 30,        // Default answer time; chats can change it with /سؤال وقت
+        minSeconds: 10,
+        maxSeconds: 300,
+        points: {
+            fastest: 3,           // Group points for the fastest correct answer
+            correct: 1,           // ... and for every other correct answer
+        },
+        boardSize: 10,            // Members shown by /ترتيب
+        maxTrackedPolls: 100,     // Quiz polls remembered for decrypting votes
+        weekStartDay: 6,          // First day of the weekly board: 0 = Sunday … 6 = Saturday
+        tournament: {
+            defaultRounds: 10,    // Questions in a /مسابقة given no count
+            maxRounds: 50,
+            countdownSeconds: 10, // Pause between a question's answer and the next one
+        },
+    },
+
+    // Islamic Occasion Reminders (/مناسبات)
+    occasions: {
+        morningTime: '08:00',     // Reminders about the day itself (Friday Kahf), chat's local time
+        eveningTime: '20:00',     // Reminders for tomorrow's fasting and tonight (the evening before)
+        windowHours: 3,           // Not sent later than this after their time (e.g. after downtime)
+        checkIntervalMinutes: 5,
+    },
+
+    // Asset Cache Settings (data/cache/)
+    cache: {
+        enabled: true,
+        maxSizeMB: 1024,          // Least recently used files are removed beyond this size
+    },
+
+    // Tafsir Settings
+    tafsir: {
+        defaultSource: 'muyassar', // Used until a user picks another with /تفسير مصدر <اسم>
+        maxAyahs: 5,               // Max ayahs explained by one /تفسير range
+        // provider 'http' calls url ({surah} and {ayah} are replaced); provider 'file' reads a dataset you add at data/tafsir/<file>
+        // The defaults use the public quran-tafseer.com API; switch a source to { provider: 'file', file: '...' } to work offline
+        sources: [
+            { id: 'muyassar', name: 'التفسير الميسر', aliases: ['ميسر'], provider: 'http', url: 'http://api.quran-tafseer.com/tafseer/1/{surah}/{ayah}' },
+            { id: 'ibn-kathir', name: 'تفسير ابن كثير', aliases: ['كثير', 'ابن_كثير'], provider: 'http', url: 'http://api.quran-tafseer.com/tafseer/4/{surah}/{ayah}' },
+            { id: 'saadi', name: 'تفسير السعدي', aliases: ['سعدي'], provider: 'http', url: 'http://api.quran-tafseer.com/tafseer/3/{surah}/{ayah}' },
+            // { id: 'muyassar-offline', name: 'التفسير الميسر', aliases: ['ميسر'], provider: 'file', file: 'muyassar.json' },
+        ],
+    },
+
+    // Hadith Collections
+    hadith: {
+        defaultBook: 'bukhari',   // Used by /حديث <number> without a book name
+        searchPageSize: 5,        // Results per message page (/بحث_حديث)
+        excerptLength: 220,       // Characters of each result shown around the match
+        // Each book is read from data/hadith/<file>, built by scripts/buildHadith.js; missing files are listed as unavailable
+        books: [
+            { id: 'bukhari', name: 'صحيح البخاري', aliases: ['بخاري'], file: 'bukhari.json' },
+            { id: 'muslim', name: 'صحيح مسلم', aliases: ['مسلم'], file: 'muslim.json' },
+            { id: 'abudawud', name: 'سنن أبي داود', aliases: ['داود', 'ابو داود', 'أبو داود'], file: 'abudawud.json' },
+            { id: 'tirmidhi', name: 'جامع الترمذي', aliases: ['ترمذي', 'سنن الترمذي'], file: 'tirmidhi.json' },
+            { id: 'nasai', name: 'سنن النسائي', aliases: ['نسائي'], file: 'nasai.json' },
+            { id: 'ibnmajah', name: 'سنن ابن ماجه', aliases: ['ماجه', 'ابن ماجة'], file: 'ibnmajah.json' },
+            { id: 'nawawi', name: 'الأربعون النووية', aliases: ['نووي', 'النووية', 'الأربعين', 'الاربعين النووية'], file: 'nawawi40.json' },
+            { id: 'riyad', name: 'رياض الصالحين', aliases: ['رياض'], file: 'riyadussalihin.json' },
+        ],
+    },
+
     // Anti-Spam Settings
     antiSpam: {
         enabled: true,
@@ -13,10 +13,10 @@ import sharp from 'sharp';
 import config from './config.js';
 import logger from './utils/logger.js';
 import { parseCommand } from './utils/helpers.js';
-import { getCommand, getAllCommands, isValidPageNumber } from './commands/index.js';
+import { getCommand, getAllCommands, isValidPageNumber, handleQuizAnswer, handleQuizPollUpdate, getQuizPollMessage, handleRecitationAnswer, handleTasbihMessage, pauseChatSessions, resumeChatSessions } from './commands/index.js';
 import { loadChats, addChat } from './utils/chatStore.js';
 import { loadSeenUsers, isNewUser } from './utils/seenUsers.js';
-import { quizSessions } from './utils/quizSessions.js';
+import { startScheduler, pauseScheduler } from './utils/scheduler.js';
 
 // Pino logger - silent for clean output
 const pinoLogger = pino({ level: 'silent' });
@@ -117,6 +117,8 @@ async function startBot() {
         },
         printQRInTerminal: false,
         generateHighQualityLinkPreview: true,
+        // Quiz polls the bot sent, needed to decrypt their votes
+        getMessage: async (key) => getQuizPollMessage(key),
     });
 
     // Connection update handler
@@ -134,6 +136,10 @@ async function startBot() {
 
             logger.error(`Connection closed: ${lastDisconnect?.error?.message}`);
 
+            // Hold reminders, scheduled posts, quiz and recitation timers until the next connection
+            pauseScheduler();
+            pauseChatSessions();
+
             if (shouldReconnect) {
                 logger.info('Reconnecting...');
                 startBot();
@@ -145,12 +151,28 @@ async function startBot() {
             console.log('\n👋 WhatsApp Bot is now running...');
             console.log(`📋 Loaded ${getAllCommands().size} commands`);
             console.log(`⚡ Command prefixes: ${Array.isArray(config.bot.prefix) ? config.bot.prefix.join(', ') : config.bot.prefix}\n`);
+
+            // Start (or resume) reminders, scheduled posts, quiz and recitation timers with this connection
+            startScheduler(sock);
+            resumeChatSessions(sock);
         }
     });
 
     // Save credentials on update
     sock.ev.on('creds.update', saveCreds);
 
+    // Poll votes (quizzes sent as WhatsApp polls)
+    sock.ev.on('messages.update', async (updates) => {
+        for (const { key, update } of updates) {
+            if (!update.pollUpdates) continue;
+            try {
+                await handleQuizPollUpdate(sock, key, update.pollUpdates);
+            } catch (error) {
+                logger.error(`Failed to handle poll vote: ${error.message}`);
+            }
+        }
+    });
+
     // Message handler
     sock.ev.on('messages.upsert', async ({ messages, type }) => {
         if (type !== 'notify') return;
@@ -214,32 +236,18 @@ async function startBot() {
             // ──────────────────────────────────────────────────────────────
 
             // ── Quiz Answer Interceptor ────────────────────────────────────
-            if (quizSessions.has(sender)) {
-                const session = quizSessions.get(sender);
-                const answer = text.trim();
-                if (answer === '1' || answer === '2' || answer === '3') {
-                    clearTimeout(session.timer);
-                    quizSessions.delete(sender);
-
-                    const choiceIndex = parseInt(answer, 10) - 1;
-                    const isCorrect = session.question.answers[choiceIndex]?.t === 1;
-                    const correctAnswer = session.question.answers.find(a => a.t === 1)?.answer;
+            // Numbered answers to a pending /سؤال (recorded per participant in groups)
+            if (await handleQuizAnswer(sock, msg, text)) continue;
+            // ──────────────────────────────────────────────────────────────
 
-                    // Shuffle indexes back to find which number was correct
-                    const correctNum = session.question.answers.findIndex(a => a.t === 1) + 1;
+            // ── Recitation Test ────────────────────────────────────────────
+            // The next verse typed during /تسميع
+            if (await handleRecitationAnswer(sock, msg, text)) continue;
+            // ──────────────────────────────────────────────────────────────
 
-                    if (isCorrect) {
-                        await sock.sendMessage(sender, {
-                            text: `✅ *إجابة صحيحة!* أحسنت 🎉\n\n📌 الإجابة: ${correctAnswer}`
-                        }, { quoted: msg });
-                    } else {
-                        await sock.sendMessage(sender, {
-                            text: `❌ *إجابة خاطئة*\n\n📌 الإجابة الصحيحة هي رقم *${correctNum}*: ${correctAnswer}`
-                        }, { quoted: msg });
-                    }
-                    continue;
-                }
-            }
+            // ── Tasbih Counter ─────────────────────────────────────────────
+            // "+" / "+33" and reactions to counter messages (see /تسبيح)
+            if (await handleTasbihMessage(sock, msg, text)) continue;
             // ──────────────────────────────────────────────────────────────
 
             // Auto-trigger: plain number between 1-604 (no prefix needed) 
@@ -0,0 +1,174 @@
+/**
+ * Build Hadith - Converts the hadith collections into the data/hadith/ format (see utils/hadith.js)
+ * Run once when setting up the bot, from a local copy of the sources:
+ *
+ *   node scripts/buildHadith.js <hadith-json> [--grades <hadith-api editions>]
+ *
+ * <hadith-json> is a checkout of https://github.com/AhmedBaset/hadith-json (Arabic text and
+ * chapter titles scraped from sunnah.com, every configured book including Riyad as-Salihin).
+ * --grades is an optional folder of hadith-api editions (https://github.com/fawazahmed0/hadith-api,
+ * ara-abudawud.json, ...) whose gradings are added to the Sunan and Nawawi's Forty; a grading
+ * is only taken when both sources end the hadith with the same words.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config.js';
+import { normalizeArabic } from '../utils/arabic.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HADITH_DIR = path.join(__dirname, '..', 'data', 'hadith');
+
+// Source of each book of config.hadith.books: its hadith-json file, whether its chapters
+// are kitabs (`section`) or babs (`chapter`), the grade of every hadith and its hadith-api edition
+const SOURCES = {
+    bukhari: { file: 'the_9_books/bukhari.json', level: 'section', grade: 'صحيح' },
+    muslim: { file: 'the_9_books/muslim.json', level: 'section', grade: 'صحيح' },
+    abudawud: { file: 'the_9_books/abudawud.json', level: 'section', edition: 'ara-abudawud' },
+    tirmidhi: { file: 'the_9_books/tirmidhi.json', level: 'section', edition: 'ara-tirmidhi' },
+    nasai: { file: 'the_9_books/nasai.json', level: 'section', edition: 'ara-nasai' },
+    ibnmajah: { file: 'the_9_books/ibnmajah.json', level: 'section', edition: 'ara-ibnmajah' },
+    nawawi: { file: 'forties/nawawi40.json', level: 'chapter', edition: 'ara-nawawi' },
+    riyad: { file: 'other_books/riyad_assalihin.json', level: 'chapter' }
+};
+
+// Gradings used by the hadith-api editions, in Arabic
+const GRADES = {
+    'sahih': 'صحيح',
+    'hasan': 'حسن',
+    'hasan sahih': 'حسن صحيح',
+    'sahih lighairihi': 'صحيح لغيره',
+    'hasan lighairihi': 'حسن لغيره',
+    "da'if": 'ضعيف',
+    'daif': 'ضعيف',
+    "da'if jiddan": 'ضعيف جداً',
+    'munkar': 'منكر',
+    'shadh': 'شاذ',
+    "mawdu'": 'موضوع',
+    'maudu': 'موضوع'
+};
+
+/**
+ * Read the command line
+ * @returns {object|null} { source, grades } null when the source folder is missing
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const gradesAt = args.indexOf('--grades');
+    const grades = gradesAt === -1 ? null : args.splice(gradesAt, 2)[1];
+    return args[0] ? { source: args[0], grades } : null;
+}
+
+/**
+ * Path of a book inside the hadith-json checkout (the repository root or its db/by_book)
+ * @param {string} root
+ * @param {string} file
+ * @returns {string|null}
+ */
+function sourceFile(root, file) {
+    return [path.join(root, 'db', 'by_book', file), path.join(root, file)].find(p => fs.existsSync(p)) || null;
+}
+
+/**
+ * Translate a hadith-api grading ("Sahih", "Hasan Sahih", "Da'if") to Arabic
+ * @param {object[]} grades - [{ name, grade }] one per scholar
+ * @returns {string|null} The first grading; unknown ones are kept as they are
+ */
+function translateGrade(grades) {
+    const grade = grades?.find(entry => entry.grade)?.grade;
+    if (!grade) return null;
+    const key = grade.toLowerCase().replace(/[‘’`]/g, "'").replace(/\(.*?\)/g, '').replace(/\s+/g, ' ').trim();
+    return GRADES[key] || grade.trim();
+}
+
+/**
+ * Last words of a hadith, to check two sources hold the same one
+ * @param {string} text
+ * @returns {string}
+ */
+function ending(text) {
+    return normalizeArabic(String(text).replace(/[^\p{L}\p{M}\s]/gu, ' ')).split(' ').slice(-4).join(' ');
+}
+
+/**
+ * Gradings of a hadith-api edition by hadith number
+ * @param {string} dir - Folder of editions
+ * @param {string} edition
+ * @returns {Map<number, object>|null} Map<number, { grade, ending }> null when the edition is missing
+ */
+function loadGrades(dir, edition) {
+    const file = [`${edition}.json`, `${edition}.min.json`].map(name => path.join(dir, name)).find(p => fs.existsSync(p));
+    if (!file) return null;
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const grades = new Map();
+    for (const hadith of data.hadiths || []) {
+        const grade = translateGrade(hadith.grades);
+        if (grade) grades.set(Number(hadith.hadithnumber), { grade, ending: ending(hadith.text) });
+    }
+    return grades;
+}
+
+/**
+ * Convert one hadith-json book
+ * @param {object} data - { chapters: [{ id, arabic }], hadiths: [{ idInBook, chapterId, arabic }] }
+ * @param {object} source - Entry of SOURCES
+ * @param {Map<number, object>|null} grades - From loadGrades()
+ * @returns {object} { book, graded } book in the data/hadith/ format
+ */
+function convertBook(data, source, grades) {
+    const chapters = new Map((data.chapters || []).map(chapter => [chapter.id, String(chapter.arabic || '').trim()]));
+    const hadiths = [];
+    let graded = 0;
+
+    for (const hadith of data.hadiths || []) {
+        const text = String(hadith.arabic || '').replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+
+        const entry = { number: Number(hadith.idInBook), text };
+        const title = chapters.get(hadith.chapterId);
+        if (title) entry[source.level] = title;
+
+        const grade = grades?.get(entry.number);
+        if (grade && grade.ending === ending(text)) {
+            entry.grade = grade.grade;
+            graded++;
+        }
+        hadiths.push(entry);
+    }
+
+    return { book: { ...(source.grade && { grade: source.grade }), hadiths }, graded };
+}
+
+function main() {
+    const args = parseArgs();
+    if (!args) {
+        console.error('Usage: node scripts/buildHadith.js <hadith-json> [--grades <hadith-api editions>]');
+        process.exit(1);
+    }
+
+    fs.mkdirSync(HADITH_DIR, { recursive: true });
+    let failed = false;
+
+    for (const book of config.hadith.books) {
+        const source = SOURCES[book.id];
+        const file = source && sourceFile(args.source, source.file);
+        if (!file) {
+            console.error(`✖ ${book.id}: no source${source ? ` (${source.file})` : ''}`);
+            failed = true;
+            continue;
+        }
+
+        const grades = args.grades && source.edition ? loadGrades(args.grades, source.edition) : null;
+        if (args.grades && source.edition && !grades) console.warn(`⚠ ${book.id}: edition ${source.edition} not found, left ungraded`);
+
+        const { book: converted, graded } = convertBook(JSON.parse(fs.readFileSync(file, 'utf-8')), source, grades);
+        fs.writeFileSync(path.join(HADITH_DIR, book.file), JSON.stringify(converted), 'utf-8');
+        console.log(`✓ ${book.id}: ${converted.hadiths.length} hadiths → data/hadith/${book.file}${grades ? ` (${graded} graded)` : ''}`);
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,112 @@
+/**
+ * Adhkar Library - Categorised adhkar from Hisn al-Muslim (data/adhkar.json)
+ * with repetition counts and references. Quranic adhkar (Ayat al-Kursi, the
+ * three Quls...) are stored as verse ranges and filled in from the bundled Quran.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config.js';
+import logger from './logger.js';
+import { normalizeArabic } from './arabic.js';
+import { getAyah, getSurah } from './quranStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ADHKAR_FILE = path.join(__dirname, '..', 'data', 'adhkar.json');
+
+/**
+ * Load the adhkar categories
+ * @returns {object[]} [{ id, name, icon, aliases, note?, adhkar: [{ title?, quran?, text?, count, reference, virtue?, note? }] }]
+ */
+function loadAdhkar() {
+    try {
+        const data = JSON.parse(fs.readFileSync(ADHKAR_FILE, 'utf-8'));
+        const categories = data.categories || [];
+        logger.info(`Adhkar loaded: ${categories.length} categories`);
+        return categories;
+    } catch (error) {
+        logger.error(`Failed to load adhkar.json: ${error.message}`);
+        return [];
+    }
+}
+
+const categories = loadAdhkar();
+
+/**
+ * List all adhkar categories in file order
+ * @returns {object[]}
+ */
+export function getAdhkarCategories() {
+    return categories;
+}
+
+/**
+ * Get a category by id
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getAdhkarCategory(id) {
+    return categories.find(category => category.id === id);
+}
+
+/**
+ * Find a category by id, name or alias, ignoring hamza / taa marbuta spelling
+ * and a leading "أذكار" ("أذكار النوم" and "النوم" both match)
+ * @param {string} input
+ * @returns {object|null}
+ */
+export function findAdhkarCategory(input) {
+    const strip = text => normalizeArabic(text).replace(/^(اذكار|ادعيه|دعاء)\s+/, '');
+    const wanted = strip(input);
+    return categories.find(category =>
+        [category.id, category.name, ...category.aliases].some(name => strip(name) === wanted)
+    ) || null;
+}
+
+/**
+ * Verse text of a Quranic dhikr: whole surahs start with the basmala,
+ * ranges are quoted in ornate brackets with their ayah numbers
+ * @param {object[]} passages - [{ surah, from?, to? }]
+ * @returns {string}
+ */
+function formatQuranPassages(passages) {
+    const script = config.quran.script;
+    return passages.map(({ surah, from, to }) => {
+        const data = getSurah(surah, script);
+        if (!data) return '';
+        const ayahs = data.ayahs.filter(ayah => ayah.number >= (from || 1) && ayah.number <= (to || data.ayahCount));
+        const verses = ayahs.map(ayah => `${ayah.text} (${ayah.number})`).join(' ');
+
+        if (from) return `﴿${verses}﴾ [${data.name}]`;
+        return `سورة ${data.name} :\n${getAyah(1, 1, script).text}\n${verses}`;
+    }).join('\n\n');
+}
+
+/**
+ * Format one dhikr with its count, virtue and reference
+ * @param {object} dhikr
+ * @param {number} index - 1-based position in its category
+ * @returns {string}
+ */
+export function formatDhikr(dhikr, index) {
+    let text = `*${index}.* `;
+    if (dhikr.title) text += `*${dhikr.title}*\n`;
+    if (dhikr.quran) {
+        text += `أعوذ بالله من الشيطان الرجيم\n${formatQuranPassages(dhikr.quran)}`;
+    }
+    if (dhikr.text) text += (dhikr.quran ? '\n' : '') + dhikr.text;
+
+    text += `\n🔁 ${dhikr.count === 1 ? 'مرة واحدة' : dhikr.count === 2 ? 'مرتان' : dhikr.count <= 10 ? `${dhikr.count} مرات` : `${dhikr.count} مرة`}`;
+    if (dhikr.note) text += `\n📝 ${dhikr.note}`;
+    if (dhikr.virtue) text += `\n✨ ${dhikr.virtue}`;
+    text += `\n📚 ${dhikr.reference}`;
+    return text;
+}
+
+export default {
+    getAdhkarCategories,
+    getAdhkarCategory,
+    findAdhkarCategory,
+    formatDhikr
+};
@@ -0,0 +1,121 @@
+/**
+ * Adhkar Schedule Store - Chats that receive morning and evening adhkar every day
+ * Stores schedules in a JSON file so they survive restarts
+ *
+ * Map<chatJid, { morning: 'HH:MM', evening: 'HH:MM', sent: { morning, evening } }>
+ * Times are in the chat's time zone; `sent` holds the local date ('YYYY-M-D') each
+ * slot was last delivered, so a reconnect doesn't send the same adhkar twice.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ADHKAR_FILE = path.join(__dirname, '..', 'data', 'adhkarSchedule.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(ADHKAR_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all adhkar schedules from file
+ * @returns {Map<string, object>}
+ */
+function loadSchedules() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(ADHKAR_FILE)) {
+            const data = JSON.parse(fs.readFileSync(ADHKAR_FILE, 'utf-8'));
+            return new Map(Object.entries(data.chats || {}));
+        }
+    } catch (error) {
+        console.error('Error loading adhkar schedules:', error.message);
+    }
+    return new Map();
+}
+
+const schedules = loadSchedules();
+
+/**
+ * Save adhkar schedules to file
+ */
+function saveSchedules() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: schedules.size,
+            chats: Object.fromEntries(schedules)
+        };
+        fs.writeFileSync(ADHKAR_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving adhkar schedules:', error.message);
+    }
+}
+
+/**
+ * Get the adhkar schedule of a chat
+ * @param {string} chatJid
+ * @returns {object|undefined}
+ */
+export function getAdhkarSchedule(chatJid) {
+    return schedules.get(chatJid);
+}
+
+/**
+ * Get all scheduled chats
+ * @returns {Array<[string, object]>} [chatJid, schedule] pairs
+ */
+export function getAdhkarSchedules() {
+    return [...schedules.entries()];
+}
+
+/**
+ * Create or update the adhkar schedule of a chat
+ * @param {string} chatJid
+ * @param {object} changes - { morning?, evening? }
+ * @returns {object} The stored schedule
+ */
+export function setAdhkarSchedule(chatJid, changes) {
+    const updated = { sent: {}, ...schedules.get(chatJid), ...changes };
+    schedules.set(chatJid, updated);
+    saveSchedules();
+    return updated;
+}
+
+/**
+ * Stop sending adhkar to a chat
+ * @param {string} chatJid
+ * @returns {boolean} Whether the chat had a schedule
+ */
+export function deleteAdhkarSchedule(chatJid) {
+    const existed = schedules.delete(chatJid);
+    if (existed) saveSchedules();
+    return existed;
+}
+
+/**
+ * Record that a slot's adhkar were delivered
+ * @param {string} chatJid
+ * @param {string} slot - 'morning' or 'evening'
+ * @param {string} dateKey - Local date, 'YYYY-M-D'
+ */
+export function markAdhkarSent(chatJid, slot, dateKey) {
+    const schedule = schedules.get(chatJid);
+    if (!schedule) return;
+    schedule.sent[slot] = dateKey;
+    saveSchedules();
+}
+
+export default {
+    getAdhkarSchedule,
+    getAdhkarSchedules,
+    setAdhkarSchedule,
+    deleteAdhkarSchedule,
+    markAdhkarSent
+};
@@ -0,0 +1,75 @@
+/**
+ * Arabic text utilities - digit conversion and spelling-insensitive normalization
+ */
+
+// Harakat, tanween, shadda, sukun, dagger alef and Quranic annotation marks
+const DIACRITICS_REGEX = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL_REGEX = /\u0640/g;
+
+/**
+ * Convert Arabic-Indic (٠-٩) and Persian (۰-۹) digits to Western digits
+ * @param {string} text
+ * @returns {string}
+ */
+export function toWesternDigits(text) {
+    return text
+        .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0));
+}
+
+/**
+ * Convert Western digits to Arabic-Indic digits
+ * @param {number|string} value
+ * @returns {string}
+ */
+export function toArabicDigits(value) {
+    return String(value).replace(/\d/g, d => String.fromCharCode(0x0660 + Number(d)));
+}
+
+/**
+ * Remove tashkeel, Quranic marks and tatweel
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripDiacritics(text) {
+    return text.replace(DIACRITICS_REGEX, '').replace(TATWEEL_REGEX, '');
+}
+
+/**
+ * Normalize Arabic text for comparison: strips diacritics and treats
+ * alef/hamza variants, taa marbuta/haa and alef maqsura/yaa as equal
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeArabic(text) {
+    return stripDiacritics(text)
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ؤ/g, 'و')
+        .replace(/ئ/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reduce a name to a compact key for lookups: normalized, without punctuation,
+ * spaces or "ال" prefixes ("الحصري" and "حصري" give the same key)
+ * @param {string} text
+ * @returns {string}
+ */
+export function compactName(text) {
+    return normalizeArabic(String(text).replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' '))
+        .split(' ')
+        .map(word => word.replace(/^ال(?=.{2,})/, ''))
+        .join('')
+        .toLowerCase();
+}
+
+export default {
+    toWesternDigits,
+    toArabicDigits,
+    stripDiacritics,
+    normalizeArabic,
+    compactName
+};
@@ -0,0 +1,243 @@
+/**
+ * Asset Cache - Disk cache for fetched Quran assets (page images, audio, remote surah JSON)
+ * Files live in data/cache/, one per resource key ("page:50", "audio:alafasy:18", "surah:2"),
+ * with an index of sizes and last access times used for LRU eviction.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CACHE_DIR = path.join(__dirname, '..', 'data', 'cache');
+const INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+
+// Access times are saved at most this often; puts and evictions save right away
+const SAVE_DELAY = 10000;
+
+// Ensure cache directory exists
+function ensureCacheDir() {
+    if (!fs.existsSync(CACHE_DIR)) {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+}
+
+/**
+ * File name of a cache key ("audio:alafasy:18" → "audio_alafasy_18")
+ * @param {string} key
+ * @returns {string}
+ */
+function fileNameOf(key) {
+    return key.replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Load the index, dropping entries whose file is gone and deleting files
+ * the index doesn't know (written after it was last saved); their key can't be
+ * recovered from the file name, so they could never be hit again
+ * @returns {Map<string, object>} Map<key, { file, size, lastAccess }>
+ */
+function loadIndex() {
+    const index = new Map();
+    try {
+        ensureCacheDir();
+        if (fs.existsSync(INDEX_FILE)) {
+            const data = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8'));
+            for (const [key, entry] of Object.entries(data.entries || {})) {
+                if (fs.existsSync(path.join(CACHE_DIR, entry.file))) index.set(key, entry);
+            }
+        }
+
+        const known = new Set([...index.values()].map(entry => entry.file));
+        for (const file of fs.readdirSync(CACHE_DIR)) {
+            if (file === 'index.json' || known.has(file)) continue;
+            fs.rmSync(path.join(CACHE_DIR, file), { recursive: true, force: true });
+        }
+    } catch (error) {
+        console.error('Error loading asset cache index:', error.message);
+    }
+    return index;
+}
+
+const index = loadIndex();
+let saveTimer = null;
+
+/**
+ * Save the index to file
+ */
+function saveIndex() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+        ensureCacheDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: index.size,
+            entries: Object.fromEntries(index)
+        };
+        fs.writeFileSync(INDEX_FILE, JSON.stringify(data), 'utf-8');
+    } catch (error) {
+        console.error('Error saving asset cache index:', error.message);
+    }
+}
+
+/**
+ * Save the index a little later, batching access time updates
+ */
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveIndex, SAVE_DELAY);
+    saveTimer.unref();
+}
+
+/**
+ * Total size of all cached files in bytes
+ * @returns {number}
+ */
+function totalSize() {
+    let size = 0;
+    for (const entry of index.values()) size += entry.size;
+    return size;
+}
+
+/**
+ * Remove one entry and its file
+ * @param {string} key
+ */
+function removeEntry(key) {
+    const entry = index.get(key);
+    if (!entry) return;
+    index.delete(key);
+    try {
+        fs.unlinkSync(path.join(CACHE_DIR, entry.file));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Error removing cached file:', error.message);
+    }
+}
+
+/**
+ * Evict least recently used entries until the cache fits in maxBytes
+ * @param {number} maxBytes
+ */
+function evict(maxBytes) {
+    let size = totalSize();
+    if (size <= maxBytes) return;
+
+    const byAge = [...index.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [key, entry] of byAge) {
+        if (size <= maxBytes) break;
+        removeEntry(key);
+        size -= entry.size;
+    }
+}
+
+/**
+ * Get a cached resource
+ * @param {string} key - Resource key, e.g. "page:50"
+ * @returns {Buffer|null}
+ */
+export function getCached(key) {
+    if (!config.cache.enabled) return null;
+
+    const entry = index.get(key);
+    if (!entry) return null;
+
+    try {
+        const buffer = fs.readFileSync(path.join(CACHE_DIR, entry.file));
+        entry.lastAccess = Date.now();
+        scheduleSave();
+        return buffer;
+    } catch (error) {
+        index.delete(key);
+        scheduleSave();
+        return null;
+    }
+}
+
+/**
+ * Check whether a resource is cached, without touching its access time
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isCached(key) {
+    return config.cache.enabled && index.has(key);
+}
+
+/**
+ * Store a resource, evicting old entries if the size limit is exceeded.
+ * Resources larger than the whole cache are not stored.
+ * @param {string} key - Resource key
+ * @param {Buffer} buffer - Content
+ */
+export function putCached(key, buffer) {
+    const maxBytes = config.cache.maxSizeMB * 1024 * 1024;
+    if (!config.cache.enabled || buffer.length > maxBytes) return;
+
+    try {
+        ensureCacheDir();
+        const file = fileNameOf(key);
+        fs.writeFileSync(path.join(CACHE_DIR, file), buffer);
+        index.set(key, { file, size: buffer.length, lastAccess: Date.now() });
+        evict(maxBytes);
+        saveIndex();
+    } catch (error) {
+        console.error('Error writing cached file:', error.message);
+    }
+}
+
+/**
+ * Get a resource from the cache, or produce and store it
+ * @param {string} key - Resource key
+ * @param {function} produce - async () => Buffer, called on a cache miss
+ * @returns {Promise<Buffer>}
+ */
+export async function cached(key, produce) {
+    const hit = getCached(key);
+    if (hit) return hit;
+
+    const buffer = await produce();
+    putCached(key, buffer);
+    return buffer;
+}
+
+/**
+ * Cache usage, overall and per resource type (the key part before the first ":")
+ * @returns {object} { count, size, maxSize, types: { [type]: { count, size } } }
+ */
+export function getCacheStats() {
+    const types = {};
+    for (const [key, entry] of index) {
+        const type = key.includes(':') ? key.split(':')[0] : 'other';
+        types[type] = types[type] || { count: 0, size: 0 };
+        types[type].count++;
+        types[type].size += entry.size;
+    }
+    return {
+        count: index.size,
+        size: totalSize(),
+        maxSize: config.cache.maxSizeMB * 1024 * 1024,
+        types
+    };
+}
+
+/**
+ * Remove cached resources
+ * @param {string} [type] - Only keys of this type ("page", "audio", ...); everything when omitted
+ * @returns {number} Number of entries removed
+ */
+export function clearCache(type) {
+    const keys = [...index.keys()].filter(key => !type || key.startsWith(`${type}:`));
+    keys.forEach(removeEntry);
+    saveIndex();
+    return keys.length;
+}
+
+export default {
+    getCached,
+    isCached,
+    putCached,
+    cached,
+    getCacheStats,
+    clearCache
+};
@@ -0,0 +1,87 @@
+/**
+ * City Table - Bundled coordinates and time zones (data/cities.json) for prayer times,
+ * looked up by Arabic or English name with the same loose matching as surah names
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { compactName } from './arabic.js';
+import { levenshtein } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CITIES_FILE = path.join(__dirname, '..', 'data', 'cities.json');
+
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Load the city table, with the lookup keys of every city
+ * @returns {object[]} [{ id, name, aliases, country, lat, lng, timeZone, method, asr?, keys }]
+ */
+function loadCities() {
+    try {
+        const data = JSON.parse(fs.readFileSync(CITIES_FILE, 'utf-8'));
+        const cities = (data.cities || []).map(city => ({
+            ...city,
+            keys: [...new Set([city.id, city.name, ...(city.aliases || [])].map(compactName))]
+        }));
+        logger.info(`City table loaded: ${cities.length} cities`);
+        return cities;
+    } catch (error) {
+        logger.error(`Failed to load cities.json: ${error.message}`);
+        return [];
+    }
+}
+
+const cities = loadCities();
+
+/**
+ * Get a city by id
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getCity(id) {
+    return cities.find(city => city.id === id);
+}
+
+/**
+ * List all cities in table order (grouped by country)
+ * @returns {object[]}
+ */
+export function getAllCities() {
+    return cities;
+}
+
+/**
+ * Find a city by Arabic or English name, tolerating "ال", hamza / taa marbuta spelling and small typos
+ * @param {string} input - e.g. "مكة", "الرياض", "القاهره", "london"
+ * @returns {object} { city: object|null, suggestions: object[] }
+ */
+export function findCity(input) {
+    const wanted = compactName(input || '');
+    if (!wanted) return { city: null, suggestions: [] };
+
+    const exact = cities.find(city => city.keys.includes(wanted));
+    if (exact) return { city: exact, suggestions: [] };
+
+    const prefixed = wanted.length >= 3 ? cities.filter(city => city.keys.some(key => key.startsWith(wanted))) : [];
+    if (prefixed.length === 1) return { city: prefixed[0], suggestions: [] };
+    if (prefixed.length > 1) return { city: null, suggestions: prefixed.slice(0, MAX_SUGGESTIONS) };
+
+    const maxDistance = wanted.length <= 5 ? 1 : 2;
+    const scored = cities
+        .map(city => ({ city, distance: Math.min(...city.keys.map(key => levenshtein(wanted, key))) }))
+        .filter(entry => entry.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance);
+
+    const best = scored.filter(entry => entry.distance === scored[0]?.distance);
+    if (best.length === 1) return { city: best[0].city, suggestions: [] };
+    return { city: null, suggestions: scored.slice(0, MAX_SUGGESTIONS).map(entry => entry.city) };
+}
+
+export default {
+    getCity,
+    getAllCities,
+    findCity
+};
@@ -0,0 +1,178 @@
+/**
+ * Hadith Collections - Hadith books listed in config.hadith.books
+ * Each book is a JSON file at data/hadith/<file>:
+ *   { "hadiths": [{ "number", "text", "section"?, "chapter"?, "narrator"?, "grade"? }], "grade"? }
+ * `section` is the kitab within the collection and `chapter` the bab.
+ * `grade` at the top level applies to hadiths without their own (e.g. "صحيح" for Bukhari).
+ * The files are built by scripts/buildHadith.js; a book whose file is missing is listed as unavailable.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config.js';
+import logger from './logger.js';
+import { normalizeArabic, compactName } from './arabic.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HADITH_DIR = path.join(__dirname, '..', 'data', 'hadith');
+
+// Words that don't tell books apart ("صحيح البخاري" → "بخاري", "سنن أبي داود" → "ابيداود")
+const GENERIC_WORDS = ['صحيح', 'سنن', 'جامع', 'كتاب', 'الامام'];
+
+// Loaded books by id: { hadiths: object[], byNumber: Map<number, object> }
+const loaded = new Map();
+
+/**
+ * Path of a book's dataset
+ * @param {object} book - Entry of config.hadith.books
+ * @returns {string}
+ */
+function bookFile(book) {
+    return path.join(HADITH_DIR, book.file);
+}
+
+/**
+ * Load a book into memory on first use
+ * @param {object} book - Entry of config.hadith.books
+ * @returns {object|null} { hadiths, byNumber } null if the file is missing or unreadable
+ */
+function loadBook(book) {
+    if (loaded.has(book.id)) return loaded.get(book.id);
+    if (!fs.existsSync(bookFile(book))) return null;
+
+    try {
+        const data = JSON.parse(fs.readFileSync(bookFile(book), 'utf-8'));
+        const hadiths = (data.hadiths || []).map(hadith => ({ grade: data.grade || null, ...hadith }));
+        const entry = { hadiths, byNumber: new Map(hadiths.map(hadith => [Number(hadith.number), hadith])) };
+        loaded.set(book.id, entry);
+        logger.info(`Hadith book loaded: ${book.id} (${hadiths.length} hadiths)`);
+        return entry;
+    } catch (error) {
+        logger.error(`Failed to load hadith book ${book.file}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * List configured books
+ * @returns {object[]} [{ id, name, aliases, available, count }] count is null for missing books
+ */
+export function getHadithBooks() {
+    return config.hadith.books.map(book => {
+        const data = loadBook(book);
+        return { id: book.id, name: book.name, aliases: book.aliases || [], available: Boolean(data), count: data ? data.hadiths.length : null };
+    });
+}
+
+/**
+ * Reduce a book name to a comparable key
+ * @param {string} name
+ * @returns {string}
+ */
+function bookKey(name) {
+    const words = String(name).split(/\s+/).filter(word => !GENERIC_WORDS.includes(normalizeArabic(word)));
+    return compactName(words.join(' '));
+}
+
+/**
+ * Find a book by id, Arabic name or alias ("بخاري", "صحيح مسلم", "نووي", "رياض الصالحين")
+ * @param {string} input
+ * @returns {object|null} The book config entry
+ */
+export function findHadithBook(input) {
+    const wanted = bookKey(input);
+    if (!wanted) return null;
+
+    return config.hadith.books.find(book =>
+        [book.id, book.name, ...(book.aliases || [])].some(name => bookKey(name) === wanted)
+    ) || null;
+}
+
+/**
+ * Get a hadith by its number in a book
+ * @param {string} bookId
+ * @param {number} number
+ * @returns {object|null} { book: { id, name }, number, text, section, chapter, narrator, grade }
+ * @throws {Error} If the book isn't installed
+ */
+export function getHadith(bookId, number) {
+    const { book, data } = requireBook(bookId);
+    const hadith = data.byNumber.get(number);
+    return hadith ? describe(book, hadith) : null;
+}
+
+/**
+ * Pick a random hadith from a book, or from any installed book
+ * @param {string} [bookId]
+ * @returns {object|null} null when no book is installed
+ * @throws {Error} If the requested book isn't installed
+ */
+export function getRandomHadith(bookId) {
+    let book;
+    if (bookId) {
+        book = requireBook(bookId).book;
+    } else {
+        const available = config.hadith.books.filter(b => fs.existsSync(bookFile(b)));
+        if (available.length === 0) return null;
+        book = available[Math.floor(Math.random() * available.length)];
+    }
+
+    const data = loadBook(book);
+    if (!data || data.hadiths.length === 0) return null;
+    return describe(book, data.hadiths[Math.floor(Math.random() * data.hadiths.length)]);
+}
+
+/**
+ * All hadiths of a book, for search
+ * @param {string} bookId
+ * @returns {object[]} Empty when the book isn't installed
+ */
+export function getBookHadiths(bookId) {
+    const book = config.hadith.books.find(b => b.id === bookId);
+    const data = book && loadBook(book);
+    return data ? data.hadiths.map(hadith => describe(book, hadith)) : [];
+}
+
+/**
+ * Number range of a book
+ * @param {string} bookId
+ * @returns {object} { first, last, total }
+ * @throws {Error} If the book isn't installed
+ */
+export function getHadithRange(bookId) {
+    const { data } = requireBook(bookId);
+    const numbers = [...data.byNumber.keys()];
+    return { first: Math.min(...numbers), last: Math.max(...numbers), total: data.hadiths.length };
+}
+
+/**
+ * Load a configured book or fail
+ * @param {string} bookId
+ * @returns {object} { book, data }
+ */
+function requireBook(bookId) {
+    const book = config.hadith.books.find(b => b.id === bookId);
+    const data = book && loadBook(book);
+    if (!data) throw new Error(`Hadith book "${bookId}" is not available`);
+    return { book, data };
+}
+
+/**
+ * Attach the book to a hadith entry
+ * @param {object} book
+ * @param {object} hadith
+ * @returns {object}
+ */
+function describe(book, hadith) {
+    return { ...hadith, number: Number(hadith.number), book: { id: book.id, name: book.name } };
+}
+
+export default {
+    getHadithBooks,
+    findHadithBook,
+    getHadith,
+    getRandomHadith,
+    getBookHadiths,
+    getHadithRange
+};
@@ -0,0 +1,129 @@
+/**
+ * Hadith Search - Full-text search over the installed hadith collections
+ * Uses the same normalization and matching rules as the Quran search;
+ * each book's index is built on first use.
+ */
+
+import config from '../config.js';
+import logger from './logger.js';
+import { normalizeArabic, stripDiacritics } from './arabic.js';
+import { getBookHadiths } from './hadith.js';
+import { normalizeQuery, countOccurrences, countPhrase } from './quranSearch.js';
+
+// Indexes by book id: { entries: [{ number, grade, text, plain }], words: Map<word, entry index[]> }
+const indexes = new Map();
+
+/**
+ * Build the search index of a book
+ * `plain` is the text without diacritics, character for character aligned with
+ * the normalized `text`, so excerpts can be cut at match positions. Punctuation is
+ * blanked out of `text` the way normalizeQuery() does, so "بالنيات،" is the word بالنيات.
+ * @param {string} bookId
+ * @returns {object|null} null when the book isn't installed
+ */
+function getIndex(bookId) {
+    if (indexes.has(bookId)) return indexes.get(bookId);
+
+    const hadiths = getBookHadiths(bookId);
+    if (hadiths.length === 0) return null;
+
+    const entries = [];
+    const words = new Map();
+
+    hadiths.forEach((hadith, i) => {
+        const plain = stripDiacritics(hadith.text).replace(/\s+/g, ' ').trim();
+        const text = normalizeArabic(plain).replace(/[^\p{L}\p{M}\s]/gu, ' ');
+        entries.push({ number: hadith.number, grade: hadith.grade, text, plain });
+
+        for (const word of new Set(text.split(' ').filter(Boolean))) {
+            if (!words.has(word)) words.set(word, []);
+            words.get(word).push(i);
+        }
+    });
+
+    const index = { entries, words };
+    indexes.set(bookId, index);
+    logger.info(`Hadith search index built: ${bookId} (${entries.length} hadiths, ${words.size} words)`);
+    return index;
+}
+
+/**
+ * Cut the part of a hadith around the first match
+ * @param {object} entry - Index entry
+ * @param {string} term - Normalized search term (or phrase)
+ * @returns {string}
+ */
+function excerpt(entry, term) {
+    const length = config.hadith.excerptLength;
+    if (entry.plain.length <= length) return entry.plain;
+
+    const position = Math.max(0, entry.text.indexOf(term));
+    let start = Math.max(0, Math.min(position - Math.floor(length / 3), entry.plain.length - length));
+    let end = start + length;
+
+    // Widen to whole words
+    while (start > 0 && entry.plain[start - 1] !== ' ') start--;
+    while (end < entry.plain.length && entry.plain[end] !== ' ') end++;
+
+    return `${start > 0 ? '... ' : ''}${entry.plain.slice(start, end).trim()}${end < entry.plain.length ? ' ...' : ''}`;
+}
+
+/**
+ * Search the hadith collections.
+ * Default mode: every query word must appear inside the hadith, also as part of a
+ * longer word; exact mode: the whole phrase must appear as complete words, in order.
+ * @param {string} query - Plain keyboard Arabic; diacritics are ignored
+ * @param {object} [options]
+ * @param {string[]} [options.books] - Book ids to search; all configured books by default
+ * @param {boolean} [options.exact=false] - Exact phrase mode
+ * @returns {object} { query, exact, hits: [{ bookId, number, grade, excerpt, count }], occurrences, searchedBooks }
+ *   searchedBooks lists the installed books that were searched
+ */
+export function searchHadith(query, { books, exact = false } = {}) {
+    const normalized = normalizeQuery(query);
+    const terms = normalized.split(' ').filter(Boolean);
+    const result = { query: normalized, exact, hits: [], occurrences: 0, searchedBooks: [] };
+    if (terms.length === 0) return result;
+
+    for (const bookId of books || config.hadith.books.map(book => book.id)) {
+        const idx = getIndex(bookId);
+        if (!idx) continue;
+        result.searchedBooks.push(bookId);
+
+        // Candidates: hadiths holding a matching word for every term
+        let candidates = null;
+        for (const term of new Set(terms)) {
+            const matches = new Set();
+            for (const [word, positions] of idx.words) {
+                if (exact ? word === term : word.includes(term)) {
+                    positions.forEach(i => matches.add(i));
+                }
+            }
+            candidates = candidates ? new Set([...candidates].filter(i => matches.has(i))) : matches;
+            if (candidates.size === 0) break;
+        }
+
+        for (const i of [...candidates].sort((a, b) => a - b)) {
+            const entry = idx.entries[i];
+            const count = exact
+                ? countPhrase(entry.text.replace(/ +/g, ' '), terms)
+                : terms.reduce((sum, term) => sum + countOccurrences(entry.text, term), 0);
+            if (count === 0) continue;
+
+            result.hits.push({
+                bookId,
+                number: entry.number,
+                grade: entry.grade,
+                excerpt: excerpt(entry, exact ? terms.join(' ') : terms[0]),
+                count
+            });
+            result.occurrences += count;
+        }
+    }
+
+    return result;
+}
+
+export default {
+    searchHadith
+};
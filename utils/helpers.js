@@ -134,6 +134,65 @@ export function parseCommand(text, prefix = '!') {
     return { command, args, fullArgs, usedPrefix };
 }
 
+/**
+ * Group lines into chunks no longer than maxLength without splitting a line
+ * (a single line longer than maxLength becomes its own chunk)
+ * @param {string[]} lines - Lines to group
+ * @param {number} maxLength - Max chunk length
+ * @param {string} separator - Joiner between lines
+ * @returns {string[]}
+ */
+export function chunkLines(lines, maxLength = 3000, separator = '\n') {
+    const chunks = [];
+    let current = '';
+
+    for (const line of lines) {
+        const candidate = current ? current + separator + line : line;
+        if (current && candidate.length > maxLength) {
+            chunks.push(current);
+            current = line;
+        } else {
+            current = candidate;
+        }
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Split a long text into message-sized chunks at line breaks,
+ * falling back to word boundaries for lines longer than maxLength
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Max chunk length
+ * @returns {string[]}
+ */
+export function splitMessage(text, maxLength = 3000) {
+    const lines = text.split('\n').flatMap(line =>
+        line.length > maxLength ? chunkLines(line.split(' '), maxLength, ' ') : [line]
+    );
+    return chunkLines(lines, maxLength);
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions and substitutions)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
 /**
  * Escape special regex characters in a string
  * @param {string} str - String to escape
@@ -0,0 +1,268 @@
+/**
+ * Hifz - Memorization plans: daily new portions and spaced-repetition reviews
+ * A portion is an ayah range inside one surah: { surah, from, to }.
+ * Page-based plans measure each ayah by its share of the text printed on its page,
+ * so "نصف صفحة" is about half of a mushaf page whatever the length of its verses.
+ */
+
+import config from '../config.js';
+import { normalizeArabic, toWesternDigits } from './arabic.js';
+import { getAyah, getAyahByNumber, getAyahLocation, getPageRange, getSurahInfo, SURAH_COUNT } from './quranStore.js';
+
+/**
+ * How a review went: { id, name, icon, aliases }
+ * Aliases are matched after normalizeArabic.
+ */
+export const HIFZ_RATINGS = [
+    { id: 'excellent', name: 'ممتاز', icon: '🌟', aliases: ['ممتازه', 'excellent'] },
+    { id: 'fair', name: 'متوسط', icon: '👌', aliases: ['متوسطه', 'جيد', 'fair'] },
+    { id: 'weak', name: 'ضعيف', icon: '⚠️', aliases: ['ضعيفه', 'نسيت', 'weak'] }
+];
+
+// Amount words of a plan, after normalizeArabic
+const FRACTION_WORDS = { 'ربع': 0.25, 'ثلث': 1 / 3, 'نصف': 0.5 };
+const UNIT_WORDS = {
+    'صفحه': { unit: 'page', count: 1 },
+    'صفحات': { unit: 'page', count: 1 },
+    'وجه': { unit: 'page', count: 1 },
+    'صفحتين': { unit: 'page', count: 2 },
+    'صفحتان': { unit: 'page', count: 2 },
+    'ايه': { unit: 'ayah', count: 1 },
+    'ايات': { unit: 'ayah', count: 1 },
+    'ايتين': { unit: 'ayah', count: 2 },
+    'ايتان': { unit: 'ayah', count: 2 }
+};
+
+// Text length of every page, by page number (filled on first use)
+const pageLengths = new Map();
+
+/**
+ * Find a rating by its name or an alias ("ممتاز", "متوسطة", "ضعيف")
+ * @param {string} input
+ * @returns {object|null}
+ */
+export function findHifzRating(input) {
+    const wanted = normalizeArabic(String(input));
+    return HIFZ_RATINGS.find(rating =>
+        [rating.id, rating.name, ...rating.aliases].some(name => normalizeArabic(name) === wanted)
+    ) || null;
+}
+
+/**
+ * Read the daily amount of a plan: "نصف صفحة", "صفحتين", "3 صفحات", "5 آيات"
+ * @param {string[]} words
+ * @returns {object|null} { unit: 'page' | 'ayah', amount, rest } rest holds the words that
+ *   aren't part of the amount; null when no unit was given
+ */
+export function parseHifzAmount(words) {
+    let count = null;
+    let unit = null;
+    const rest = [];
+
+    for (const word of words) {
+        const key = normalizeArabic(toWesternDigits(word));
+        if (!unit && count === null && /^\d+(\.\d+)?$/.test(key)) {
+            count = parseFloat(key);
+        } else if (!unit && count === null && key in FRACTION_WORDS) {
+            count = FRACTION_WORDS[key];
+        } else if (!unit && UNIT_WORDS[key]) {
+            unit = UNIT_WORDS[key].unit;
+            if (count === null) count = UNIT_WORDS[key].count;
+        } else {
+            rest.push(word);
+        }
+    }
+
+    return unit ? { unit, amount: count, rest } : null;
+}
+
+/**
+ * Share of its page taken by an ayah's text (0-1)
+ * @param {number} number - Global ayah number
+ * @returns {number}
+ */
+function pageShare(number) {
+    const page = getAyahLocation(number)?.page;
+    if (!page) return 1;
+
+    if (!pageLengths.has(page)) {
+        const range = getPageRange(page);
+        let length = 0;
+        for (let n = range.first; n <= range.last; n++) length += getAyahByNumber(n, 'simple').text.length;
+        pageLengths.set(page, length);
+    }
+    return getAyahByNumber(number, 'simple').text.length / pageLengths.get(page);
+}
+
+/**
+ * Global numbers of the ayahs covered by a list of portions
+ * @param {object[]} portions
+ * @returns {Set<number>}
+ */
+export function coveredAyahs(portions) {
+    const covered = new Set();
+    for (const portion of portions) {
+        const first = getAyah(portion.surah, portion.from).number;
+        for (let i = 0; i <= portion.to - portion.from; i++) covered.add(first + i);
+    }
+    return covered;
+}
+
+/**
+ * First ayah not yet memorised, starting at a position and moving through the
+ * mushaf forwards (or surah by surah backwards, from An-Nas towards Al-Baqarah)
+ * @param {object} position - { surah, ayah } ayah may be past the end of the surah
+ * @param {boolean} reverse
+ * @param {Set<number>} covered - From coveredAyahs()
+ * @returns {object|null} { surah, ayah } null when everything is memorised
+ */
+export function nextUncoveredAyah(position, reverse, covered) {
+    let surah = position.surah;
+    let ayah = position.ayah;
+
+    // One extra surah, so the part of the first one before the position is visited too
+    for (let visited = 0; visited <= SURAH_COUNT; visited++) {
+        const info = getSurahInfo(surah);
+        for (; ayah <= info.ayahCount; ayah++) {
+            if (!covered.has(getAyah(surah, ayah).number)) return { surah, ayah };
+        }
+        surah = reverse ? (surah === 1 ? SURAH_COUNT : surah - 1) : (surah % SURAH_COUNT) + 1;
+        ayah = 1;
+    }
+    return null;
+}
+
+/**
+ * The next new portion of a plan: consecutive ayahs not yet memorised, within one surah
+ * @param {object} plan - { unit, amount, reverse }
+ * @param {object} position - { surah, ayah } where the plan stands
+ * @param {Set<number>} covered - From coveredAyahs()
+ * @returns {object|null} { surah, from, to } null when everything is memorised
+ */
+export function nextHifzPortion(plan, position, covered) {
+    const start = nextUncoveredAyah(position, plan.reverse, covered);
+    if (!start) return null;
+
+    const { ayahCount } = getSurahInfo(start.surah);
+    let to = start.ayah;
+    let size = plan.unit === 'page' ? pageShare(getAyah(start.surah, to).number) : 1;
+
+    while (to < ayahCount) {
+        const number = getAyah(start.surah, to + 1).number;
+        if (covered.has(number)) break;
+
+        if (plan.unit === 'page') {
+            // Take the ayah if most of it fits in the amount
+            const share = pageShare(number);
+            if (size + share / 2 > plan.amount) break;
+            size += share;
+        } else {
+            if (size >= plan.amount) break;
+            size++;
+        }
+        to++;
+    }
+
+    return { surah: start.surah, from: start.ayah, to };
+}
+
+/**
+ * Split an ayah range of a surah at page breaks, leaving out memorised ayahs,
+ * so long registrations are reviewed a page at a time
+ * @param {number} surah
+ * @param {number} from
+ * @param {number} to
+ * @param {Set<number>} covered - From coveredAyahs()
+ * @returns {object[]} [{ surah, from, to }]
+ */
+export function splitHifzRange(surah, from, to, covered) {
+    const portions = [];
+    let current = null;
+    let currentPage = null;
+
+    for (let ayah = from; ayah <= to; ayah++) {
+        const number = getAyah(surah, ayah).number;
+        const page = getAyahLocation(number)?.page;
+        if (covered.has(number)) {
+            current = null;
+            continue;
+        }
+        if (current && page === currentPage) {
+            current.to = ayah;
+        } else {
+            current = { surah, from: ayah, to: ayah };
+            currentPage = page;
+            portions.push(current);
+        }
+    }
+    return portions;
+}
+
+/**
+ * Next review of a portion after it was rated (a simplified SM-2):
+ * ممتاز stretches the interval by the portion's ease and raises it,
+ * متوسط grows the interval a little and lowers the ease,
+ * ضعيف brings the portion back tomorrow and lowers the ease more.
+ * @param {object} portion - { interval, ease }
+ * @param {string} ratingId - Id from HIFZ_RATINGS
+ * @returns {object} { interval, ease } interval in days
+ */
+export function scheduleHifzReview(portion, ratingId) {
+    const { minEase, maxIntervalDays } = config.hifz;
+    let { interval, ease } = portion;
+
+    if (ratingId === 'excellent') {
+        interval = Math.max(interval + 1, Math.round(interval * ease));
+        ease += 0.15;
+    } else if (ratingId === 'fair') {
+        interval = Math.max(interval + 1, Math.round(interval * 1.2));
+        ease -= 0.15;
+    } else {
+        interval = 1;
+        ease -= 0.2;
+    }
+
+    return {
+        interval: Math.min(interval, maxIntervalDays),
+        ease: Math.round(Math.max(minEase, ease) * 100) / 100
+    };
+}
+
+/**
+ * Move a local date key ('YYYY-M-D') by a number of days
+ * @param {string} dateKey
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDaysToKey(dateKey, days) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d + days));
+    return `${date.getUTCFullYear()}-${date.getUTCMonth() + 1}-${date.getUTCDate()}`;
+}
+
+/**
+ * Days from one local date key to another (negative if `to` is earlier)
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export function daysBetweenKeys(from, to) {
+    const toTime = key => {
+        const [y, m, d] = key.split('-').map(Number);
+        return Date.UTC(y, m - 1, d);
+    };
+    return Math.round((toTime(to) - toTime(from)) / 86400000);
+}
+
+export default {
+    HIFZ_RATINGS,
+    findHifzRating,
+    parseHifzAmount,
+    coveredAyahs,
+    nextUncoveredAyah,
+    nextHifzPortion,
+    splitHifzRange,
+    scheduleHifzReview,
+    addDaysToKey,
+    daysBetweenKeys
+};
@@ -0,0 +1,244 @@
+/**
+ * Hifz Store - Per-user memorization plans, memorised portions and their review schedule
+ * Stores plans in a JSON file so they survive restarts
+ *
+ * Map<userJid, {
+ *   name, plan: { unit: 'page' | 'ayah', amount, reverse, time, timeZone, nextRun } | null,
+ *   position: { surah, ayah } | null, today: { date, portion, done, reviews },
+ *   portions: [{ id, surah, from, to, addedAt, due, interval, ease, reviews, lastRating, lastReviewed }],
+ *   nextId
+ * }>
+ * `position` is where the plan continues; `today` holds the day's new portion so it stays
+ * the same all day. Dates are local 'YYYY-M-D' keys; `due` is the day a portion is next
+ * reviewed and `interval` the days between its last two reviews. `time` is null when the
+ * user doesn't want a daily reminder.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HIFZ_FILE = path.join(__dirname, '..', 'data', 'hifz.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(HIFZ_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all users from file
+ * @returns {Map<string, object>}
+ */
+function loadHifz() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(HIFZ_FILE)) {
+            const data = JSON.parse(fs.readFileSync(HIFZ_FILE, 'utf-8'));
+            return new Map(Object.entries(data.users || {}));
+        }
+    } catch (error) {
+        console.error('Error loading hifz plans:', error.message);
+    }
+    return new Map();
+}
+
+const users = loadHifz();
+
+/**
+ * Save all users to file
+ */
+export function saveHifz() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: users.size,
+            users: Object.fromEntries(users)
+        };
+        fs.writeFileSync(HIFZ_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving hifz plans:', error.message);
+    }
+}
+
+/**
+ * Get a user's record, creating an empty one on first use
+ * @param {string} userJid
+ * @param {string} [name] - Display name, refreshed when given
+ * @returns {object}
+ */
+function ensureUser(userJid, name) {
+    let user = users.get(userJid);
+    if (!user) {
+        user = { name: name || null, plan: null, position: null, today: { date: null, portion: null, done: false, reviews: 0 }, portions: [], nextId: 1 };
+        users.set(userJid, user);
+    }
+    if (name) user.name = name;
+    return user;
+}
+
+/**
+ * Get a user's plan and portions
+ * @param {string} userJid
+ * @returns {object|undefined}
+ */
+export function getHifzUser(userJid) {
+    return users.get(userJid);
+}
+
+/**
+ * Get the users whose plan has a daily reminder
+ * @returns {Array<[string, object]>} [userJid, user] pairs
+ */
+export function getHifzReminders() {
+    return [...users.entries()].filter(([, user]) => user.plan?.time);
+}
+
+/**
+ * Set a user's plan and where it continues; today's portion is picked again
+ * unless it was already memorised
+ * @param {string} userJid
+ * @param {object} plan
+ * @param {object} position - { surah, ayah }
+ * @param {string} name - Display name
+ * @returns {object} The user
+ */
+export function setHifzPlan(userJid, plan, position, name) {
+    const user = ensureUser(userJid, name);
+    user.plan = plan;
+    user.position = position;
+    if (!user.today.done) user.today = { ...user.today, date: null, portion: null };
+    saveHifz();
+    return user;
+}
+
+/**
+ * Stop a user's plan; memorised portions keep their reviews
+ * @param {string} userJid
+ * @returns {boolean} Whether the user had a plan
+ */
+export function clearHifzPlan(userJid) {
+    const user = users.get(userJid);
+    if (!user?.plan) return false;
+    user.plan = null;
+    user.today = { ...user.today, portion: null };
+    saveHifz();
+    return true;
+}
+
+/**
+ * Change a plan's daily reminder
+ * @param {string} userJid
+ * @param {object} changes - { time?, timeZone?, nextRun? } time null turns the reminder off
+ * @returns {object|null} The updated plan, null when the user has no plan
+ */
+export function setHifzReminder(userJid, changes) {
+    const user = users.get(userJid);
+    if (!user?.plan) return null;
+    Object.assign(user.plan, changes);
+    saveHifz();
+    return user.plan;
+}
+
+/**
+ * Set the day's new portion; a new day also resets its counters
+ * @param {string} userJid
+ * @param {string} dateKey - Local date, 'YYYY-M-D'
+ * @param {object|null} portion - { surah, from, to }
+ * @returns {object} The day's record
+ */
+export function startHifzDay(userJid, dateKey, portion) {
+    const user = ensureUser(userJid);
+    user.today = { date: dateKey, portion, done: false, reviews: user.today.date === dateKey ? user.today.reviews : 0 };
+    saveHifz();
+    return user.today;
+}
+
+/**
+ * Add memorised portions to a user's reviews
+ * @param {string} userJid
+ * @param {object[]} portions - [{ surah, from, to, due, interval }]
+ * @param {string} dateKey - Local date they were added
+ * @param {object} options - { ease, name }
+ * @returns {object[]} The stored portions
+ */
+export function addHifzPortions(userJid, portions, dateKey, { ease, name }) {
+    const user = ensureUser(userJid, name);
+    const added = portions.map(portion => ({
+        id: user.nextId++,
+        surah: portion.surah,
+        from: portion.from,
+        to: portion.to,
+        addedAt: dateKey,
+        due: portion.due,
+        interval: portion.interval,
+        ease,
+        reviews: 0,
+        lastRating: null,
+        lastReviewed: null
+    }));
+    user.portions.push(...added);
+    saveHifz();
+    return added;
+}
+
+/**
+ * Mark today's new portion as memorised and move the plan past it
+ * @param {string} userJid
+ * @param {object} position - Where the plan continues
+ */
+export function completeHifzDay(userJid, position) {
+    const user = users.get(userJid);
+    if (!user) return;
+    user.today.done = true;
+    user.position = position;
+    saveHifz();
+}
+
+/**
+ * Record a review of a portion
+ * @param {string} userJid
+ * @param {number} portionId
+ * @param {object} review - { rating, interval, ease, due, date }
+ * @returns {object|null} The updated portion
+ */
+export function recordHifzReview(userJid, portionId, { rating, interval, ease, due, date }) {
+    const user = users.get(userJid);
+    const portion = user?.portions.find(p => p.id === portionId);
+    if (!portion) return null;
+
+    Object.assign(portion, { interval, ease, due, lastRating: rating, lastReviewed: date });
+    portion.reviews++;
+    if (user.today.date === date) user.today.reviews++;
+    saveHifz();
+    return portion;
+}
+
+/**
+ * Forget everything about a user's memorization
+ * @param {string} userJid
+ * @returns {boolean} Whether there was anything to delete
+ */
+export function deleteHifzUser(userJid) {
+    if (!users.delete(userJid)) return false;
+    saveHifz();
+    return true;
+}
+
+export default {
+    saveHifz,
+    getHifzUser,
+    getHifzReminders,
+    setHifzPlan,
+    clearHifzPlan,
+    setHifzReminder,
+    startHifzDay,
+    addHifzPortions,
+    completeHifzDay,
+    recordHifzReview,
+    deleteHifzUser
+};
@@ -0,0 +1,151 @@
+/**
+ * Hijri Calendar - Umm al-Qura dates converted locally through Intl's
+ * "islamic-umalqura" calendar (the official Saudi tables, covering 1300-1600 AH)
+ */
+
+import { getZonedParts } from './time.js';
+import { normalizeArabic } from './arabic.js';
+
+export const HIJRI_MONTHS = [
+    'محرم', 'صفر', 'ربيع الأول', 'ربيع الآخر', 'جمادى الأولى', 'جمادى الآخرة',
+    'رجب', 'شعبان', 'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'
+];
+
+export const GREGORIAN_MONTHS = [
+    'يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو',
+    'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر'
+];
+
+export const WEEKDAYS = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+
+// Other spellings of month names, matched after normalizeArabic
+const MONTH_ALIASES = {
+    hijri: {
+        'ربيع اول': 3, 'ربيع الاول': 3, 'ربيع ثاني': 4, 'ربيع الثاني': 4, 'ربيع الاخر': 4,
+        'جمادي الاولي': 5, 'جمادي الاول': 5, 'جمادي الثانيه': 6, 'جمادي الاخره': 6, 'جمادي الثاني': 6,
+        'ذو القعده': 11, 'ذي القعده': 11, 'ذو الحجه': 12, 'ذي الحجه': 12
+    },
+    gregorian: {
+        'كانون الثاني': 1, 'شباط': 2, 'اذار': 3, 'نيسان': 4, 'ايار': 5, 'حزيران': 6,
+        'تموز': 7, 'اب': 8, 'ايلول': 9, 'تشرين الاول': 10, 'تشرين الثاني': 11, 'كانون الاول': 12,
+        'يونيه': 6, 'يوليه': 7
+    }
+};
+
+// First and last Gregorian days the Umm al-Qura tables cover
+const SUPPORTED_FROM = Date.UTC(1882, 10, 12);
+const SUPPORTED_TO = Date.UTC(2174, 10, 25);
+
+const formatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura-nu-latn', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+});
+
+/**
+ * Hijri date of a Gregorian calendar day
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {object|null} { year, month, day } null outside the supported range
+ */
+export function gregorianToHijri(year, month, day) {
+    const time = Date.UTC(year, month - 1, day);
+    if (time < SUPPORTED_FROM || time > SUPPORTED_TO) return null;
+
+    const parts = {};
+    // Noon keeps the day clear of any rounding at midnight
+    for (const part of formatter.formatToParts(new Date(time + 43200000))) {
+        parts[part.type] = part.value;
+    }
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10)
+    };
+}
+
+/**
+ * Gregorian date of a Hijri day
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day - 1-30
+ * @returns {object|null} { year, month, day } null if the day doesn't exist (e.g. 30th of a 29-day month)
+ */
+export function hijriToGregorian(year, month, day) {
+    if (month < 1 || month > 12 || day < 1 || day > 30) return null;
+
+    // Estimate from the mean month length, then walk to the exact day
+    const epoch = Date.UTC(622, 6, 19);
+    const estimate = epoch + Math.round(((year - 1) * 12 + (month - 1)) * 29.530589 + (day - 1)) * 86400000;
+    for (const offset of [0, -1, 1, -2, 2, -3, 3]) {
+        const date = new Date(estimate + offset * 86400000);
+        const hijri = gregorianToHijri(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+        if (hijri && hijri.year === year && hijri.month === month && hijri.day === day) {
+            return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+        }
+    }
+    return null;
+}
+
+/**
+ * Hijri date of today (or of an instant) in a time zone
+ * @param {string} timeZone
+ * @param {Date} [date]
+ * @returns {object|null} { year, month, day }
+ */
+export function getHijriDate(timeZone, date = new Date()) {
+    const local = getZonedParts(date, timeZone);
+    return gregorianToHijri(local.year, local.month, local.day);
+}
+
+/**
+ * Find a month by Arabic name ("رمضان", "ذو الحجة", "أكتوبر", "تشرين الأول")
+ * @param {string} name
+ * @returns {object|null} { calendar: 'hijri' | 'gregorian', month }
+ */
+export function findMonth(name) {
+    const wanted = normalizeArabic(name);
+    const match = (names, aliases) => {
+        const index = names.findIndex(n => normalizeArabic(n) === wanted);
+        return index >= 0 ? index + 1 : aliases[wanted] || null;
+    };
+
+    const hijri = match(HIJRI_MONTHS, MONTH_ALIASES.hijri);
+    if (hijri) return { calendar: 'hijri', month: hijri };
+    const gregorian = match(GREGORIAN_MONTHS, MONTH_ALIASES.gregorian);
+    if (gregorian) return { calendar: 'gregorian', month: gregorian };
+    return null;
+}
+
+/**
+ * Format a Hijri date, e.g. "1 رمضان 1447 هـ"
+ * @param {object} date - { year, month, day }
+ * @returns {string}
+ */
+export function formatHijri(date) {
+    return `${date.day} ${HIJRI_MONTHS[date.month - 1]} ${date.year} هـ`;
+}
+
+/**
+ * Format a Gregorian date with its weekday, e.g. "الجمعة 20 مارس 2026 م"
+ * @param {object} date - { year, month, day }
+ * @returns {string}
+ */
+export function formatGregorian(date) {
+    const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+    return `${WEEKDAYS[weekday]} ${date.day} ${GREGORIAN_MONTHS[date.month - 1]} ${date.year} م`;
+}
+
+export default {
+    HIJRI_MONTHS,
+    GREGORIAN_MONTHS,
+    WEEKDAYS,
+    gregorianToHijri,
+    hijriToGregorian,
+    getHijriDate,
+    findMonth,
+    formatHijri,
+    formatGregorian
+};
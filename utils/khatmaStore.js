@@ -0,0 +1,173 @@
+/**
+ * Khatma Store - Group Quran completions split into parts that members reserve and finish
+ * Stores khatmas in a JSON file so they survive restarts
+ *
+ * Map<groupJid, {
+ *   number, totalParts, createdBy, createdAt, completedAt,
+ *   parts: [{ number, holder, holderName, reservedAt, doneAt, remindedAt }]
+ * }>
+ * `number` counts the khatmas of the group (1 for the first one).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const KHATMA_FILE = path.join(__dirname, '..', 'data', 'khatmas.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(KHATMA_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all khatmas from file
+ * @returns {Map<string, object>}
+ */
+function loadKhatmas() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(KHATMA_FILE)) {
+            const data = JSON.parse(fs.readFileSync(KHATMA_FILE, 'utf-8'));
+            return new Map(Object.entries(data.groups || {}));
+        }
+    } catch (error) {
+        console.error('Error loading khatmas:', error.message);
+    }
+    return new Map();
+}
+
+const khatmas = loadKhatmas();
+
+/**
+ * Save khatmas to file
+ */
+export function saveKhatmas() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: khatmas.size,
+            groups: Object.fromEntries(khatmas)
+        };
+        fs.writeFileSync(KHATMA_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving khatmas:', error.message);
+    }
+}
+
+/**
+ * Get the latest khatma of a group (running or completed)
+ * @param {string} groupJid
+ * @returns {object|undefined}
+ */
+export function getKhatma(groupJid) {
+    return khatmas.get(groupJid);
+}
+
+/**
+ * Get all running (not completed) khatmas
+ * @returns {Array<[string, object]>} [groupJid, khatma] pairs
+ */
+export function getActiveKhatmas() {
+    return [...khatmas.entries()].filter(([, khatma]) => !khatma.completedAt);
+}
+
+/**
+ * Start a new khatma in a group, replacing the previous one
+ * @param {string} groupJid
+ * @param {number} totalParts - Number of parts (30 = one per juz)
+ * @param {string} createdBy - JID of the member who started it
+ * @returns {object} The new khatma
+ */
+export function createKhatma(groupJid, totalParts, createdBy) {
+    const previous = khatmas.get(groupJid);
+    const khatma = {
+        number: (previous?.number || 0) + 1,
+        totalParts,
+        createdBy,
+        createdAt: new Date().toISOString(),
+        completedAt: null,
+        parts: Array.from({ length: totalParts }, (_, i) => ({
+            number: i + 1,
+            holder: null,
+            holderName: null,
+            reservedAt: null,
+            doneAt: null,
+            remindedAt: null
+        }))
+    };
+    khatmas.set(groupJid, khatma);
+    saveKhatmas();
+    return khatma;
+}
+
+/**
+ * Remove a group's khatma
+ * @param {string} groupJid
+ * @returns {boolean} True if there was one
+ */
+export function deleteKhatma(groupJid) {
+    if (!khatmas.delete(groupJid)) return false;
+    saveKhatmas();
+    return true;
+}
+
+/**
+ * Reserve a part for a member
+ * @param {object} khatma
+ * @param {number} partNumber
+ * @param {string} jid - Member JID
+ * @param {string} name - Member display name
+ */
+export function reservePart(khatma, partNumber, jid, name) {
+    const part = khatma.parts[partNumber - 1];
+    part.holder = jid;
+    part.holderName = name;
+    part.reservedAt = new Date().toISOString();
+    part.remindedAt = null;
+    saveKhatmas();
+}
+
+/**
+ * Give a reserved part back
+ * @param {object} khatma
+ * @param {number} partNumber
+ */
+export function releasePart(khatma, partNumber) {
+    const part = khatma.parts[partNumber - 1];
+    part.holder = null;
+    part.holderName = null;
+    part.reservedAt = null;
+    part.remindedAt = null;
+    saveKhatmas();
+}
+
+/**
+ * Mark a part as read; completes the khatma when it was the last one
+ * @param {object} khatma
+ * @param {number} partNumber
+ * @returns {boolean} True if this completed the khatma
+ */
+export function completePart(khatma, partNumber) {
+    khatma.parts[partNumber - 1].doneAt = new Date().toISOString();
+    const finished = khatma.parts.every(part => part.doneAt);
+    if (finished) khatma.completedAt = new Date().toISOString();
+    saveKhatmas();
+    return finished;
+}
+
+export default {
+    getKhatma,
+    getActiveKhatmas,
+    createKhatma,
+    deleteKhatma,
+    reservePart,
+    releasePart,
+    completePart,
+    saveKhatmas
+};
@@ -0,0 +1,43 @@
+/**
+ * MP3 helpers - Join recordings into one file without re-encoding
+ * MP3 is a plain sequence of frames, so files of the same encoding can be
+ * concatenated once their ID3 tags are removed.
+ */
+
+/**
+ * Remove the ID3v2 header and ID3v1 trailer, leaving only the audio frames
+ * @param {Buffer} buffer - MP3 file
+ * @returns {Buffer}
+ */
+export function stripId3(buffer) {
+    let start = 0;
+    let end = buffer.length;
+
+    // ID3v2: "ID3", version (2 bytes), flags, size as a 4-byte synchsafe integer
+    while (end - start > 10 && buffer.toString('latin1', start, start + 3) === 'ID3') {
+        const size = (buffer[start + 6] << 21) | (buffer[start + 7] << 14) | (buffer[start + 8] << 7) | buffer[start + 9];
+        const hasFooter = (buffer[start + 5] & 0x10) !== 0;
+        start += 10 + size + (hasFooter ? 10 : 0);
+    }
+
+    // ID3v1: fixed 128 bytes at the end starting with "TAG"
+    if (end - start >= 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') {
+        end -= 128;
+    }
+
+    return buffer.subarray(Math.min(start, end), end);
+}
+
+/**
+ * Join MP3 files into one, in order
+ * @param {Buffer[]} buffers - MP3 files
+ * @returns {Buffer}
+ */
+export function joinMp3(buffers) {
+    return Buffer.concat(buffers.map(stripId3));
+}
+
+export default {
+    stripId3,
+    joinMp3
+};
@@ -0,0 +1,110 @@
+/**
+ * Occasion Reminder Store - Which Islamic occasions each chat is reminded of
+ * Stores choices in a JSON file so reminders survive restarts
+ *
+ * Map<chatJid, { occasions: string[], sent: { [occasionId]: 'YYYY-M-D' } }>
+ * `sent` holds the local date each occasion was last announced, so a reminder
+ * isn't repeated after a reconnect.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OCCASIONS_FILE = path.join(__dirname, '..', 'data', 'occasions.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(OCCASIONS_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all occasion settings from file
+ * @returns {Map<string, object>}
+ */
+function loadSettings() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(OCCASIONS_FILE)) {
+            const data = JSON.parse(fs.readFileSync(OCCASIONS_FILE, 'utf-8'));
+            return new Map(Object.entries(data.chats || {}));
+        }
+    } catch (error) {
+        console.error('Error loading occasion reminders:', error.message);
+    }
+    return new Map();
+}
+
+const settings = loadSettings();
+
+/**
+ * Save occasion settings to file
+ */
+function saveSettings() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: settings.size,
+            chats: Object.fromEntries(settings)
+        };
+        fs.writeFileSync(OCCASIONS_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving occasion reminders:', error.message);
+    }
+}
+
+/**
+ * Get the occasions a chat is reminded of
+ * @param {string} chatJid
+ * @returns {string[]} Occasion ids
+ */
+export function getChatOccasions(chatJid) {
+    return settings.get(chatJid)?.occasions || [];
+}
+
+/**
+ * Get all chats with at least one occasion turned on
+ * @returns {Array<[string, object]>} [chatJid, { occasions, sent }] pairs
+ */
+export function getOccasionChats() {
+    return [...settings.entries()].filter(([, chat]) => chat.occasions.length > 0);
+}
+
+/**
+ * Set the occasions a chat is reminded of
+ * @param {string} chatJid
+ * @param {string[]} occasions - Occasion ids; an empty list turns reminders off
+ */
+export function setChatOccasions(chatJid, occasions) {
+    if (occasions.length === 0) {
+        settings.delete(chatJid);
+    } else {
+        settings.set(chatJid, { sent: {}, ...settings.get(chatJid), occasions });
+    }
+    saveSettings();
+}
+
+/**
+ * Record that an occasion was announced in a chat
+ * @param {string} chatJid
+ * @param {string} occasionId
+ * @param {string} dateKey - Local date, 'YYYY-M-D'
+ */
+export function markOccasionSent(chatJid, occasionId, dateKey) {
+    const chat = settings.get(chatJid);
+    if (!chat) return;
+    chat.sent[occasionId] = dateKey;
+    saveSettings();
+}
+
+export default {
+    getChatOccasions,
+    getOccasionChats,
+    setChatOccasions,
+    markOccasionSent
+};
@@ -0,0 +1,137 @@
+/**
+ * Islamic Occasions - Recurring days chats can be reminded of (Friday Kahf, fasting days,
+ * Arafah, Ashura, Ramadan). Each occasion decides from the Hijri calendar whether it has
+ * a reminder today; 'morning' reminders are about the day itself, 'evening' ones about
+ * the next day or the coming night, so members can make their intention to fast.
+ */
+
+import { HIJRI_MONTHS, WEEKDAYS } from './hijri.js';
+import { normalizeArabic } from './arabic.js';
+
+const RAMADAN = 9;
+const DHUL_HIJJAH = 12;
+
+/**
+ * Whether fasting on a Hijri day is forbidden (the two Eids and the days of tashreeq)
+ * @param {object} hijri - { month, day }
+ * @returns {boolean}
+ */
+function isEidDay(hijri) {
+    return (hijri.month === 10 && hijri.day === 1) || (hijri.month === DHUL_HIJJAH && hijri.day >= 10 && hijri.day <= 13);
+}
+
+/**
+ * Occasions: { id, name, aliases, slot, message(day) → string|null }
+ * `day` is { weekday, hijri, tomorrow: { weekday, hijri } } in the chat's time zone.
+ */
+export const OCCASIONS = [
+    {
+        id: 'kahf',
+        name: 'سورة الكهف يوم الجمعة',
+        aliases: ['كهف', 'الكهف', 'جمعة', 'الجمعة'],
+        slot: 'morning',
+        message: ({ weekday }) => weekday !== 5 ? null :
+            '📖 *جمعة مباركة*\n\n' +
+            'قال ﷺ : «من قرأ سورة الكهف في يوم الجمعة أضاء له من النور ما بين الجمعتين» (رواه الحاكم والبيهقي، وصححه الألباني)\n\n' +
+            '🤍 وأكثروا من الصلاة على النبي ﷺ\n\n' +
+            '💡 لقراءتها : /سورة الكهف • لسماعها : /تلاوة الكهف'
+    },
+    {
+        id: 'beed',
+        name: 'صيام الأيام البيض',
+        aliases: ['بيض', 'البيض', 'الأيام البيض', 'ايام البيض'],
+        slot: 'evening',
+        message: ({ tomorrow }) => {
+            const { hijri } = tomorrow;
+            // Before the first fasting day of the three (the 13th of Dhul Hijjah is a day of tashreeq)
+            const firstDay = hijri.month === DHUL_HIJJAH ? 14 : 13;
+            if (hijri.month === RAMADAN || hijri.day !== firstDay) return null;
+            return `🌕 *غداً تبدأ الأيام البيض*\n\n` +
+                `أيام ${hijri.month === DHUL_HIJJAH ? '14 و 15' : '13 و 14 و 15'} من شهر ${HIJRI_MONTHS[hijri.month - 1]}\n\n` +
+                'قال ﷺ : «صوم ثلاثة أيام من كل شهر صوم الدهر كله» (متفق عليه)';
+        }
+    },
+    {
+        id: 'mondayThursday',
+        name: 'صيام الاثنين والخميس',
+        aliases: ['اثنين', 'الاثنين', 'خميس', 'الخميس', 'الاثنين والخميس'],
+        slot: 'evening',
+        message: ({ tomorrow }) => {
+            if (![1, 4].includes(tomorrow.weekday) || tomorrow.hijri.month === RAMADAN || isEidDay(tomorrow.hijri)) return null;
+            return `🌙 *غداً يوم ${WEEKDAYS[tomorrow.weekday]}*\n\n` +
+                'قال ﷺ : «تُعرض الأعمال يوم الاثنين والخميس، فأحب أن يُعرض عملي وأنا صائم» (رواه الترمذي)';
+        }
+    },
+    {
+        id: 'arafah',
+        name: 'يوم عرفة',
+        aliases: ['عرفة', 'عرفه', 'يوم عرفة'],
+        slot: 'evening',
+        message: ({ tomorrow }) => tomorrow.hijri.month !== DHUL_HIJJAH || tomorrow.hijri.day !== 9 ? null :
+            '🕋 *غداً يوم عرفة*\n\n' +
+            'قال ﷺ : «صيام يوم عرفة أحتسب على الله أن يكفر السنة التي قبله والسنة التي بعده» (رواه مسلم)\n\n' +
+            '🤲 «خير الدعاء دعاء يوم عرفة» (رواه الترمذي)'
+    },
+    {
+        id: 'ashura',
+        name: 'تاسوعاء وعاشوراء',
+        aliases: ['عاشوراء', 'تاسوعاء', 'عاشورا'],
+        slot: 'evening',
+        message: ({ tomorrow }) => {
+            const { hijri } = tomorrow;
+            if (hijri.month !== 1 || (hijri.day !== 9 && hijri.day !== 10)) return null;
+            if (hijri.day === 9) {
+                return '🌙 *غداً يوم تاسوعاء*\n\n' +
+                    'قال ﷺ : «لئن بقيت إلى قابل لأصومن التاسع» (رواه مسلم)، فيستحب صيامه مع عاشوراء';
+            }
+            return '🌙 *غداً يوم عاشوراء*\n\n' +
+                'قال ﷺ : «صيام يوم عاشوراء أحتسب على الله أن يكفر السنة التي قبله» (رواه مسلم)';
+        }
+    },
+    {
+        id: 'ramadan',
+        name: 'دخول رمضان',
+        aliases: ['رمضان', 'دخول رمضان'],
+        slot: 'evening',
+        message: ({ tomorrow }) => tomorrow.hijri.month !== RAMADAN || tomorrow.hijri.day !== 1 ? null :
+            `🌙 *غداً أول أيام رمضان ${tomorrow.hijri.year} هـ حسب تقويم أم القرى*\n` +
+            'والعبرة بإعلان رؤية الهلال في بلدك\n\n' +
+            '🤲 اللهم أهلّه علينا باليمن والإيمان، والسلامة والإسلام، ربي وربك الله\n\n' +
+            '💡 ابدأ ختمتك : /ورد صفحات 20 6:00'
+    },
+    {
+        id: 'lastTen',
+        name: 'العشر الأواخر من رمضان',
+        aliases: ['العشر', 'العشر الأواخر', 'عشر', 'ليلة القدر', 'القدر'],
+        slot: 'evening',
+        message: ({ hijri }) => {
+            // Tonight is the night of the next day: the 20th's evening starts the 21st night
+            if (hijri.month !== RAMADAN || hijri.day < 20 || hijri.day > 28 || hijri.day % 2 !== 0) return null;
+            if (hijri.day === 20) {
+                return '🌟 *الليلة أولى ليالي العشر الأواخر*\n\n' +
+                    'كان رسول الله ﷺ إذا دخل العشر أحيا ليله، وأيقظ أهله، وجدّ وشدّ المئزر (متفق عليه)\n\n' +
+                    '🤲 اللهم إنك عفو تحب العفو فاعف عنا';
+            }
+            return `🌟 *الليلة ليلة ${hijri.day + 1} من رمضان*\n\n` +
+                'قال ﷺ : «تحرّوا ليلة القدر في الوتر من العشر الأواخر من رمضان» (رواه البخاري)\n\n' +
+                '🤲 اللهم إنك عفو تحب العفو فاعف عنا';
+        }
+    }
+];
+
+/**
+ * Find an occasion by id, name or alias
+ * @param {string} input
+ * @returns {object|null}
+ */
+export function findOccasion(input) {
+    const wanted = normalizeArabic(input);
+    return OCCASIONS.find(occasion =>
+        [occasion.id, occasion.name, ...occasion.aliases].some(name => normalizeArabic(name) === wanted)
+    ) || null;
+}
+
+export default {
+    OCCASIONS,
+    findOccasion
+};
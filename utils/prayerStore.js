@@ -0,0 +1,98 @@
+/**
+ * Prayer Settings Store - Each chat's city, calculation method and prayer reminders
+ * Stores settings in a JSON file so reminders survive restarts
+ *
+ * Map<chatJid, {
+ *   city, method, asr, reminders, reminderMinutes, lastReminder
+ * }>
+ * `city` is an id from data/cities.json; `lastReminder` ("2026-03-01:asr") keeps a
+ * reminder from being sent twice, e.g. after a reconnect.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PRAYER_FILE = path.join(__dirname, '..', 'data', 'prayer.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(PRAYER_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all prayer settings from file
+ * @returns {Map<string, object>}
+ */
+function loadSettings() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(PRAYER_FILE)) {
+            const data = JSON.parse(fs.readFileSync(PRAYER_FILE, 'utf-8'));
+            return new Map(Object.entries(data.chats || {}));
+        }
+    } catch (error) {
+        console.error('Error loading prayer settings:', error.message);
+    }
+    return new Map();
+}
+
+const settings = loadSettings();
+
+/**
+ * Save prayer settings to file
+ */
+export function savePrayerSettings() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: settings.size,
+            chats: Object.fromEntries(settings)
+        };
+        fs.writeFileSync(PRAYER_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving prayer settings:', error.message);
+    }
+}
+
+/**
+ * Get the prayer settings of a chat
+ * @param {string} chatJid
+ * @returns {object|undefined}
+ */
+export function getPrayerSettings(chatJid) {
+    return settings.get(chatJid);
+}
+
+/**
+ * Get all chats that turned prayer reminders on
+ * @returns {Array<[string, object]>} [chatJid, settings] pairs
+ */
+export function getReminderChats() {
+    return [...settings.entries()].filter(([, chat]) => chat.reminders);
+}
+
+/**
+ * Update the prayer settings of a chat
+ * @param {string} chatJid
+ * @param {object} changes - Fields to set
+ * @returns {object} The stored settings
+ */
+export function updatePrayerSettings(chatJid, changes) {
+    const updated = { reminders: false, reminderMinutes: null, lastReminder: null, ...settings.get(chatJid), ...changes };
+    settings.set(chatJid, updated);
+    savePrayerSettings();
+    return updated;
+}
+
+export default {
+    getPrayerSettings,
+    getReminderChats,
+    updatePrayerSettings,
+    savePrayerSettings
+};
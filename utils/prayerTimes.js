@@ -0,0 +1,162 @@
+/**
+ * Prayer Times - Offline calculation of the five daily prayers from the sun's position
+ * Follows the well-known PrayTimes.org formulas: the sun's declination and equation of time
+ * give solar noon, and each prayer is the moment the sun reaches a given angle around it.
+ */
+
+import { compactName } from './arabic.js';
+
+/**
+ * Calculation methods: twilight angles for fajr and isha, or isha as a fixed delay after maghrib
+ */
+export const METHODS = {
+    ummAlQura: { name: 'جامعة أم القرى بمكة', fajr: 18.5, ishaMinutes: 90, aliases: ['أم القرى', 'القرى', 'umm al qura'] },
+    mwl: { name: 'رابطة العالم الإسلامي', fajr: 18, isha: 17, aliases: ['رابطة', 'الرابطة', 'mwl'] },
+    egyptian: { name: 'الهيئة المصرية العامة للمساحة', fajr: 19.5, isha: 17.5, aliases: ['مصري', 'مصرية', 'egyptian'] },
+    karachi: { name: 'جامعة العلوم الإسلامية بكراتشي', fajr: 18, isha: 18, aliases: ['كراتشي', 'karachi'] },
+    isna: { name: 'الجمعية الإسلامية لأمريكا الشمالية', fajr: 15, isha: 15, aliases: ['أمريكا', 'أمريكي', 'isna'] }
+};
+
+// Asr starts when a shadow is this many times an object's length (plus its noon shadow)
+export const ASR_SCHOOLS = {
+    shafi: { name: 'الجمهور (شافعي، مالكي، حنبلي)', factor: 1, aliases: ['شافعي', 'الجمهور', 'جمهور', 'shafi'] },
+    hanafi: { name: 'حنفي', factor: 2, aliases: ['حنفي', 'احناف', 'hanafi'] }
+};
+
+// Prayers in order of the day; sunrise is listed but isn't a prayer
+export const PRAYERS = [
+    { id: 'fajr', name: 'الفجر', icon: '🌙' },
+    { id: 'sunrise', name: 'الشروق', icon: '🌅' },
+    { id: 'dhuhr', name: 'الظهر', icon: '☀️' },
+    { id: 'asr', name: 'العصر', icon: '🌤️' },
+    { id: 'maghrib', name: 'المغرب', icon: '🌇' },
+    { id: 'isha', name: 'العشاء', icon: '🌃' }
+];
+
+// Angle of the sun's centre below the horizon at sunrise and sunset (refraction and radius)
+const RISE_SET_ANGLE = 0.833;
+
+const rad = degrees => degrees * Math.PI / 180;
+const deg = radians => radians * 180 / Math.PI;
+const fix = (value, range) => ((value % range) + range) % range;
+
+/**
+ * Julian date of a calendar day at 0h UTC
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {number}
+ */
+function julianDate(year, month, day) {
+    if (month <= 2) {
+        year -= 1;
+        month += 12;
+    }
+    const a = Math.floor(year / 100);
+    const b = 2 - a + Math.floor(a / 4);
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+/**
+ * Declination of the sun and the equation of time at a Julian date
+ * @param {number} jd
+ * @returns {object} { declination (degrees), equation (hours) }
+ */
+function sunPosition(jd) {
+    const d = jd - 2451545.0;
+    const g = fix(357.529 + 0.98560028 * d, 360);
+    const q = fix(280.459 + 0.98564736 * d, 360);
+    const l = fix(q + 1.915 * Math.sin(rad(g)) + 0.020 * Math.sin(rad(2 * g)), 360);
+    const e = 23.439 - 0.00000036 * d;
+
+    const ra = fix(deg(Math.atan2(Math.cos(rad(e)) * Math.sin(rad(l)), Math.cos(rad(l)))) / 15, 24);
+    return {
+        declination: deg(Math.asin(Math.sin(rad(e)) * Math.sin(rad(l)))),
+        equation: q / 15 - ra
+    };
+}
+
+/**
+ * Calculate the prayer times of one day
+ * @param {object} place - { lat, lng, timeZone }
+ * @param {object} date - { year, month, day } as a calendar date in the place's time zone
+ * @param {object} [options] - { method: key of METHODS, asr: key of ASR_SCHOOLS }
+ * @returns {object} { fajr, sunrise, dhuhr, asr, maghrib, isha } as Date instants
+ */
+export function calculatePrayerTimes(place, date, options = {}) {
+    const method = METHODS[options.method] || METHODS.mwl;
+    const asrFactor = (ASR_SCHOOLS[options.asr] || ASR_SCHOOLS.shafi).factor;
+    const jd = julianDate(date.year, date.month, date.day) - place.lng / (15 * 24);
+    const lat = place.lat;
+
+    // Times are in hours of local solar time; `guess` is the rough hour used for the sun's position
+    const noonAt = guess => fix(12 - sunPosition(jd + guess / 24).equation, 24);
+    const angleTime = (angle, guess, beforeNoon) => {
+        const { declination } = sunPosition(jd + guess / 24);
+        const t = deg(Math.acos(
+            (-Math.sin(rad(angle)) - Math.sin(rad(declination)) * Math.sin(rad(lat))) /
+            (Math.cos(rad(declination)) * Math.cos(rad(lat)))
+        )) / 15;
+        return noonAt(guess) + (beforeNoon ? -t : t);
+    };
+    const asrTime = (factor, guess) => {
+        const { declination } = sunPosition(jd + guess / 24);
+        const angle = -deg(Math.atan(1 / (factor + Math.tan(rad(Math.abs(lat - declination))))));
+        return angleTime(angle, guess, false);
+    };
+
+    const times = {
+        fajr: angleTime(method.fajr, 5, true),
+        sunrise: angleTime(RISE_SET_ANGLE, 6, true),
+        dhuhr: noonAt(12),
+        asr: asrTime(asrFactor, 13),
+        maghrib: angleTime(RISE_SET_ANGLE, 18, false),
+        isha: method.ishaMinutes ? null : angleTime(method.isha, 18, false)
+    };
+    if (method.ishaMinutes) times.isha = times.maghrib + method.ishaMinutes / 60;
+
+    // High latitudes: when twilight never ends (or lasts too long), cap fajr and isha
+    // at a share of the night proportional to their angle
+    const night = fix(times.sunrise - times.maghrib, 24);
+    const fajrLimit = (method.fajr / 60) * night;
+    if (Number.isNaN(times.fajr) || fix(times.sunrise - times.fajr, 24) > fajrLimit) {
+        times.fajr = times.sunrise - fajrLimit;
+    }
+    if (!method.ishaMinutes) {
+        const ishaLimit = (method.isha / 60) * night;
+        if (Number.isNaN(times.isha) || fix(times.isha - times.maghrib, 24) > ishaLimit) {
+            times.isha = times.maghrib + ishaLimit;
+        }
+    }
+
+    // Local solar hours → instants: shift to UTC by longitude, then round to the minute
+    const midnight = Date.UTC(date.year, date.month - 1, date.day);
+    const result = {};
+    for (const [id, hours] of Object.entries(times)) {
+        const utcHours = hours - place.lng / 15;
+        result[id] = new Date(Math.round((midnight + utcHours * 3600000) / 60000) * 60000);
+    }
+    return result;
+}
+
+/**
+ * Find a calculation method or asr school by key, Arabic name or alias
+ * @param {object} table - METHODS or ASR_SCHOOLS
+ * @param {string} input
+ * @returns {string|null} The key
+ */
+export function findOption(table, input) {
+    const wanted = compactName(input);
+    if (!wanted) return null;
+    return Object.keys(table).find(key =>
+        [key, table[key].name, ...table[key].aliases].some(name => compactName(name) === wanted)
+    ) || null;
+}
+
+export default {
+    METHODS,
+    ASR_SCHOOLS,
+    PRAYERS,
+    calculatePrayerTimes,
+    findOption
+};
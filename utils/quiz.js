@@ -0,0 +1,203 @@
+/**
+ * Quiz Questions - The question bank in data/quiz.json, with its categories
+ * The file is a tree of categories: object keys (or a `name` / `title` on array
+ * entries) name the categories and sub-categories, and every object with `q` and
+ * `answers` is a question:
+ *   { "q", "answers": [{ "answer", "t" }], "explanation"?, "difficulty"?, "seconds"? }
+ * `t` is 1 for the correct answer. The top-level branch is the question's category;
+ * a branch named after a difficulty (سهل / متوسط / صعب) sets its questions' difficulty.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { normalizeArabic, compactName } from './arabic.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const QUIZ_FILE = path.join(__dirname, '..', 'data', 'quiz.json');
+
+export const QUIZ_DIFFICULTIES = [
+    { id: 'easy', name: 'سهل', aliases: ['سهل', 'سهلة', 'مبتدئ', 'easy'] },
+    { id: 'medium', name: 'متوسط', aliases: ['متوسط', 'متوسطة', 'medium'] },
+    { id: 'hard', name: 'صعب', aliases: ['صعب', 'صعبة', 'متقدم', 'hard'] }
+];
+
+// Branch names that only group questions ("questions", "data") rather than name a category
+const CONTAINER_KEYS = ['questions', 'data', 'items', 'categories', 'quiz', 'اسئلة', 'الاسئلة'];
+
+// Fallback category of questions outside any named branch
+const GENERAL_CATEGORY = 'عام';
+
+/**
+ * Find a difficulty by name ("سهل", "صعبة", "hard")
+ * @param {string} input
+ * @returns {object|null}
+ */
+export function findQuizDifficulty(input) {
+    const wanted = normalizeArabic(String(input || '')).toLowerCase();
+    return QUIZ_DIFFICULTIES.find(difficulty =>
+        [difficulty.id, ...difficulty.aliases].some(name => normalizeArabic(name) === wanted)
+    ) || null;
+}
+
+/**
+ * Load and flatten the question bank, keeping each question's category
+ * @returns {object[]} [{ id, q, answers, category, difficulty, explanation, seconds }] id is the position in the bank
+ */
+function loadQuiz() {
+    const pool = [];
+
+    // Walk the tree, collecting the branch names leading to each question
+    function extractQuestions(node, labels) {
+        if (Array.isArray(node)) {
+            node.forEach(child => extractQuestions(child, labels));
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        // It's a question if it has 'q' and 'answers'
+        if (node.q && Array.isArray(node.answers)) {
+            pool.push({ id: pool.length, ...toQuestion(node, labels) });
+            return;
+        }
+
+        const label = [node.name, node.title, node.category].find(value => typeof value === 'string');
+        for (const [key, child] of Object.entries(node)) {
+            if (!child || typeof child !== 'object') continue;
+            extractQuestions(child, label ? [...labels, label] : [...labels, key]);
+        }
+    }
+
+    try {
+        extractQuestions(JSON.parse(fs.readFileSync(QUIZ_FILE, 'utf-8')), []);
+        logger.info(`Quiz pool loaded: ${pool.length} questions in ${new Set(pool.map(q => q.category)).size} categories`);
+    } catch (error) {
+        logger.error(`Failed to load quiz.json: ${error.message}`);
+    }
+    return pool;
+}
+
+/**
+ * Build a question entry from the file
+ * @param {object} node - Question object from the file
+ * @param {string[]} labels - Branch names leading to it
+ * @returns {object}
+ */
+function toQuestion(node, labels) {
+    let difficulty = findQuizDifficulty(node.difficulty || node.level)?.id || null;
+    const names = [];
+    for (const label of labels) {
+        const level = findQuizDifficulty(label);
+        if (level) difficulty ||= level.id;
+        else if (!/^\d+$/.test(label) && !CONTAINER_KEYS.includes(normalizeArabic(label).toLowerCase())) names.push(label);
+    }
+
+    return {
+        q: node.q,
+        answers: node.answers,
+        category: names[0] || GENERAL_CATEGORY,
+        difficulty,
+        explanation: node.explanation || null,
+        seconds: Number(node.seconds) || null
+    };
+}
+
+const QUIZ_POOL = loadQuiz();
+
+/**
+ * Number of questions in the bank
+ * @returns {number}
+ */
+export function getQuizSize() {
+    return QUIZ_POOL.length;
+}
+
+/**
+ * List the categories in file order
+ * @returns {object[]} [{ name, count, difficulties: { [difficultyId]: count } }]
+ */
+export function getQuizCategories() {
+    const categories = new Map();
+    for (const question of QUIZ_POOL) {
+        if (!categories.has(question.category)) {
+            categories.set(question.category, { name: question.category, count: 0, difficulties: {} });
+        }
+        const category = categories.get(question.category);
+        category.count++;
+        if (question.difficulty) {
+            category.difficulties[question.difficulty] = (category.difficulties[question.difficulty] || 0) + 1;
+        }
+    }
+    return [...categories.values()];
+}
+
+/**
+ * Find a category by name; a unique partial match is accepted ("سيرة" → "السيرة النبوية")
+ * @param {string} input
+ * @returns {string|null} The category name
+ */
+export function findQuizCategory(input) {
+    const wanted = compactName(input);
+    if (!wanted) return null;
+
+    const names = getQuizCategories().map(category => category.name);
+    const exact = names.find(name => compactName(name) === wanted);
+    if (exact) return exact;
+
+    const partial = names.filter(name => compactName(name).includes(wanted));
+    return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Questions matching a filter
+ * @param {object} filter - { category?, difficulty?, exclude? }
+ * @returns {object[]}
+ */
+function filterQuestions({ category, difficulty, exclude } = {}) {
+    return QUIZ_POOL.filter(question =>
+        (!category || question.category === category) &&
+        (!difficulty || question.difficulty === difficulty) &&
+        !exclude?.has(question.id)
+    );
+}
+
+/**
+ * Count the questions matching a filter
+ * @param {object} [filter] - { category?, difficulty? }
+ * @returns {number}
+ */
+export function countQuizQuestions(filter) {
+    return filterQuestions(filter).length;
+}
+
+/**
+ * Pick a random question
+ * @param {object} [filter]
+ * @param {string} [filter.category] - Category name
+ * @param {string} [filter.difficulty] - Difficulty id
+ * @param {Set<number>} [filter.exclude] - Ids of questions already asked
+ * @returns {object|null} The question with its answers in random order, null if none match
+ */
+export function pickQuizQuestion(filter) {
+    const matching = filterQuestions(filter);
+    if (matching.length === 0) return null;
+
+    const question = matching[Math.floor(Math.random() * matching.length)];
+    const answers = [...question.answers];
+    for (let i = answers.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [answers[i], answers[j]] = [answers[j], answers[i]];
+    }
+    return { ...question, answers };
+}
+
+export default {
+    QUIZ_DIFFICULTIES,
+    findQuizDifficulty,
+    getQuizSize,
+    getQuizCategories,
+    findQuizCategory,
+    countQuizQuestions,
+    pickQuizQuestion
+};
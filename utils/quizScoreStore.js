@@ -0,0 +1,143 @@
+/**
+ * Quiz Score Store - Per-group quiz leaderboards
+ * Stores scores in a JSON file so they survive restarts
+ *
+ * Map<groupJid, { [userJid]: {
+ *   name, points, correct, answered, fastest,
+ *   week: { key, points }, month: { key, points }
+ * } }>
+ * `week` and `month` hold the points of the current period only; `key` names the
+ * period ('YYYY-M-D' of the week's first day, 'YYYY-M' of the month) and a member's
+ * period points restart when it changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCORES_FILE = path.join(__dirname, '..', 'data', 'quizScores.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(SCORES_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all group scores from file
+ * @returns {Map<string, object>}
+ */
+function loadScores() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(SCORES_FILE)) {
+            const data = JSON.parse(fs.readFileSync(SCORES_FILE, 'utf-8'));
+            return new Map(Object.entries(data.groups || {}));
+        }
+    } catch (error) {
+        console.error('Error loading quiz scores:', error.message);
+    }
+    return new Map();
+}
+
+const scores = loadScores();
+
+/**
+ * Save group scores to file
+ */
+function saveScores() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: scores.size,
+            groups: Object.fromEntries(scores)
+        };
+        fs.writeFileSync(SCORES_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving quiz scores:', error.message);
+    }
+}
+
+/**
+ * Points of a member in a period, 0 when they belong to an earlier one
+ * @param {object} member
+ * @param {string} period - 'week', 'month' or 'all'
+ * @param {object} keys - { week, month } current period keys
+ * @returns {number}
+ */
+function periodPoints(member, period, keys) {
+    if (period === 'all') return member.points;
+    return member[period].key === keys[period] ? member[period].points : 0;
+}
+
+/**
+ * Record the answers of one quiz question in a group
+ * @param {string} groupJid
+ * @param {object[]} results - [{ userJid, name, correct, points, fastest }] one per participant
+ * @param {object} keys - { week, month } current period keys
+ */
+export function recordQuizRound(groupJid, results, keys) {
+    if (results.length === 0) return;
+    if (!scores.has(groupJid)) scores.set(groupJid, {});
+    const group = scores.get(groupJid);
+
+    for (const result of results) {
+        const member = group[result.userJid] ||= {
+            name: result.name, points: 0, correct: 0, answered: 0, fastest: 0,
+            week: { key: keys.week, points: 0 }, month: { key: keys.month, points: 0 }
+        };
+        member.name = result.name;
+        member.answered++;
+        if (result.correct) member.correct++;
+        if (result.fastest) member.fastest++;
+
+        for (const period of ['week', 'month']) {
+            if (member[period].key !== keys[period]) member[period] = { key: keys[period], points: 0 };
+            member[period].points += result.points;
+        }
+        member.points += result.points;
+    }
+    saveScores();
+}
+
+/**
+ * Get a group's leaderboard for a period, best first
+ * @param {string} groupJid
+ * @param {string} period - 'week', 'month' or 'all'
+ * @param {object} keys - { week, month } current period keys
+ * @returns {object[]} [{ userJid, name, points, correct, answered, fastest }] members with points in the period
+ */
+export function getQuizBoard(groupJid, period, keys) {
+    return Object.entries(scores.get(groupJid) || {})
+        .map(([userJid, member]) => ({
+            userJid,
+            name: member.name,
+            points: periodPoints(member, period, keys),
+            correct: member.correct,
+            answered: member.answered,
+            fastest: member.fastest
+        }))
+        .filter(entry => entry.points > 0)
+        .sort((a, b) => b.points - a.points || b.fastest - a.fastest);
+}
+
+/**
+ * Clear a group's leaderboard
+ * @param {string} groupJid
+ * @returns {boolean} Whether the group had scores
+ */
+export function resetQuizBoard(groupJid) {
+    const existed = scores.delete(groupJid);
+    if (existed) saveScores();
+    return existed;
+}
+
+export default {
+    recordQuizRound,
+    getQuizBoard,
+    resetQuizBoard
+};
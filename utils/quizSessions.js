@@ -2,6 +2,7 @@
  * Shared quiz session store
  * Kept in its own file to avoid circular imports between index.js and commands/index.js
  * 
- * Map<chatJid, { question, timer }>
+ * Map<chatJid, { question, timer, group, startedAt, endsAt, answers }>
+ * `answers` holds each group participant's first answer: Map<userJid, { choice, at, name }>
  */
 export const quizSessions = new Map();
@@ -0,0 +1,216 @@
+/**
+ * Quran Reference Parser - Turns user input like "2:255", "١٨:١-١٠" or "الكهف 10"
+ * into surah and ayah numbers
+ */
+
+import { getAllSurahs, SURAH_COUNT } from './quranStore.js';
+import { toWesternDigits, normalizeArabic, compactName } from './arabic.js';
+import { levenshtein } from './helpers.js';
+
+// Other names surahs are commonly known by
+const SURAH_ALIASES = {
+    1: ['الحمد', 'أم الكتاب', 'السبع المثاني'],
+    3: ['عمران'],
+    9: ['براءة'],
+    17: ['بني إسرائيل', 'سبحان'],
+    20: ['طاها'],
+    32: ['المضاجع'],
+    35: ['الملائكة'],
+    36: ['ياسين'],
+    38: ['صاد'],
+    40: ['المؤمن'],
+    41: ['حم السجدة'],
+    47: ['القتال'],
+    50: ['قاف'],
+    54: ['اقتربت'],
+    67: ['تبارك'],
+    68: ['ن', 'نون'],
+    70: ['سأل سائل'],
+    76: ['الدهر', 'هل أتى'],
+    78: ['عم', 'عم يتساءلون'],
+    83: ['التطفيف'],
+    94: ['الانشراح', 'ألم نشرح'],
+    96: ['اقرأ'],
+    98: ['لم يكن', 'البرية'],
+    107: ['أرأيت', 'الدين'],
+    111: ['تبت', 'اللهب'],
+    112: ['التوحيد']
+};
+
+const MAX_SUGGESTIONS = 5;
+
+// [{ number, keys: string[] }], built on first use
+let nameIndex = null;
+
+/**
+ * Reduce a surah name to a lookup key: "سورة البقرة" → "بقره", "Al-Baqarah" → "baqarah"
+ * @param {string} name
+ * @returns {string}
+ */
+function surahKey(name) {
+    const text = normalizeArabic(String(name)).replace(/^سوره\s+/, '');
+    if (/^[\x00-\x7F]+$/.test(text)) {
+        return text.toLowerCase()
+            .replace(/^(surah?|sura)[\s-]+/, '')
+            .replace(/^a[a-z]{1,2}[\s-]+/, '')
+            .replace(/[^a-z]/g, '');
+    }
+    return compactName(text);
+}
+
+/**
+ * Lookup keys of every surah: its name, English name and alternate names
+ * @returns {object[]}
+ */
+function getNameIndex() {
+    if (nameIndex) return nameIndex;
+    const surahs = getAllSurahs();
+    if (surahs.length === 0) return [];
+
+    nameIndex = surahs.map(s => ({
+        number: s.number,
+        keys: [...new Set([s.name, s.englishName, ...(SURAH_ALIASES[s.number] || [])].filter(Boolean).map(surahKey))]
+    }));
+    return nameIndex;
+}
+
+/**
+ * Typos allowed for a key of this length: none for one or two letters,
+ * one up to five letters, two beyond
+ * @param {number} length
+ * @returns {number}
+ */
+function allowedTypos(length) {
+    if (length <= 2) return 0;
+    return length <= 5 ? 1 : 2;
+}
+
+/**
+ * Find a surah by number or name, tolerating a missing "ال", hamza / taa marbuta
+ * spelling, alternate names (بني إسرائيل) and small typos
+ * @param {string} input - e.g. "18", "١٨", "الكهف", "سورة الكهف", "كهف", "البقره"
+ * @returns {object} { surah: number|null, suggestions: number[] }
+ *                   suggestions are the candidates when the name is ambiguous or unknown
+ */
+export function findSurah(input) {
+    const text = toWesternDigits(String(input || '')).trim();
+    if (!text) return { surah: null, suggestions: [] };
+
+    if (/^\d+$/.test(text)) {
+        const num = parseInt(text, 10);
+        return { surah: num >= 1 && num <= SURAH_COUNT ? num : null, suggestions: [] };
+    }
+    // Names have no digits: "الكهف 10" is a reference, not a misspelt name
+    if (/\d/.test(text)) return { surah: null, suggestions: [] };
+
+    const wanted = surahKey(text);
+    if (!wanted) return { surah: null, suggestions: [] };
+    const index = getNameIndex();
+
+    // Exact name or alternate name
+    const exact = index.find(entry => entry.keys.includes(wanted));
+    if (exact) return { surah: exact.number, suggestions: [] };
+
+    // Beginning of a name ("بقر", "عنكب")
+    const prefixed = wanted.length >= 2
+        ? index.filter(entry => entry.keys.some(key => key.startsWith(wanted)))
+        : [];
+    if (prefixed.length === 1) return { surah: prefixed[0].number, suggestions: [] };
+    if (prefixed.length > 1) {
+        return { surah: null, suggestions: prefixed.slice(0, MAX_SUGGESTIONS).map(entry => entry.number) };
+    }
+
+    // Small typos: closest names within the allowed distance
+    const maxDistance = allowedTypos(wanted.length);
+    const scored = index
+        .map(entry => ({
+            number: entry.number,
+            distance: Math.min(...entry.keys.map(key => levenshtein(wanted, key)))
+        }))
+        .filter(entry => entry.distance <= Math.max(maxDistance, 1))
+        .sort((a, b) => a.distance - b.distance || a.number - b.number);
+
+    const best = scored.filter(entry => entry.distance === scored[0]?.distance && entry.distance <= maxDistance);
+    if (best.length === 1) return { surah: best[0].number, suggestions: [] };
+
+    return { surah: null, suggestions: scored.slice(0, MAX_SUGGESTIONS).map(entry => entry.number) };
+}
+
+/**
+ * Resolve a surah from its number or Arabic name
+ * @param {string} input - e.g. "18", "١٨", "الكهف", "سورة الكهف"
+ * @returns {number|null} Surah number (1-114)
+ */
+export function resolveSurah(input) {
+    return findSurah(input).surah;
+}
+
+/**
+ * Split command arguments into a leading surah (number or name of one or more words)
+ * and the rest: ["آل", "عمران", "الحصري"] → { surah: 3, rest: ["الحصري"] }
+ * The longest run of words naming a surah wins.
+ * @param {string[]} args
+ * @returns {object} { surah: number|null, rest: string[], suggestions: number[] }
+ */
+export function parseSurahArgs(args) {
+    let suggestions = [];
+    for (let count = args.length; count >= 1; count--) {
+        const result = findSurah(args.slice(0, count).join(' '));
+        if (result.surah) return { surah: result.surah, rest: args.slice(count), suggestions: [] };
+        if (suggestions.length === 0) suggestions = result.suggestions;
+    }
+    return { surah: null, rest: args, suggestions };
+}
+
+/**
+ * Parse an ayah reference. Accepted forms:
+ *   "2:255", "2 255", "18:1-10", "١٨:١-١٠", "البقرة 255", "الكهف:1-10"
+ * @param {string} input
+ * @returns {object|null} { surah, from, to } or null if it isn't a reference
+ */
+export function parseAyahReference(input) {
+    const text = toWesternDigits(String(input)).trim();
+    const match = text.match(/^(.+?)\s*[:\s]\s*(\d+)(?:\s*[-–—]\s*(\d+))?$/);
+    if (!match) return null;
+
+    const surah = resolveSurah(match[1]);
+    if (!surah) return null;
+
+    const from = parseInt(match[2], 10);
+    const to = match[3] ? parseInt(match[3], 10) : from;
+
+    return { surah, from, to };
+}
+
+/**
+ * Find the ayah a bot message is about, so commands can be sent as a reply to it.
+ * Recognizes the reference lines the bot writes under verses:
+ *   "📖 سـورة الكهف : الآيـات 1 - 3", "📖 البقرة : 255", "*- سورة البقرة 255*"
+ * @param {string} text - Text of the quoted message
+ * @returns {object|null} { surah, from, to }
+ */
+export function extractAyahReference(text) {
+    const normalized = normalizeArabic(toWesternDigits(text || ''));
+
+    const range = normalized.match(/سوره\s+([^\n:*]+?)\s*:\s*الايات\s+(\d+)\s*-\s*(\d+)/);
+    const single = normalized.match(/📖\s*([^\n:*]+?)\s*:\s*(\d+)/) ||
+        normalized.match(/سوره\s+([^\n:*]+?)\s+(\d+)/);
+
+    const match = range || single;
+    if (!match) return null;
+
+    const surah = resolveSurah(match[1]);
+    if (!surah) return null;
+
+    const from = parseInt(match[2], 10);
+    const to = range ? parseInt(match[3], 10) : from;
+    return { surah, from, to };
+}
+
+export default {
+    findSurah,
+    resolveSurah,
+    parseSurahArgs,
+    parseAyahReference,
+    extractAyahReference
+};
@@ -0,0 +1,139 @@
+/**
+ * Quran Search - Full-text search over the bundled Quran text
+ * Builds an in-memory index of normalized ayahs on first use (no API involved)
+ */
+
+import { getAyahByNumber, AYAH_COUNT } from './quranStore.js';
+import { normalizeArabic } from './arabic.js';
+import logger from './logger.js';
+
+// { entries: [{ number, surah, ayah, text }], words: Map<word, number[]> }
+let index = null;
+
+/**
+ * Build the search index from the simple (diacritic-free) script
+ * @returns {object|null} null when the Quran text isn't loaded
+ */
+function getIndex() {
+    if (index) return index;
+
+    const entries = [];
+    const words = new Map();
+
+    for (let number = 1; number <= AYAH_COUNT; number++) {
+        const aya = getAyahByNumber(number, 'simple');
+        if (!aya) return null;
+
+        const text = normalizeArabic(aya.text);
+        entries.push({ number, surah: aya.surah, ayah: aya.ayah, text });
+
+        for (const word of new Set(text.split(' '))) {
+            if (!words.has(word)) words.set(word, []);
+            words.get(word).push(number);
+        }
+    }
+
+    index = { entries, words };
+    logger.info(`Quran search index built: ${entries.length} ayahs, ${words.size} words`);
+    return index;
+}
+
+/**
+ * Normalize a search query: same rules as the indexed text, punctuation removed
+ * @param {string} query
+ * @returns {string}
+ */
+export function normalizeQuery(query) {
+    return normalizeArabic(query.replace(/[^\p{L}\p{M}\s]/gu, ' '));
+}
+
+/**
+ * Count non-overlapping occurrences of needle in haystack
+ * @param {string} haystack
+ * @param {string} needle
+ * @returns {number}
+ */
+export function countOccurrences(haystack, needle) {
+    let count = 0;
+    let position = haystack.indexOf(needle);
+    while (position !== -1) {
+        count++;
+        position = haystack.indexOf(needle, position + needle.length);
+    }
+    return count;
+}
+
+/**
+ * Count how many times a run of words appears, as complete words, in a text
+ * @param {string} text - Normalized text
+ * @param {string[]} phrase - Normalized words of the phrase
+ * @returns {number}
+ */
+export function countPhrase(text, phrase) {
+    const words = text.split(' ');
+    let count = 0;
+    for (let i = 0; i + phrase.length <= words.length; i++) {
+        if (phrase.every((word, j) => words[i + j] === word)) count++;
+    }
+    return count;
+}
+
+/**
+ * Search the Quran.
+ * Default mode: every query word must appear inside the ayah, also as part of a
+ * longer word (صبر matches والصبر and صبرا).
+ * Exact mode: the whole phrase must appear as complete words, in order.
+ * @param {string} query - Plain keyboard Arabic; diacritics are ignored
+ * @param {object} [options]
+ * @param {boolean} [options.exact=false] - Exact phrase mode
+ * @returns {object|null} { query, exact, hits: [{ number, surah, ayah, count }], occurrences, surahCount }
+ *                        or null if the Quran text isn't loaded
+ */
+export function searchQuran(query, { exact = false } = {}) {
+    const idx = getIndex();
+    if (!idx) return null;
+
+    const normalized = normalizeQuery(query);
+    const terms = normalized.split(' ').filter(Boolean);
+    const result = { query: normalized, exact, hits: [], occurrences: 0, surahCount: 0 };
+    if (terms.length === 0) return result;
+
+    // Narrow down candidates with the word index: ayahs holding a matching word for every term
+    let candidates = null;
+    for (const term of new Set(terms)) {
+        const matches = new Set();
+        for (const [word, numbers] of idx.words) {
+            if (exact ? word === term : word.includes(term)) {
+                numbers.forEach(n => matches.add(n));
+            }
+        }
+        candidates = candidates
+            ? new Set([...candidates].filter(n => matches.has(n)))
+            : matches;
+        if (candidates.size === 0) return result;
+    }
+
+    const surahs = new Set();
+
+    for (const number of [...candidates].sort((a, b) => a - b)) {
+        const entry = idx.entries[number - 1];
+        const count = exact
+            ? countPhrase(entry.text, terms)
+            : terms.reduce((sum, term) => sum + countOccurrences(entry.text, term), 0);
+        if (count === 0) continue;
+
+        result.hits.push({ number, surah: entry.surah, ayah: entry.ayah, count });
+        result.occurrences += count;
+        surahs.add(entry.surah);
+    }
+
+    result.surahCount = surahs.size;
+    return result;
+}
+
+export default {
+    normalizeQuery,
+    countOccurrences,
+    countPhrase,
+    searchQuran
+};
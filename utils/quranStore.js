@@ -0,0 +1,379 @@
+/**
+ * Quran Store - Bundled offline Quran text and surah metadata
+ * Loads data/quran.json once at startup; online APIs are only an optional fallback
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import config from '../config.js';
+import logger from './logger.js';
+import { cached } from './assetCache.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const QURAN_FILE = path.join(__dirname, '..', 'data', 'quran.json');
+const META_FILE = path.join(__dirname, '..', 'data', 'quranMeta.json');
+
+export const SURAH_COUNT = 114;
+export const AYAH_COUNT = 6236;
+
+// Surah entries indexed by surah number - 1
+let surahs = [];
+// Global number of the ayah just before each surah (surah 1 → 0, surah 2 → 7, ...)
+let ayahOffsets = [];
+// Global ayah number where each juz, hizb quarter and mushaf page starts
+let meta = { juz: [], hizbQuarters: [], pages: [] };
+
+/**
+ * Load the bundled dataset into memory
+ */
+function loadQuran() {
+    try {
+        const data = JSON.parse(fs.readFileSync(QURAN_FILE, 'utf-8'));
+        surahs = data.surahs || [];
+
+        let offset = 0;
+        ayahOffsets = surahs.map(s => {
+            const start = offset;
+            offset += s.ayahCount;
+            return start;
+        });
+
+        logger.info(`Quran text loaded: ${surahs.length} surahs, ${offset} ayahs`);
+    } catch (error) {
+        surahs = [];
+        ayahOffsets = [];
+        logger.error(`Failed to load quran.json: ${error.message}`);
+    }
+}
+
+/**
+ * Load the juz / hizb / page index (Madani mushaf)
+ */
+function loadMeta() {
+    try {
+        meta = JSON.parse(fs.readFileSync(META_FILE, 'utf-8'));
+    } catch (error) {
+        logger.error(`Failed to load quranMeta.json: ${error.message}`);
+    }
+}
+
+loadQuran();
+loadMeta();
+
+/**
+ * Resolve the script to read from ('uthmani' or 'simple')
+ * @param {string} [script]
+ * @returns {string}
+ */
+function resolveScript(script) {
+    const wanted = script || config.quran.script;
+    return wanted === 'simple' ? 'simple' : 'uthmani';
+}
+
+/**
+ * Check whether the bundled Quran text is available
+ * @returns {boolean}
+ */
+export function isQuranLoaded() {
+    return surahs.length === SURAH_COUNT;
+}
+
+/**
+ * Get surah metadata (without the ayah texts)
+ * @param {number} number - Surah number (1-114)
+ * @returns {object|null} { number, name, englishName, type, revelationOrder, ayahCount }
+ */
+export function getSurahInfo(number) {
+    const surah = surahs[number - 1];
+    if (!surah) return null;
+    const { uthmani, simple, ...info } = surah;
+    return info;
+}
+
+/**
+ * Get metadata for every surah, in mushaf order
+ * @returns {object[]}
+ */
+export function getAllSurahs() {
+    return surahs.map(s => getSurahInfo(s.number));
+}
+
+/**
+ * Get a full surah from the bundled dataset
+ * @param {number} number - Surah number (1-114)
+ * @param {string} [script] - 'uthmani' or 'simple'
+ * @returns {object|null} Surah metadata plus ayahs: [{ number, text }]
+ */
+export function getSurah(number, script) {
+    const surah = surahs[number - 1];
+    if (!surah) return null;
+    const texts = surah[resolveScript(script)];
+    return {
+        ...getSurahInfo(number),
+        ayahs: texts.map((text, i) => ({ number: i + 1, text }))
+    };
+}
+
+/**
+ * Get a single ayah by surah and ayah number
+ * @param {number} surahNumber - Surah number (1-114)
+ * @param {number} ayahNumber - Ayah number within the surah
+ * @param {string} [script] - 'uthmani' or 'simple'
+ * @returns {object|null} { surah, surahName, ayah, number, text }
+ */
+export function getAyah(surahNumber, ayahNumber, script) {
+    const surah = surahs[surahNumber - 1];
+    if (!surah || ayahNumber < 1 || ayahNumber > surah.ayahCount) return null;
+    return {
+        surah: surah.number,
+        surahName: surah.name,
+        ayah: ayahNumber,
+        number: ayahOffsets[surahNumber - 1] + ayahNumber,
+        text: surah[resolveScript(script)][ayahNumber - 1]
+    };
+}
+
+/**
+ * Get an ayah by its global number (1-6236)
+ * @param {number} number - Global ayah number
+ * @param {string} [script] - 'uthmani' or 'simple'
+ * @returns {object|null}
+ */
+export function getAyahByNumber(number, script) {
+    if (!isQuranLoaded() || number < 1 || number > AYAH_COUNT) return null;
+
+    // Last surah whose offset is below the global number
+    let index = ayahOffsets.length - 1;
+    while (ayahOffsets[index] >= number) index--;
+
+    return getAyah(index + 1, number - ayahOffsets[index], script);
+}
+
+/**
+ * Pick a random ayah from the bundled dataset
+ * @param {string} [script] - 'uthmani' or 'simple'
+ * @returns {object|null}
+ */
+export function getRandomAyah(script) {
+    return getAyahByNumber(Math.floor(Math.random() * AYAH_COUNT) + 1, script);
+}
+
+/**
+ * Find which unit a global ayah number falls in
+ * @param {number[]} starts - Start ayah of every unit, ascending
+ * @param {number} number - Global ayah number
+ * @returns {number} 1-based unit number
+ */
+function findUnit(starts, number) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (starts[mid] <= number) low = mid;
+        else high = mid - 1;
+    }
+    return low + 1;
+}
+
+/**
+ * Get where an ayah sits in the Madani mushaf
+ * @param {number} number - Global ayah number (1-6236)
+ * @returns {object|null} { page, juz, hizb, quarter } (quarter = rub' 1-4 inside the hizb)
+ */
+export function getAyahLocation(number) {
+    if (!meta.pages.length || number < 1 || number > AYAH_COUNT) return null;
+    const hizbQuarter = findUnit(meta.hizbQuarters, number);
+    return {
+        page: findUnit(meta.pages, number),
+        juz: findUnit(meta.juz, number),
+        hizb: Math.ceil(hizbQuarter / 4),
+        quarter: ((hizbQuarter - 1) % 4) + 1
+    };
+}
+
+/**
+ * First and last ayah of a unit
+ * @param {number[]} starts - Start ayah of every unit, ascending
+ * @param {number} n - 1-based unit number
+ * @returns {object|null} { first, last } global ayah numbers
+ */
+function unitRange(starts, n) {
+    if (!starts.length || !Number.isInteger(n) || n < 1 || n > starts.length) return null;
+    return {
+        first: starts[n - 1],
+        last: n < starts.length ? starts[n] - 1 : AYAH_COUNT
+    };
+}
+
+/**
+ * Get the ayahs printed on a page of the Madani mushaf
+ * @param {number} page - Page number (1-604)
+ * @returns {object|null} { first, last } global ayah numbers
+ */
+export function getPageRange(page) {
+    return unitRange(meta.pages, page);
+}
+
+/**
+ * List the surahs and ayah ranges printed on a page
+ * @param {number} page - Page number (1-604)
+ * @returns {object[]|null} [{ surah, surahName, from, to }] in mushaf order
+ */
+export function getPageContents(page) {
+    const range = getPageRange(page);
+    if (!range) return null;
+
+    const contents = [];
+    for (let number = range.first; number <= range.last; number++) {
+        const aya = getAyahByNumber(number);
+        if (!aya) return null;
+
+        const current = contents[contents.length - 1];
+        if (current && current.surah === aya.surah) {
+            current.to = aya.ayah;
+        } else {
+            contents.push({ surah: aya.surah, surahName: aya.surahName, from: aya.ayah, to: aya.ayah });
+        }
+    }
+    return contents;
+}
+
+/**
+ * Get the ayahs of a juz
+ * @param {number} juz - Juz number (1-30)
+ * @returns {object|null} { first, last } global ayah numbers
+ */
+export function getJuzRange(juz) {
+    return unitRange(meta.juz, juz);
+}
+
+/**
+ * Get the ayahs of a hizb, or of one of its quarters (rub')
+ * @param {number} hizb - Hizb number (1-60)
+ * @param {number} [quarter] - Quarter within the hizb (1-4); the whole hizb when omitted
+ * @returns {object|null} { first, last } global ayah numbers
+ */
+export function getHizbRange(hizb, quarter) {
+    if (!Number.isInteger(hizb) || hizb < 1 || hizb > meta.hizbQuarters.length / 4) return null;
+    if (quarter) {
+        if (!Number.isInteger(quarter) || quarter < 1 || quarter > 4) return null;
+        return unitRange(meta.hizbQuarters, (hizb - 1) * 4 + quarter);
+    }
+    const first = unitRange(meta.hizbQuarters, (hizb - 1) * 4 + 1);
+    const last = unitRange(meta.hizbQuarters, hizb * 4);
+    return first && last ? { first: first.first, last: last.last } : null;
+}
+
+// ==================== REMOTE FALLBACK ====================
+
+/**
+ * Fetch an ayah from api.alquran.cloud
+ * @param {number|string} reference - Global number or "surah:ayah"
+ * @returns {Promise<object>} Same shape as getAyah()
+ */
+async function fetchRemoteAyah(reference) {
+    if (!config.quran.remoteFallback) {
+        throw new Error('Quran data not loaded and remote fallback is disabled');
+    }
+
+    // Responses are kept in the asset cache so each ayah is only downloaded once
+    const buffer = await cached(`ayah:${reference}`, async () => {
+        logger.warn(`Ayah ${reference} not available locally, using remote API`);
+        const response = await axios.get(`http://api.alquran.cloud/v1/ayah/${reference}`);
+        const data = response.data;
+
+        if (!data.status || data.code !== 200) {
+            throw new Error('Invalid API response');
+        }
+
+        return Buffer.from(JSON.stringify({
+            surah: data.data.surah.number,
+            surahName: data.data.surah.name.replace(/^سُورَةُ\s*/, ''),
+            ayah: data.data.numberInSurah,
+            number: data.data.number,
+            text: data.data.text
+        }));
+    });
+
+    return JSON.parse(buffer.toString('utf-8'));
+}
+
+/**
+ * Fetch a surah, from the bundled dataset when available,
+ * otherwise from quran-api.santrikoding.com if the fallback is enabled
+ * @param {number} number - Surah number (1-114)
+ * @param {string} [script] - 'uthmani' or 'simple'
+ * @returns {Promise<object>} Same shape as getSurah()
+ */
+export async function fetchSurah(number, script) {
+    const local = getSurah(number, script);
+    if (local) return local;
+
+    if (!config.quran.remoteFallback) {
+        throw new Error('Quran data not loaded and remote fallback is disabled');
+    }
+
+    const buffer = await cached(`surah:${number}`, async () => {
+        logger.warn(`Surah ${number} not available locally, using remote API`);
+        const response = await axios.get(`https://quran-api.santrikoding.com/api/surah/${number}`);
+        const data = response.data;
+
+        if (!data || !data.ayat) {
+            throw new Error('Invalid API response');
+        }
+
+        return Buffer.from(JSON.stringify({
+            number,
+            name: data.nama,
+            englishName: data.nama_latin,
+            type: data.tempat_turun === 'madinah' ? 'medinan' : 'meccan',
+            ayahCount: data.jumlah_ayat,
+            ayahs: data.ayat.map(a => ({ number: a.nomor, text: a.ar }))
+        }));
+    });
+
+    return JSON.parse(buffer.toString('utf-8'));
+}
+
+/**
+ * Fetch an ayah by its global number, from the bundled dataset when available,
+ * otherwise from api.alquran.cloud if the fallback is enabled
+ * @param {number} number - Global ayah number (1-6236)
+ * @param {string} [script] - 'uthmani' or 'simple'
+ * @returns {Promise<object>} Same shape as getAyah()
+ */
+export async function fetchAyahByNumber(number, script) {
+    return getAyahByNumber(number, script) || fetchRemoteAyah(number);
+}
+
+/**
+ * Fetch an ayah by surah and ayah number, from the bundled dataset when available,
+ * otherwise from api.alquran.cloud if the fallback is enabled
+ * @param {number} surahNumber - Surah number (1-114)
+ * @param {number} ayahNumber - Ayah number within the surah
+ * @param {string} [script] - 'uthmani' or 'simple'
+ * @returns {Promise<object>} Same shape as getAyah()
+ */
+export async function fetchAyah(surahNumber, ayahNumber, script) {
+    return getAyah(surahNumber, ayahNumber, script) || fetchRemoteAyah(`${surahNumber}:${ayahNumber}`);
+}
+
+export default {
+    isQuranLoaded,
+    getSurahInfo,
+    getAllSurahs,
+    getSurah,
+    getAyah,
+    getAyahByNumber,
+    getRandomAyah,
+    getAyahLocation,
+    getPageRange,
+    getPageContents,
+    getJuzRange,
+    getHizbRange,
+    fetchSurah,
+    fetchAyahByNumber,
+    fetchAyah
+};
@@ -0,0 +1,88 @@
+/**
+ * Reading State Store - Remembers where each chat stopped reading a long surah or juz / hizb
+ * Stores positions in a JSON file so /التالي keeps working across restarts
+ *
+ * Map<chatJid, { surah, part, totalParts }>
+ *   or, for an ayah range: Map<chatJid, { range: { first, last, title }, part, totalParts }>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STATE_FILE = path.join(__dirname, '..', 'data', 'readingState.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(STATE_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all reading positions from file
+ * @returns {Map<string, object>}
+ */
+function loadReadingState() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(STATE_FILE)) {
+            const data = JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'));
+            return new Map(Object.entries(data.chats || {}));
+        }
+    } catch (error) {
+        console.error('Error loading reading state:', error.message);
+    }
+    return new Map();
+}
+
+const readingState = loadReadingState();
+
+/**
+ * Save reading positions to file
+ */
+function saveReadingState() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: readingState.size,
+            chats: Object.fromEntries(readingState)
+        };
+        fs.writeFileSync(STATE_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving reading state:', error.message);
+    }
+}
+
+/**
+ * Get the reading position of a chat
+ * @param {string} chatJid
+ * @returns {object|undefined} { surah | range, part, totalParts }
+ */
+export function getReading(chatJid) {
+    return readingState.get(chatJid);
+}
+
+/**
+ * Record the last part a chat has received
+ * @param {string} chatJid
+ * @param {object} position - { surah | range, part, totalParts }
+ */
+export function setReading(chatJid, position) {
+    readingState.set(chatJid, { ...position, updatedAt: new Date().toISOString() });
+    saveReadingState();
+}
+
+/**
+ * Forget a chat's reading position (surah or range finished)
+ * @param {string} chatJid
+ * @returns {boolean} True if a position was removed
+ */
+export function clearReading(chatJid) {
+    if (!readingState.delete(chatJid)) return false;
+    saveReadingState();
+    return true;
+}
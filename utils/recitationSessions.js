@@ -0,0 +1,9 @@
+/**
+ * Shared recitation test session store (/تسميع)
+ * Kept in its own file like quizSessions.js
+ *
+ * Map<chatJid, { userJid, surah, from, to, ayah, hints, timer, results: [{ ayah, score, hints, gaveUp }] }>
+ * `ayah` is the verse the user is asked to type next; one test runs per chat and only
+ * the member who started it answers.
+ */
+export const recitationSessions = new Map();
@@ -0,0 +1,98 @@
+/**
+ * Reciters Registry - Quran reciters available for /تلاوة
+ * `edition` is the reciter's audio edition id on cdn.islamic.network,
+ * `ayahBitrate` the bitrate its per-ayah recordings are published in
+ */
+
+import config from '../config.js';
+import { compactName } from './arabic.js';
+import { getPref } from './userPrefs.js';
+
+export const RECITERS = [
+    { id: 'alafasy', edition: 'ar.alafasy', ayahBitrate: 128, name: 'مشاري راشد العفاسي', aliases: ['العفاسي', 'مشاري'] },
+    { id: 'abdulbasit', edition: 'ar.abdulbasitmurattal', ayahBitrate: 192, name: 'عبد الباسط عبد الصمد (مرتل)', aliases: ['عبد الباسط', 'عبدالباسط'] },
+    { id: 'husary', edition: 'ar.husary', ayahBitrate: 128, name: 'محمود خليل الحصري (مرتل)', aliases: ['الحصري'] },
+    { id: 'husary-mujawwad', edition: 'ar.husarymujawwad', ayahBitrate: 128, name: 'محمود خليل الحصري (مجود)', aliases: ['الحصري مجود'] },
+    { id: 'minshawi', edition: 'ar.minshawi', ayahBitrate: 128, name: 'محمد صديق المنشاوي (مرتل)', aliases: ['المنشاوي'] },
+    { id: 'minshawi-mujawwad', edition: 'ar.minshawimujawwad', ayahBitrate: 64, name: 'محمد صديق المنشاوي (مجود)', aliases: ['المنشاوي مجود'] },
+    { id: 'sudais', edition: 'ar.abdurrahmaansudais', ayahBitrate: 192, name: 'عبد الرحمن السديس', aliases: ['السديس'] },
+    { id: 'shuraym', edition: 'ar.saoodshuraym', ayahBitrate: 64, name: 'سعود الشريم', aliases: ['الشريم'] },
+    { id: 'maher', edition: 'ar.mahermuaiqly', ayahBitrate: 128, name: 'ماهر المعيقلي', aliases: ['المعيقلي', 'ماهر'] },
+    { id: 'ajamy', edition: 'ar.ahmedajamy', ayahBitrate: 128, name: 'أحمد بن علي العجمي', aliases: ['العجمي'] },
+    { id: 'hudhaify', edition: 'ar.hudhaify', ayahBitrate: 128, name: 'علي الحذيفي', aliases: ['الحذيفي'] },
+    { id: 'ayyoub', edition: 'ar.muhammadayyoub', ayahBitrate: 128, name: 'محمد أيوب', aliases: ['أيوب'] },
+    { id: 'jibreel', edition: 'ar.muhammadjibreel', ayahBitrate: 128, name: 'محمد جبريل', aliases: ['جبريل'] },
+    { id: 'basfar', edition: 'ar.abdullahbasfar', ayahBitrate: 192, name: 'عبد الله بصفر', aliases: ['بصفر'] },
+    { id: 'shaatree', edition: 'ar.shaatree', ayahBitrate: 128, name: 'أبو بكر الشاطري', aliases: ['الشاطري'] },
+    { id: 'rifai', edition: 'ar.hanirifai', ayahBitrate: 192, name: 'هاني الرفاعي', aliases: ['الرفاعي'] },
+];
+
+/**
+ * Get a reciter by id
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getReciter(id) {
+    return RECITERS.find(r => r.id === id);
+}
+
+/**
+ * Find a reciter by list number, id, full name or alias ("3", "الحصري", "husary")
+ * @param {string} input
+ * @returns {object|null}
+ */
+export function findReciter(input) {
+    const text = String(input || '').trim();
+    if (!text) return null;
+
+    if (/^\d+$/.test(text)) {
+        return RECITERS[parseInt(text, 10) - 1] || null;
+    }
+
+    const wanted = compactName(text);
+    return RECITERS.find(r =>
+        [r.id, r.name, ...r.aliases].some(name => compactName(name) === wanted)
+    ) || null;
+}
+
+/**
+ * Resolve the reciter to use: the user's choice, then the chat's, then the configured default
+ * @param {string} userJid - Sender's JID
+ * @param {string} chatJid - Chat JID
+ * @returns {object}
+ */
+export function getPreferredReciter(userJid, chatJid) {
+    return getReciter(getPref(userJid, 'reciter')) ||
+        getReciter(getPref(chatJid, 'reciter')) ||
+        getReciter(config.recitation.defaultReciter) ||
+        RECITERS[0];
+}
+
+/**
+ * URL of a full-surah recitation
+ * @param {object} reciter - Entry of RECITERS
+ * @param {number} surah - Surah number
+ * @returns {string}
+ */
+export function getSurahAudioUrl(reciter, surah) {
+    return `https://cdn.islamic.network/quran/audio-surah/128/${reciter.edition}/${surah}.mp3`;
+}
+
+/**
+ * URL of a single-ayah recitation
+ * @param {object} reciter - Entry of RECITERS
+ * @param {number} number - Global ayah number (1-6236)
+ * @returns {string}
+ */
+export function getAyahAudioUrl(reciter, number) {
+    return `https://cdn.islamic.network/quran/audio/${reciter.ayahBitrate}/${reciter.edition}/${number}.mp3`;
+}
+
+export default {
+    RECITERS,
+    getReciter,
+    findReciter,
+    getPreferredReciter,
+    getSurahAudioUrl,
+    getAyahAudioUrl
+};
@@ -0,0 +1,80 @@
+/**
+ * Scheduler - Periodic background tasks that need the socket (reminders, daily posts...)
+ * Tasks are registered once at import time; the socket is handed over on every
+ * (re)connection, so timers survive reconnects without being started twice.
+ */
+
+import logger from './logger.js';
+
+// Map<name, { intervalMs, run, timer, running }>
+const tasks = new Map();
+
+// Socket of the current connection, null while disconnected
+let currentSock = null;
+
+/**
+ * Run a task once, skipping it while disconnected or still busy from the last tick
+ * @param {string} name
+ * @param {object} task
+ */
+async function runTask(name, task) {
+    if (!currentSock || task.running) return;
+    task.running = true;
+    try {
+        await task.run(currentSock);
+    } catch (error) {
+        logger.error(`Scheduled task "${name}" failed: ${error.message}`);
+    } finally {
+        task.running = false;
+    }
+}
+
+/**
+ * Start the timer of a task if it isn't running yet
+ * @param {string} name
+ * @param {object} task
+ */
+function startTimer(name, task) {
+    if (task.timer) return;
+    task.timer = setInterval(() => runTask(name, task), task.intervalMs);
+}
+
+/**
+ * Register a periodic task
+ * @param {string} name - Unique task name (used in logs)
+ * @param {number} intervalMs - Time between runs
+ * @param {function} run - async (sock) => void
+ */
+export function registerTask(name, intervalMs, run) {
+    const task = { intervalMs, run, timer: null, running: false };
+    tasks.set(name, task);
+    if (currentSock) startTimer(name, task);
+}
+
+/**
+ * Hand the connected socket to the scheduler and start all timers (once)
+ * Call this whenever the connection opens.
+ * @param {object} sock - Connected socket
+ */
+export function startScheduler(sock) {
+    currentSock = sock;
+    for (const [name, task] of tasks) {
+        startTimer(name, task);
+        // Catch up right away after a (re)connect instead of waiting a full interval
+        runTask(name, task);
+    }
+    logger.info(`Scheduler running ${tasks.size} task(s)`);
+}
+
+/**
+ * Pause tasks while the connection is down
+ */
+export function pauseScheduler() {
+    currentSock = null;
+}
+
+export default {
+    registerTask,
+    startScheduler,
+    pauseScheduler
+};
@@ -0,0 +1,145 @@
+/**
+ * Tafsir Providers - Pluggable sources of Quran commentary
+ * Each source in config.tafsir.sources names a provider type:
+ *   'file' → dataset added at data/tafsir/<file> ({ "ayahs": { "2:255": "..." } })
+ *   'http' → an HTTP service (quran-tafseer.com by default); {surah} and {ayah} in the URL are replaced,
+ *            and the response is either plain text or JSON with a "text" field
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import config from '../config.js';
+import logger from './logger.js';
+import { normalizeArabic, compactName } from './arabic.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TAFSIR_DIR = path.join(__dirname, '..', 'data', 'tafsir');
+
+// Provider factories by type: (source) => { isAvailable(), getTafsir(surah, ayah) }
+const providers = new Map();
+
+// Provider instances by source id, created on first use
+const instances = new Map();
+
+/**
+ * Register a tafsir provider type
+ * @param {string} type - Name used in config.tafsir.sources[].provider
+ * @param {function} factory - (source) => { isAvailable(): boolean, getTafsir(surah, ayah): Promise<string|null> }
+ */
+export function registerTafsirProvider(type, factory) {
+    providers.set(type, factory);
+}
+
+// Local JSON dataset, loaded into memory on first use
+registerTafsirProvider('file', (source) => {
+    const filePath = path.join(TAFSIR_DIR, source.file);
+    let ayahs = null;
+
+    function load() {
+        if (ayahs) return ayahs;
+        try {
+            ayahs = JSON.parse(fs.readFileSync(filePath, 'utf-8')).ayahs || {};
+            logger.info(`Tafsir loaded: ${source.id} (${Object.keys(ayahs).length} ayahs)`);
+        } catch (error) {
+            logger.error(`Failed to load tafsir ${source.file}: ${error.message}`);
+            ayahs = {};
+        }
+        return ayahs;
+    }
+
+    return {
+        isAvailable: () => fs.existsSync(filePath),
+        async getTafsir(surah, ayah) {
+            return load()[`${surah}:${ayah}`] || null;
+        }
+    };
+});
+
+// HTTP service (the public quran-tafseer.com API, or a local stand-in serving the same data)
+registerTafsirProvider('http', (source) => ({
+    isAvailable: () => Boolean(source.url),
+    async getTafsir(surah, ayah) {
+        const url = source.url.replace('{surah}', surah).replace('{ayah}', ayah);
+        const response = await axios.get(url, { timeout: 15000 });
+        const data = response.data;
+        return (typeof data === 'string' ? data : data?.text) || null;
+    }
+}));
+
+/**
+ * Get the provider instance of a configured source
+ * @param {object} source - Entry of config.tafsir.sources
+ * @returns {object|null}
+ */
+function getProvider(source) {
+    if (!instances.has(source.id)) {
+        const factory = providers.get(source.provider);
+        if (!factory) {
+            logger.warn(`Unknown tafsir provider "${source.provider}" for ${source.id}`);
+            return null;
+        }
+        instances.set(source.id, factory(source));
+    }
+    return instances.get(source.id);
+}
+
+/**
+ * List configured tafsir sources
+ * @returns {object[]} [{ id, name, available }]
+ */
+export function getTafsirSources() {
+    return config.tafsir.sources.map(source => ({
+        id: source.id,
+        name: source.name,
+        available: Boolean(getProvider(source)?.isAvailable())
+    }));
+}
+
+/**
+ * Reduce a source name to a comparable key ("التفسير الميسر" → "ميسر", "ابن كثير" → "ابنكثير")
+ * @param {string} name
+ * @returns {string}
+ */
+function sourceKey(name) {
+    const words = normalizeArabic(name).split(' ').filter(word => word !== 'تفسير' && word !== 'التفسير');
+    return compactName(words.join(' '));
+}
+
+/**
+ * Find a source by id, Arabic name or alias ("السعدي", "ابن كثير", "ميسر")
+ * @param {string} input
+ * @returns {object|null} The source config entry
+ */
+export function findTafsirSource(input) {
+    const wanted = sourceKey(input);
+    if (!wanted) return null;
+
+    return config.tafsir.sources.find(source =>
+        [source.id, source.name, ...(source.aliases || [])].some(name => sourceKey(name) === wanted)
+    ) || null;
+}
+
+/**
+ * Get the tafsir of one ayah from a source
+ * @param {string} sourceId - Source id from config.tafsir.sources
+ * @param {number} surah - Surah number
+ * @param {number} ayah - Ayah number
+ * @returns {Promise<string|null>} null if the source has no text for this ayah
+ */
+export async function getTafsir(sourceId, surah, ayah) {
+    const source = config.tafsir.sources.find(s => s.id === sourceId);
+    const provider = source && getProvider(source);
+    if (!provider || !provider.isAvailable()) {
+        throw new Error(`Tafsir source "${sourceId}" is not available`);
+    }
+    return provider.getTafsir(surah, ayah);
+}
+
+export default {
+    registerTafsirProvider,
+    getTafsirSources,
+    findTafsirSource,
+    getTafsir
+};
@@ -0,0 +1,63 @@
+/**
+ * Tasbih - The adhkar users can count with /تسبيح and the short messages that count them
+ */
+
+import { normalizeArabic, toWesternDigits } from './arabic.js';
+
+/**
+ * Countable adhkar: { id, text, aliases }
+ * Aliases are matched after normalizeArabic, so spelling variants don't need listing.
+ */
+export const TASBIH_DHIKR = [
+    { id: 'subhanallah', text: 'سبحان الله', aliases: ['تسبيح', 'سبحان'] },
+    { id: 'alhamdulillah', text: 'الحمد لله', aliases: ['حمد', 'تحميد', 'الحمدلله'] },
+    { id: 'allahuakbar', text: 'الله أكبر', aliases: ['تكبير', 'الله اكبر'] },
+    { id: 'tahlil', text: 'لا إله إلا الله', aliases: ['تهليل', 'لا اله الا الله'] },
+    { id: 'istighfar', text: 'أستغفر الله', aliases: ['استغفار', 'استغفر الله', 'استغفرالله'] },
+    { id: 'salawat', text: 'اللهم صل على محمد', aliases: ['صلاة على النبي', 'الصلاة على النبي', 'صلاة', 'الصلاة'] },
+    { id: 'hawqala', text: 'لا حول ولا قوة إلا بالله', aliases: ['حوقلة', 'لا حول ولا قوة الا بالله'] },
+    { id: 'subhanallahwabihamdihi', text: 'سبحان الله وبحمده', aliases: ['سبحان الله وبحمده'] },
+    { id: 'hasbiyallah', text: 'حسبي الله ونعم الوكيل', aliases: ['حسبنة', 'حسبي الله'] }
+];
+
+/**
+ * Get a dhikr by id
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getDhikr(id) {
+    return TASBIH_DHIKR.find(dhikr => dhikr.id === id);
+}
+
+/**
+ * Find a dhikr by its text or an alias ("استغفار", "أستغفر الله", "سبحان الله")
+ * @param {string} input
+ * @returns {object|null}
+ */
+export function findDhikr(input) {
+    const wanted = normalizeArabic(input);
+    return TASBIH_DHIKR.find(dhikr =>
+        [dhikr.id, dhikr.text, ...dhikr.aliases].some(name => normalizeArabic(name) === wanted)
+    ) || null;
+}
+
+/**
+ * Read a counting message: "+" or "📿" counts one, "+33" / "٣٣+" count several
+ * @param {string} text
+ * @returns {number|null} The count, or null when the message isn't a counting token
+ */
+export function parseCountToken(text) {
+    const token = toWesternDigits(text.trim());
+    if (token === '+' || token === '📿') return 1;
+    const match = token.match(/^\+\s*(\d{1,5})$|^(\d{1,5})\s*\+$/);
+    if (!match) return null;
+    const count = parseInt(match[1] || match[2], 10);
+    return count > 0 ? count : null;
+}
+
+export default {
+    TASBIH_DHIKR,
+    getDhikr,
+    findDhikr,
+    parseCountToken
+};
@@ -0,0 +1,265 @@
+/**
+ * Tasbih Store - Per-user dhikr counts and goals, and group collective counters
+ * Stores counts in a JSON file so they survive restarts
+ *
+ * users: Map<userJid, {
+ *   name, current, session, totals: { [dhikrId]: n }, goals: { [dhikrId]: n },
+ *   today: { date, counts: { [dhikrId]: n }, goalsMet: [dhikrId] }, history: { [date]: n }
+ * }>
+ * groups: Map<groupJid, {
+ *   dhikr, target, total, startedBy, startedAt, members: { [userJid]: { name, count } }
+ * }>
+ * `current` is the dhikr the user is counting and `session` its count since it was picked;
+ * dates are local 'YYYY-M-D' keys and `history` keeps daily totals for the last HISTORY_DAYS days.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TASBIH_FILE = path.join(__dirname, '..', 'data', 'tasbih.json');
+
+const HISTORY_DAYS = 30;
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(TASBIH_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load users and group counters from file
+ * @returns {object} { users: Map, groups: Map }
+ */
+function loadTasbih() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(TASBIH_FILE)) {
+            const data = JSON.parse(fs.readFileSync(TASBIH_FILE, 'utf-8'));
+            return {
+                users: new Map(Object.entries(data.users || {})),
+                groups: new Map(Object.entries(data.groups || {}))
+            };
+        }
+    } catch (error) {
+        console.error('Error loading tasbih counts:', error.message);
+    }
+    return { users: new Map(), groups: new Map() };
+}
+
+const { users, groups } = loadTasbih();
+
+/**
+ * Save users and group counters to file
+ */
+function saveTasbih() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: users.size,
+            users: Object.fromEntries(users),
+            groups: Object.fromEntries(groups)
+        };
+        fs.writeFileSync(TASBIH_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving tasbih counts:', error.message);
+    }
+}
+
+/**
+ * Get a user's counts, creating an empty record on first use
+ * @param {string} userJid
+ * @param {string} [name] - Display name, refreshed when given
+ * @returns {object}
+ */
+function ensureUser(userJid, name) {
+    let user = users.get(userJid);
+    if (!user) {
+        user = { name: name || null, current: null, session: 0, totals: {}, goals: {}, today: { date: null, counts: {}, goalsMet: [] }, history: {} };
+        users.set(userJid, user);
+    }
+    if (name) user.name = name;
+    return user;
+}
+
+/**
+ * Start a new day's counts when the local date changed
+ * @param {object} user
+ * @param {string} dateKey - Local date, 'YYYY-M-D'
+ */
+function rollDay(user, dateKey) {
+    if (user.today.date === dateKey) return;
+    user.today = { date: dateKey, counts: {}, goalsMet: [] };
+
+    // Keep the most recent days only (keys sort as dates once zero-padded)
+    const pad = key => key.split('-').map(n => n.padStart(2, '0')).join('-');
+    const days = Object.keys(user.history).sort((a, b) => pad(b).localeCompare(pad(a)));
+    for (const day of days.slice(HISTORY_DAYS)) delete user.history[day];
+}
+
+/**
+ * Get a user's counts
+ * @param {string} userJid
+ * @param {string} [dateKey] - When given, today's counts are reset if they belong to an earlier day
+ * @returns {object|undefined}
+ */
+export function getTasbihUser(userJid, dateKey) {
+    const user = users.get(userJid);
+    if (user && dateKey) rollDay(user, dateKey);
+    return user;
+}
+
+/**
+ * Pick the dhikr a user counts next; restarts the session counter
+ * @param {string} userJid
+ * @param {string} dhikrId
+ * @param {string} name - Display name
+ * @returns {object} The user
+ */
+export function selectDhikr(userJid, dhikrId, name) {
+    const user = ensureUser(userJid, name);
+    user.current = dhikrId;
+    user.session = 0;
+    saveTasbih();
+    return user;
+}
+
+/**
+ * Restart the session counter of the current dhikr (totals are kept)
+ * @param {string} userJid
+ */
+export function resetSession(userJid) {
+    const user = users.get(userJid);
+    if (!user) return;
+    user.session = 0;
+    saveTasbih();
+}
+
+/**
+ * Set or clear a user's daily goal for a dhikr
+ * @param {string} userJid
+ * @param {string} dhikrId
+ * @param {number|null} goal - null removes the goal
+ * @param {string} name - Display name
+ */
+export function setDhikrGoal(userJid, dhikrId, goal, name) {
+    const user = ensureUser(userJid, name);
+    if (goal) user.goals[dhikrId] = goal;
+    else delete user.goals[dhikrId];
+    saveTasbih();
+}
+
+/**
+ * Add to a user's count of a dhikr
+ * @param {string} userJid
+ * @param {string} dhikrId
+ * @param {number} amount
+ * @param {string} dateKey - Local date, 'YYYY-M-D'
+ * @param {string} name - Display name
+ * @returns {object} { session, today, total, goal, goalReached } goalReached is true only
+ *   for the count that first meets today's goal
+ */
+export function addUserCount(userJid, dhikrId, amount, dateKey, name) {
+    const user = ensureUser(userJid, name);
+    rollDay(user, dateKey);
+
+    if (user.current === dhikrId) user.session += amount;
+    user.totals[dhikrId] = (user.totals[dhikrId] || 0) + amount;
+    user.today.counts[dhikrId] = (user.today.counts[dhikrId] || 0) + amount;
+    user.history[dateKey] = (user.history[dateKey] || 0) + amount;
+
+    const goal = user.goals[dhikrId] || null;
+    const goalReached = Boolean(goal) && user.today.counts[dhikrId] >= goal && !user.today.goalsMet.includes(dhikrId);
+    if (goalReached) user.today.goalsMet.push(dhikrId);
+
+    saveTasbih();
+    return { session: user.session, today: user.today.counts[dhikrId], total: user.totals[dhikrId], goal, goalReached };
+}
+
+/**
+ * Get a group's collective counter
+ * @param {string} groupJid
+ * @returns {object|undefined}
+ */
+export function getGroupCounter(groupJid) {
+    return groups.get(groupJid);
+}
+
+/**
+ * Start a collective counter in a group, replacing the previous one
+ * @param {string} groupJid
+ * @param {string} dhikrId
+ * @param {number|null} target - Group total to reach, if any
+ * @param {string} startedBy - JID of the member who started it
+ * @returns {object} The new counter
+ */
+export function startGroupCounter(groupJid, dhikrId, target, startedBy) {
+    const counter = {
+        dhikr: dhikrId,
+        target,
+        total: 0,
+        startedBy,
+        startedAt: new Date().toISOString(),
+        members: {}
+    };
+    groups.set(groupJid, counter);
+    saveTasbih();
+    return counter;
+}
+
+/**
+ * Add a member to a group's collective counter
+ * @param {object} counter
+ * @param {string} userJid
+ * @param {string} name - Display name
+ * @returns {boolean} False if the member had already joined
+ */
+export function joinGroupCounter(counter, userJid, name) {
+    if (counter.members[userJid]) return false;
+    counter.members[userJid] = { name, count: 0 };
+    saveTasbih();
+    return true;
+}
+
+/**
+ * Add a member's counting to a group's collective counter
+ * @param {object} counter
+ * @param {string} userJid - A member who joined
+ * @param {number} amount
+ * @returns {boolean} True if this count reached the target
+ */
+export function addGroupCount(counter, userJid, amount) {
+    const before = counter.total;
+    counter.total += amount;
+    counter.members[userJid].count += amount;
+    saveTasbih();
+    return Boolean(counter.target) && before < counter.target && counter.total >= counter.target;
+}
+
+/**
+ * End a group's collective counter
+ * @param {string} groupJid
+ * @returns {boolean} True if there was one
+ */
+export function endGroupCounter(groupJid) {
+    if (!groups.delete(groupJid)) return false;
+    saveTasbih();
+    return true;
+}
+
+export default {
+    getTasbihUser,
+    selectDhikr,
+    resetSession,
+    setDhikrGoal,
+    addUserCount,
+    getGroupCounter,
+    startGroupCounter,
+    joinGroupCounter,
+    addGroupCount,
+    endGroupCounter
+};
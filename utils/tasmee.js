@@ -0,0 +1,128 @@
+/**
+ * Tasmee - Checks a verse typed from memory against the bundled Quran text (/تسميع)
+ * Both texts are compared word by word after removing diacritics and hamza seats;
+ * a word may also be spelled the way the Uthmani script writes it, so "الرحمان",
+ * "الصلوة" or "أأنذرتهم" still count.
+ */
+
+import { normalizeArabic } from './arabic.js';
+
+/**
+ * Split a text into words, without punctuation and stray Quranic marks
+ * @param {string} text
+ * @returns {string[]} The words as written
+ */
+function splitWords(text) {
+    return String(text).replace(/[^\p{L}\p{M}\s]/gu, ' ').split(/\s+/).filter(word => normalizeArabic(word));
+}
+
+/**
+ * Key that only ignores a hamza written on the line at the start of a word,
+ * where the usual script seats it on an alef ("ءأنذرتهم" / "أأنذرتهم")
+ * @param {string} word - Normalized word
+ * @returns {string}
+ */
+function spellingKey(word) {
+    return word.replace(/^ء/, 'ا');
+}
+
+/**
+ * Spellings a word of the Uthmani script is accepted in: as written ("الصلوة", "الربوا")
+ * and with the alef its small marks stand for ("الصلاة", "الربا", "الرحمان", "هاذا")
+ * @param {string} word - Uthmani word, with its marks
+ * @returns {string[]} Keys of the accepted spellings
+ */
+function uthmaniSpellings(word) {
+    const spelled = word
+        .replace(/وٰا?/g, 'ا')               // Waw carrying a dagger alef: ٱلصَّلَوٰةَ, ٱلرِّبَوٰاْ
+        .replace(/ىٰ(?=\p{M}*$)/u, 'ى')      // Final alef maqsura: عَلَىٰ
+        .replace(/[ىـ]?ٰ/g, 'ا');            // Dagger alef: ٱلرَّحۡمَٰنِ, هَٰذَا, ٱلتَّوۡرَىٰةَ
+    return [normalizeArabic(word), normalizeArabic(spelled)].map(spellingKey);
+}
+
+/**
+ * Whether a word of the answer is the expected word
+ * @param {string[]} expected - Accepted keys of the expected word
+ * @param {string} actual - Key of the answer word
+ * @returns {boolean}
+ */
+function sameWord(expected, actual) {
+    return expected.includes(actual);
+}
+
+/**
+ * Compare a recited verse with the real text, word by word.
+ * Aligns both with the fewest edits: each expected word is matched, replaced
+ * by a wrong word or missing, and answer words left over are extra.
+ * @param {string} expectedText - The verse
+ * @param {string} answerText - What the user typed
+ * @param {string} [uthmaniText] - The verse in the Uthmani script, whose spellings count too
+ * @returns {object} { ops: [{ type: 'ok'|'wrong'|'missing'|'extra', expected?, actual? }],
+ *   score (0-100), total, correct, wrong, missing, extra }
+ *   `expected` is the verse's own spelling, `actual` the user's
+ */
+export function compareRecitation(expectedText, answerText, uthmaniText) {
+    const expectedShown = splitWords(expectedText);
+    const actualShown = splitWords(answerText);
+    const uthmani = uthmaniText ? splitWords(uthmaniText) : [];
+    const expected = expectedShown.map((word, i) => [
+        spellingKey(normalizeArabic(word)),
+        // The scripts only line up word for word when they have the same number of words
+        ...(uthmani.length === expectedShown.length ? uthmaniSpellings(uthmani[i]) : [])
+    ]);
+    const actual = actualShown.map(word => spellingKey(normalizeArabic(word)));
+
+    // Edit distance table: cost[i][j] aligns the first i expected words with the first j answer words
+    const rows = expected.length + 1;
+    const cols = actual.length + 1;
+    const cost = Array.from({ length: rows }, (_, i) => {
+        const row = new Array(cols).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j < cols; j++) cost[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const substitution = cost[i - 1][j - 1] + (sameWord(expected[i - 1], actual[j - 1]) ? 0 : 1);
+            cost[i][j] = Math.min(substitution, cost[i - 1][j] + 1, cost[i][j - 1] + 1);
+        }
+    }
+
+    // Walk back through the table to list the operations in order
+    const ops = [];
+    let i = expected.length;
+    let j = actual.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (sameWord(expected[i - 1], actual[j - 1]) ? 0 : 1)) {
+            const same = sameWord(expected[i - 1], actual[j - 1]);
+            ops.push({ type: same ? 'ok' : 'wrong', expected: expectedShown[i - 1], actual: actualShown[j - 1] });
+            i--;
+            j--;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            ops.push({ type: 'missing', expected: expectedShown[i - 1] });
+            i--;
+        } else {
+            ops.push({ type: 'extra', actual: actualShown[j - 1] });
+            j--;
+        }
+    }
+    ops.reverse();
+
+    const count = type => ops.filter(op => op.type === type).length;
+    const total = expected.length;
+    const distance = total === 0 ? actual.length : cost[total][actual.length];
+    return {
+        ops,
+        score: total === 0 ? 0 : Math.max(0, Math.round(100 * (1 - distance / total))),
+        total,
+        correct: count('ok'),
+        wrong: count('wrong'),
+        missing: count('missing'),
+        extra: count('extra')
+    };
+}
+
+export default {
+    compareRecitation
+};
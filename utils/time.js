@@ -0,0 +1,179 @@
+/**
+ * Time Zone Helpers - Wall-clock times in IANA time zones ("Asia/Riyadh") using Intl,
+ * for schedules that fire at a local time of day
+ */
+
+import { toWesternDigits } from './arabic.js';
+
+// Intl formatters by time zone, created on first use
+const formatters = new Map();
+
+/**
+ * Get a formatter giving the numeric date and time parts in a time zone
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check whether a time zone name is known ("Asia/Riyadh", "Africa/Cairo")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {object} { year, month, day, hour, minute, second, weekday } (month 1-12, weekday 0 = Sunday)
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Minutes ahead of UTC (180 for Asia/Riyadh)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ * (days and months out of range roll over, like Date.UTC)
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(asUtc), timeZone);
+    let result = asUtc - offset * 60000;
+
+    // The offset may differ on the other side of a daylight saving change
+    const corrected = getTimeZoneOffset(new Date(result), timeZone);
+    if (corrected !== offset) result = asUtc - corrected * 60000;
+    return new Date(result);
+}
+
+/**
+ * Next time a daily "HH:MM" comes round in a time zone, strictly after a given instant
+ * @param {string} time - "HH:MM" (24-hour)
+ * @param {string} timeZone
+ * @param {Date} [after] - Defaults to now
+ * @returns {Date}
+ */
+export function nextDailyOccurrence(time, timeZone, after = new Date()) {
+    const [hour, minute] = time.split(':').map(Number);
+    const today = getZonedParts(after, timeZone);
+
+    let candidate = null;
+    for (let offset = 0; offset <= 2; offset++) {
+        candidate = zonedTimeToDate(today.year, today.month, today.day + offset, hour, minute, timeZone);
+        if (candidate > after) break;
+    }
+    return candidate;
+}
+
+/**
+ * Parse a time of day: "6:30", "18:00", "٦:٣٠", "7" with an optional
+ * morning/evening word ("6:30 م", "9 مساءً", "7am")
+ * @param {string} text
+ * @returns {string|null} "HH:MM" (24-hour), null if it isn't a time
+ */
+export function parseTimeOfDay(text) {
+    const match = toWesternDigits(text.trim()).match(/^(\d{1,2})(?::(\d{2}))?\s*(ص|صباحا|صباحاً|صباحًا|م|مساء|مساءً|مساءا|am|pm)?$/i);
+    if (!match || (!match[2] && !match[3])) return null;
+
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2] || '0', 10);
+    const suffix = (match[3] || '').toLowerCase();
+
+    if (suffix) {
+        if (hour < 1 || hour > 12) return null;
+        const evening = suffix === 'pm' || suffix.startsWith('م');
+        hour = (hour % 12) + (evening ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) return null;
+
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Wall-clock time of an instant in a time zone as "HH:MM"
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function toTimeOfDay(date, timeZone) {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Show an "HH:MM" time on the 12-hour clock in Arabic ("18:30" → "6:30 م")
+ * @param {string} time
+ * @returns {string}
+ */
+export function formatTimeOfDay(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    const hour12 = hour % 12 || 12;
+    return `${hour12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'ص' : 'م'}`;
+}
+
+export default {
+    isValidTimeZone,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedTimeToDate,
+    nextDailyOccurrence,
+    parseTimeOfDay,
+    toTimeOfDay,
+    formatTimeOfDay
+};
@@ -0,0 +1,95 @@
+/**
+ * User Preferences Store - Per-user (or per-chat) settings such as the default tafsir source
+ * Stores preferences in a JSON file for persistence across restarts
+ *
+ * Map<jid, { [key]: value }>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PREFS_FILE = path.join(__dirname, '..', 'data', 'userPrefs.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(PREFS_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all preferences from file
+ * @returns {Map<string, object>}
+ */
+function loadPrefs() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(PREFS_FILE)) {
+            const data = JSON.parse(fs.readFileSync(PREFS_FILE, 'utf-8'));
+            return new Map(Object.entries(data.users || {}));
+        }
+    } catch (error) {
+        console.error('Error loading user preferences:', error.message);
+    }
+    return new Map();
+}
+
+const prefs = loadPrefs();
+
+/**
+ * Save preferences to file
+ */
+function savePrefs() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: prefs.size,
+            users: Object.fromEntries(prefs)
+        };
+        fs.writeFileSync(PREFS_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving user preferences:', error.message);
+    }
+}
+
+/**
+ * Get one preference of a user or chat
+ * @param {string} jid - User or chat JID
+ * @param {string} key - Preference name
+ * @returns {*} The stored value, or undefined
+ */
+export function getPref(jid, key) {
+    return prefs.get(jid)?.[key];
+}
+
+/**
+ * Set one preference of a user or chat
+ * @param {string} jid - User or chat JID
+ * @param {string} key - Preference name
+ * @param {*} value - Value to store
+ */
+export function setPref(jid, key, value) {
+    prefs.set(jid, { ...prefs.get(jid), [key]: value });
+    savePrefs();
+}
+
+/**
+ * Remove one preference of a user or chat
+ * @param {string} jid - User or chat JID
+ * @param {string} key - Preference name
+ * @returns {boolean} True if a value was removed
+ */
+export function clearPref(jid, key) {
+    const current = prefs.get(jid);
+    if (!current || !(key in current)) return false;
+
+    const { [key]: removed, ...rest } = current;
+    if (Object.keys(rest).length > 0) prefs.set(jid, rest);
+    else prefs.delete(jid);
+    savePrefs();
+    return true;
+}
@@ -0,0 +1,111 @@
+/**
+ * Wird Store - Daily Quran portions (wird) sent to chats at a chosen local time
+ * Stores subscriptions in a JSON file so they survive restarts
+ *
+ * Map<chatJid, {
+ *   type: 'pages' | 'juz' | 'ayah', amount, format: 'images' | 'text',
+ *   time: 'HH:MM', timeZone, catchUp, paused,
+ *   position, khatmas, nextRun, lastSentAt, createdBy, createdAt
+ * }>
+ * `position` is the next page (pages) or juz (juz) to send; `khatmas` counts
+ * how many times the chat went through the whole mushaf.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WIRD_FILE = path.join(__dirname, '..', 'data', 'wird.json');
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(WIRD_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+/**
+ * Load all subscriptions from file
+ * @returns {Map<string, object>}
+ */
+function loadWirds() {
+    try {
+        ensureDataDir();
+        if (fs.existsSync(WIRD_FILE)) {
+            const data = JSON.parse(fs.readFileSync(WIRD_FILE, 'utf-8'));
+            return new Map(Object.entries(data.chats || {}));
+        }
+    } catch (error) {
+        console.error('Error loading wird subscriptions:', error.message);
+    }
+    return new Map();
+}
+
+const wirds = loadWirds();
+
+/**
+ * Save subscriptions to file
+ */
+export function saveWirds() {
+    try {
+        ensureDataDir();
+        const data = {
+            lastUpdated: new Date().toISOString(),
+            count: wirds.size,
+            chats: Object.fromEntries(wirds)
+        };
+        fs.writeFileSync(WIRD_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        console.error('Error saving wird subscriptions:', error.message);
+    }
+}
+
+/**
+ * Get the wird subscription of a chat
+ * @param {string} chatJid
+ * @returns {object|undefined}
+ */
+export function getWird(chatJid) {
+    return wirds.get(chatJid);
+}
+
+/**
+ * Get all subscriptions that aren't paused
+ * @returns {Array<[string, object]>} [chatJid, subscription] pairs
+ */
+export function getActiveWirds() {
+    return [...wirds.entries()].filter(([, wird]) => !wird.paused);
+}
+
+/**
+ * Create or replace the subscription of a chat
+ * @param {string} chatJid
+ * @param {object} wird
+ * @returns {object} The stored subscription
+ */
+export function setWird(chatJid, wird) {
+    wirds.set(chatJid, wird);
+    saveWirds();
+    return wird;
+}
+
+/**
+ * Cancel the subscription of a chat
+ * @param {string} chatJid
+ * @returns {boolean} True if there was one
+ */
+export function deleteWird(chatJid) {
+    if (!wirds.delete(chatJid)) return false;
+    saveWirds();
+    return true;
+}
+
+export default {
+    getWird,
+    getActiveWirds,
+    setWird,
+    deleteWird,
+    saveWirds
+};